@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// Manages the API credential file read by the service (API_KEYS_FILE).
+//
+//   node scripts/credentials.js list
+//   node scripts/credentials.js create <id> --tenants acme[,beta] [--scopes payouts:read,transactions:read]
+//     (add payouts:write for keys that may create and cancel payouts)
+//   node scripts/credentials.js rotate <id> [--overlap-hours 24]
+//   node scripts/credentials.js revoke <id>
+//
+// Plaintext keys are printed once on create/rotate; only their hashes are stored.
+
+const dotenv = require('dotenv');
+const {
+  generateApiKey,
+  hashApiKey,
+  readCredentialFile,
+  writeCredentialFile,
+} = require('../src/credentialFile');
+
+dotenv.config();
+
+const DEFAULT_SCOPES = ['payouts:read', 'transactions:read'];
+const DEFAULT_OVERLAP_HOURS = 24;
+
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[index + 1];
+      index += 1;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+};
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const newKey = () => {
+  const apiKey = generateApiKey();
+  return {
+    apiKey,
+    record: {
+      hash: hashApiKey(apiKey),
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+    },
+  };
+};
+
+const findCredential = (document, id) => {
+  const credential = document.credentials.find((item) => item.id === id);
+  if (!credential) {
+    fail(`Credential not found: ${id}`);
+  }
+  return credential;
+};
+
+const commands = {
+  list(document) {
+    const now = Date.now();
+    document.credentials.forEach((credential) => {
+      const activeKeys = (credential.keys || []).filter(
+        (key) => !key.expiresAt || new Date(key.expiresAt).getTime() > now
+      );
+      console.log(
+        `${credential.id}${credential.disabled ? ' (disabled)' : ''}: tenants=${(
+          credential.tenants || []
+        ).join(',')} scopes=${(credential.scopes || []).join(',')} activeKeys=${
+          activeKeys.length
+        }`
+      );
+    });
+    return false;
+  },
+
+  create(document, [id], options) {
+    if (!id) {
+      fail(
+        'Usage: create <id> --tenants <tenant[,tenant]> [--scopes <scopes>]'
+      );
+    }
+    if (document.credentials.some((item) => item.id === id)) {
+      fail(`Credential already exists: ${id}`);
+    }
+
+    const tenants = splitList(options.tenants);
+    if (tenants.length === 0) {
+      fail('At least one tenant is required (--tenants)');
+    }
+
+    const scopes = options.scopes ? splitList(options.scopes) : DEFAULT_SCOPES;
+    const { apiKey, record } = newKey();
+    document.credentials.push({ id, tenants, scopes, keys: [record] });
+
+    console.log(`Created credential ${id}. API key (shown once):`);
+    console.log(apiKey);
+    return true;
+  },
+
+  rotate(document, [id], options) {
+    const credential = findCredential(document, id);
+    const overlapHours = Number(
+      options['overlap-hours'] ?? DEFAULT_OVERLAP_HOURS
+    );
+    if (!Number.isFinite(overlapHours) || overlapHours < 0) {
+      fail('--overlap-hours must be a non-negative number');
+    }
+
+    // Existing keys keep working until the overlap window closes
+    const overlapEnd = Date.now() + overlapHours * 3_600_000;
+    credential.keys = (credential.keys || []).map((key) => {
+      const expiresAt = key.expiresAt
+        ? new Date(key.expiresAt).getTime()
+        : null;
+      return expiresAt !== null && expiresAt < overlapEnd
+        ? key
+        : { ...key, expiresAt: new Date(overlapEnd).toISOString() };
+    });
+
+    const { apiKey, record } = newKey();
+    credential.keys.push(record);
+
+    console.log(
+      `Rotated credential ${id}. Previous keys expire at ${new Date(
+        overlapEnd
+      ).toISOString()}. New API key (shown once):`
+    );
+    console.log(apiKey);
+    return true;
+  },
+
+  revoke(document, [id]) {
+    const credential = findCredential(document, id);
+    credential.disabled = true;
+    console.log(`Revoked credential ${id}`);
+    return true;
+  },
+};
+
+const main = () => {
+  const filePath = process.env.API_KEYS_FILE;
+  if (!filePath) {
+    fail('API_KEYS_FILE must be set');
+  }
+
+  const {
+    positional: [command, ...args],
+    options,
+  } = parseArgs(process.argv.slice(2));
+  if (!commands[command]) {
+    fail(`Usage: credentials.js <${Object.keys(commands).join('|')}> ...`);
+  }
+
+  const document = readCredentialFile(filePath);
+  const changed = commands[command](document, args, options);
+  if (changed) {
+    writeCredentialFile(filePath, document);
+  }
+};
+
+main();
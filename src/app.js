@@ -0,0 +1,2283 @@
+const crypto = require('crypto');
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const { v4: uuid } = require('uuid');
+const { logger, runWithContext } = require('./logger');
+const {
+  httpRequestDuration,
+  httpRequestsTotal,
+  payoutCacheLookupsTotal,
+  payoutFallbacksTotal,
+  renderMetrics,
+} = require('./metrics');
+const stripeGateway = require('./stripeGateway');
+const cache = require('./cache');
+const {
+  DISPUTE_CACHE_TAG,
+  buildCacheKey,
+  disputeCacheTag,
+  tenantCacheTag,
+} = require('./cacheKeys');
+const { coalesce, isInFlight } = require('./inflight');
+const { isStripeTimeoutError } = require('./stripeHelpers');
+const { parseSort, store: mirrorStore } = require('./mirrorStore');
+const { getMirrorStatus, mirrorPayout } = require('./mirrorSync');
+const {
+  fetchAllPayoutTransactions,
+  isManualFilteringError,
+  iteratePayoutTransactions,
+  resolveManualPayoutTransactions,
+} = require('./payoutTransactions');
+const {
+  PAYOUT_EXPORT_COLUMNS,
+  TRANSACTION_EXPORT_COLUMNS,
+  resolveLocale,
+  selectColumns,
+} = require('./exportFormats');
+const { streamExport } = require('./exportWriters');
+const { buildReconciliation } = require('./reconciliation');
+const { fetchPayoutAdjustments } = require('./payoutAdjustments');
+const { fetchOpenDisputes } = require('./disputes');
+const { fetchBalance, fetchPayoutForecast } = require('./balance');
+const { requireIdempotencyKey } = require('./idempotency');
+const { summarizePayouts } = require('./payoutSummary');
+const { describePayoutFailure, resolveLanguage } = require('./payoutFailures');
+const { checkReadiness, getBuildInfo } = require('./health');
+const { ERROR_CODES, errorCodeFor, sendError } = require('./errors');
+const { openApiDocument } = require('./openapi');
+const { createRequestValidator } = require('./requestValidation');
+const {
+  createTenantRateLimiter,
+  getRateLimitUsage,
+  listRateLimitedTenants,
+} = require('./rateLimiter');
+const { DEFAULT_SUBSCRIBED_EVENTS, watchPayouts } = require('./payoutWatcher');
+const { dispatcher } = require('./outboundWebhooks');
+const { store: subscriptionStore } = require('./subscriptionStore');
+const { auditLog, auditPayoutAccess, noteAuditedRows } = require('./auditLog');
+const {
+  CURSOR_DIRECTIONS,
+  decodeCursor,
+  encodeCursor,
+  iteratePages,
+  scanList,
+} = require('./pagination');
+const config = require('./config');
+const { ConfigError } = require('./configLoader');
+const { describeConfig, reloadConfig } = require('./configReload');
+const eventStore = require('./eventStore');
+const {
+  identifyCaller,
+  requireInternalHeaders,
+  requireScope,
+} = require('./auth');
+const { ALL_TENANTS, SCOPES, canAccessTenant } = require('./credentials');
+const {
+  TENANT_MODES,
+  getTenantMode,
+  getTenantStripeAccount,
+  isPayoutVisibleToTenant,
+  normalizeTenant,
+  resolvePayoutTenant,
+  stripeRequestOptions,
+} = require('./tenancy');
+const { PAYOUT_EVENT_TYPES, handleStripeWebhook } = require('./webhooks');
+const { assertPublicHost } = require('./publicAddress');
+
+// Compared in constant time, like API keys
+const matchesMetricsToken = (authorization) => {
+  const provided = Buffer.from(String(authorization || ''));
+  const expected = Buffer.from(`Bearer ${config.metricsAuthToken}`);
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+};
+
+const parseLimit = (value, fallback = 100) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed)) {
+    return fallback;
+  }
+
+  return Math.min(Math.max(parsed, 1), 100);
+};
+
+const parseOffset = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    return 0;
+  }
+
+  return parsed;
+};
+
+const toUnixTimestamp = (value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+
+  return Math.floor(date.getTime() / 1000);
+};
+
+const shapePayoutForResponse = (payout) => {
+  const transactionCount =
+    payout.metadata?.transaction_count ||
+    payout.metadata?.transactionCount ||
+    payout.metadata?.transactions ||
+    null;
+
+  return {
+    ...payout,
+    transaction_count:
+      transactionCount !== null && transactionCount !== undefined
+        ? Number.parseInt(transactionCount, 10) || 0
+        : 0,
+  };
+};
+
+// Listing entries outlive their TTL by CACHE_MAX_STALE_SECONDS so they can be
+// served stale while a refresh runs, or as a fallback when Stripe fails.
+const readCachedListing = async (key) => {
+  const entry = await cache.get(key);
+  if (!entry || !entry.payload || !entry.storedAt) {
+    return null;
+  }
+
+  const ageSeconds = Math.max(
+    0,
+    Math.floor((Date.now() - entry.storedAt) / 1000)
+  );
+  if (ageSeconds > config.cacheTtlSeconds + config.cacheMaxStaleSeconds) {
+    return null;
+  }
+
+  return {
+    payload: entry.payload,
+    ageSeconds,
+    fresh: ageSeconds < config.cacheTtlSeconds,
+  };
+};
+
+// Tenant-scoped Stripe reads outside the payout listing: fresh entries are
+// served from the cache, and a stale one (within CACHE_MAX_STALE_SECONDS)
+// stands in when Stripe fails. `tags` are added to the tenant's tag.
+const loadWithCache = async (
+  tenantId,
+  key,
+  load,
+  { refresh = false, tags = [] } = {}
+) => {
+  const cached = await readCachedListing(key);
+  if (cached?.fresh && !refresh) {
+    return {
+      ...cached.payload,
+      cached: true,
+      stale: false,
+      age_seconds: cached.ageSeconds,
+    };
+  }
+
+  try {
+    const payload = await coalesce(key, async () => {
+      const fetchStartedAt = Date.now();
+      const result = await load();
+      await cache.set(
+        key,
+        { payload: result, storedAt: fetchStartedAt },
+        config.cacheTtlSeconds + config.cacheMaxStaleSeconds,
+        { tags: [tenantCacheTag(tenantId), ...tags] }
+      );
+      return result;
+    });
+    return { ...payload, cached: false, stale: false, age_seconds: 0 };
+  } catch (error) {
+    if (!cached) {
+      throw error;
+    }
+
+    logger.warn('Serving stale cached data after Stripe failure', {
+      key,
+      ageSeconds: cached.ageSeconds,
+      error,
+    });
+    return {
+      ...cached.payload,
+      cached: true,
+      stale: true,
+      age_seconds: cached.ageSeconds,
+      error: isStripeTimeoutError(error) ? 'stripe_timeout' : 'stripe_error',
+    };
+  }
+};
+
+// Balances belong to a Stripe account, and metadata tenants share the
+// platform's, so only connect tenants have one of their own.
+const rejectSharedAccountTenant = (req, res) => {
+  if (getTenantMode(req.tenantId) === TENANT_MODES.connect) {
+    return false;
+  }
+
+  sendError(
+    req,
+    res,
+    409,
+    ERROR_CODES.sharedAccountTenant,
+    'Balances are only available for tenants with a connected Stripe account'
+  );
+  return true;
+};
+
+// Resolves the listing position from `cursor`, or the raw Stripe
+// `starting_after`/`ending_before` IDs accepted for backwards compatibility.
+// Returns null when `cursor` is present but malformed.
+const resolveListCursor = (query) => {
+  if (query.cursor) {
+    return decodeCursor(query.cursor);
+  }
+  if (query.ending_before) {
+    return { direction: CURSOR_DIRECTIONS.prev, id: query.ending_before };
+  }
+  if (query.starting_after) {
+    return { direction: CURSOR_DIRECTIONS.next, id: query.starting_after };
+  }
+
+  return { direction: CURSOR_DIRECTIONS.next, id: null };
+};
+
+// The query parameter a cursor came from, for error responses
+const cursorParameter = (query) => {
+  if (query.cursor) {
+    return 'cursor';
+  }
+  return query.ending_before ? 'ending_before' : 'starting_after';
+};
+
+const sendUnknownCursor = (req, res, item = 'payout') =>
+  sendError(
+    req,
+    res,
+    400,
+    ERROR_CODES.invalidCursor,
+    `Cursor does not point at a ${item} in this listing`,
+    { parameter: cursorParameter(req.query) }
+  );
+
+const buildPayoutPredicate =
+  (tenantId, { type, search }) =>
+  (payout) => {
+    if (!isPayoutVisibleToTenant(payout, tenantId)) {
+      return false;
+    }
+
+    if (type && payout.type !== type) {
+      return false;
+    }
+
+    if (search) {
+      const haystack = [
+        payout.id,
+        payout.description,
+        payout.metadata?.tenantId,
+        payout.metadata?.tenant,
+      ]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+
+      if (!haystack.includes(search)) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+// Stripe-side filters shared by the payout listing and export.
+const buildPayoutListParams = (query) => {
+  const fromDate = toUnixTimestamp(query.from_date);
+  const toDate = toUnixTimestamp(query.to_date);
+
+  const params = {};
+  if (query.status) {
+    params.status = query.status;
+  }
+
+  const created = {};
+  if (fromDate) {
+    created.gte = fromDate;
+  }
+  if (toDate) {
+    created.lte = toDate;
+  }
+  if (Object.keys(created).length > 0) {
+    params.created = created;
+  }
+
+  return params;
+};
+
+// Every payout read for a tenant doubles as a status check for its webhook
+// subscriptions. Unattributed platform payouts belong to no tenant.
+const watchTenantPayouts = (tenantId, payouts) =>
+  watchPayouts(
+    payouts.filter(
+      (payout) =>
+        getTenantMode(tenantId) === TENANT_MODES.connect ||
+        resolvePayoutTenant(payout) === tenantId
+    ),
+    { tenantId }
+  );
+
+const fetchPayoutListing = async (tenantId, query, cursor) => {
+  const limit = parseLimit(query.limit);
+  // Offsets count matching payouts and only apply to the first page
+  const offset = cursor.id ? 0 : parseOffset(query.offset);
+  const search = query.search?.toLowerCase();
+  const type = query.type;
+  const baseParams = buildPayoutListParams(query);
+
+  const filtersLocally =
+    getTenantMode(tenantId) === TENANT_MODES.metadata ||
+    Boolean(type) ||
+    Boolean(search);
+  const requestOptions = stripeRequestOptions(tenantId);
+
+  const result = await scanList({
+    fetchPage: (pageParams) =>
+      stripeGateway.payouts.list(
+        { ...baseParams, ...pageParams },
+        requestOptions
+      ),
+    predicate: buildPayoutPredicate(tenantId, { type, search }),
+    limit,
+    skip: offset,
+    direction: cursor.direction,
+    boundaryId: cursor.id,
+    // Without local filters every payout matches, so fetch just enough
+    pageSize: filtersLocally ? 100 : Math.min(limit + offset + 1, 100),
+    scanBudget: config.payoutScanBudget,
+  });
+  watchTenantPayouts(tenantId, result.data);
+
+  const shaped = result.data.map(shapePayoutForResponse);
+  const forward = cursor.direction === CURSOR_DIRECTIONS.next;
+  const firstId = shaped[0]?.id;
+  const lastId = shaped[shaped.length - 1]?.id;
+
+  let nextCursor = null;
+  let prevCursor = null;
+  if (forward) {
+    if (result.hasMore) {
+      nextCursor = encodeCursor(CURSOR_DIRECTIONS.next, result.position);
+    }
+    if ((cursor.id || offset > 0) && firstId) {
+      prevCursor = encodeCursor(CURSOR_DIRECTIONS.prev, firstId);
+    }
+  } else {
+    if (result.hasMore) {
+      prevCursor = encodeCursor(CURSOR_DIRECTIONS.prev, result.position);
+    }
+    if (lastId) {
+      nextCursor = encodeCursor(CURSOR_DIRECTIONS.next, lastId);
+    }
+  }
+
+  return {
+    success: true,
+    data: shaped,
+    total_count: shaped.length,
+    has_more: result.hasMore,
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    scan_budget_exhausted: result.budgetExhausted,
+    source: 'stripe',
+  };
+};
+
+const mirrorScopeForTenant = (tenantId) => {
+  const account = getTenantStripeAccount(tenantId);
+  return account
+    ? { account }
+    : {
+        account: null,
+        tenantId,
+        includeUnattributed: config.allowUnattributedPayouts,
+      };
+};
+
+// Same contract as fetchPayoutListing, answered from the local mirror with
+// real totals, arbitrary date ranges, multi-term search and sorting. Null
+// when the cursor's payout is not part of the listing.
+const listPayoutsFromMirror = (tenantId, query, cursor, sort, syncedAt) => {
+  const limit = parseLimit(query.limit);
+  const matches = mirrorStore.queryPayouts(mirrorScopeForTenant(tenantId), {
+    from: toUnixTimestamp(query.from_date),
+    to: toUnixTimestamp(query.to_date),
+    status: query.status,
+    type: query.type,
+    search: query.search,
+    sort,
+  });
+
+  let start = cursor.id ? 0 : parseOffset(query.offset);
+  let end = start + limit;
+  if (cursor.id) {
+    const index = matches.findIndex((payout) => payout.id === cursor.id);
+    if (index === -1) {
+      return null;
+    }
+    if (cursor.direction === CURSOR_DIRECTIONS.next) {
+      start = index + 1;
+      end = start + limit;
+    } else {
+      end = index;
+      start = Math.max(end - limit, 0);
+    }
+  }
+
+  const page = matches.slice(start, end).map(shapePayoutForResponse);
+
+  return {
+    success: true,
+    data: page,
+    total_count: matches.length,
+    has_more:
+      cursor.direction === CURSOR_DIRECTIONS.prev
+        ? start > 0
+        : end < matches.length,
+    next_cursor:
+      end < matches.length && page.length > 0
+        ? encodeCursor(CURSOR_DIRECTIONS.next, page[page.length - 1].id)
+        : null,
+    prev_cursor:
+      start > 0 && page.length > 0
+        ? encodeCursor(CURSOR_DIRECTIONS.prev, page[0].id)
+        : null,
+    scan_budget_exhausted: false,
+    source: 'mirror',
+    mirror_synced_at: new Date(syncedAt).toISOString(),
+  };
+};
+
+// Every payout matching the listing filters, for aggregation. Uses the
+// mirror when it is fresh; otherwise scans Stripe up to SUMMARY_SCAN_BUDGET.
+const collectPayouts = async (tenantId, query, { refresh = false } = {}) => {
+  const mirrorStatus = getMirrorStatus(tenantId);
+  if (mirrorStatus.fresh && !refresh) {
+    return {
+      payouts: mirrorStore.queryPayouts(mirrorScopeForTenant(tenantId), {
+        from: toUnixTimestamp(query.from_date),
+        to: toUnixTimestamp(query.to_date),
+        status: query.status,
+        type: query.type,
+        search: query.search,
+        sort: parseSort(),
+      }),
+      incomplete: false,
+      source: 'mirror',
+    };
+  }
+
+  const baseParams = buildPayoutListParams(query);
+  const requestOptions = stripeRequestOptions(tenantId);
+  const result = await scanList({
+    fetchPage: (pageParams) =>
+      stripeGateway.payouts.list(
+        { ...baseParams, ...pageParams },
+        requestOptions
+      ),
+    predicate: buildPayoutPredicate(tenantId, {
+      type: query.type,
+      search: query.search?.toLowerCase(),
+    }),
+    limit: Number.POSITIVE_INFINITY,
+    scanBudget: config.summaryScanBudget,
+  });
+
+  return {
+    payouts: result.data,
+    incomplete: result.budgetExhausted,
+    source: 'stripe',
+  };
+};
+
+// Pages an in-memory transaction list like Stripe's list endpoints do.
+// Returns null when the cursor is not one of the transactions.
+const pageTransactions = (transactions, query) => {
+  const limit = parseLimit(query.limit);
+  let start = 0;
+  let end = transactions.length;
+
+  if (query.starting_after) {
+    const index = transactions.findIndex(
+      (tx) => tx.id === query.starting_after
+    );
+    if (index === -1) {
+      return null;
+    }
+    start = index + 1;
+  } else if (query.ending_before) {
+    end = transactions.findIndex((tx) => tx.id === query.ending_before);
+    if (end === -1) {
+      return null;
+    }
+    start = Math.max(end - limit, 0);
+  }
+
+  const data = transactions.slice(start, start + limit);
+  return {
+    data,
+    has_more: query.ending_before ? start > 0 : start + limit < end,
+  };
+};
+
+const tenantClass = (tenantId) =>
+  tenantId ? getTenantMode(tenantId) : 'anonymous';
+
+// Synced transactions of a payout the tenant can reach, or null when the
+// mirror is stale or has not synced them yet.
+const readMirroredTransactions = (tenantId, payoutId) => {
+  if (!getMirrorStatus(tenantId).fresh) {
+    return null;
+  }
+
+  const record = mirrorStore.getPayout(payoutId);
+  if (!record || record.account !== getTenantStripeAccount(tenantId)) {
+    return null;
+  }
+
+  const transactions = mirrorStore.getPayoutTransactions(payoutId);
+  return transactions ? { payout: record.payout, transactions } : null;
+};
+
+// Resolves `format`, `columns` and `locale` shared by the export routes.
+// Returns the options or sends a 400 and returns null.
+const parseExportOptions = (req, res, availableColumns) => {
+  const format = req.query.format || 'csv';
+
+  const { columns, unknown } = selectColumns(
+    req.query.columns,
+    availableColumns
+  );
+  if (unknown.length > 0 || columns.length === 0) {
+    sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.unknownColumns,
+      `Unknown columns: ${unknown.join(', ') || '(none selected)'}`,
+      {
+        parameter: 'columns',
+        availableColumns: availableColumns.map((column) => column.key),
+      }
+    );
+    return null;
+  }
+
+  const locale = resolveLocale(req.query.locale);
+  if (!locale) {
+    sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.unsupportedLocale,
+      `Unsupported locale: ${req.query.locale}`,
+      { parameter: 'locale' }
+    );
+    return null;
+  }
+
+  return { format, columns, locale };
+};
+
+// Failed payouts listed by `GET /api/payouts/failures` without `from_date`
+const FAILURE_LOOKBACK_DAYS = 30;
+
+// Language of failure explanations from `lang` (already checked against the
+// supported languages) or Accept-Language.
+const negotiateLanguage = (req, res) => {
+  const language = resolveLanguage(
+    req.query.lang,
+    req.headers['accept-language']
+  );
+  res.setHeader('Content-Language', language);
+  return language;
+};
+
+// Stripe parameters for a `POST /api/payouts` body. The body is checked
+// against the OpenAPI document before the route runs, so a rejected body
+// does not use up its Idempotency-Key.
+const toPayoutParams = (req) => {
+  const {
+    amount,
+    currency,
+    method = 'standard',
+    destination,
+    description,
+  } = req.body;
+
+  const params = {
+    amount,
+    currency: currency.toLowerCase(),
+    method,
+    // Stamped so tenant filtering and webhooks attribute the payout
+    metadata: { tenantId: req.tenantId },
+  };
+  if (destination) {
+    params.destination = destination;
+  }
+  if (description) {
+    params.description = description;
+  }
+
+  return params;
+};
+
+// The body's shape is checked against the OpenAPI document; only the
+// callback URL rules depend on configuration.
+const validateCreateSubscription = async (req, res, next) => {
+  const { url, events = DEFAULT_SUBSCRIBED_EVENTS, description } = req.body;
+  const reject = (message) =>
+    sendError(req, res, 400, ERROR_CODES.invalidBody, message, {
+      parameter: 'url',
+    });
+
+  const parsedUrl = new URL(url);
+  const allowedProtocols = config.outboundWebhookAllowHttp
+    ? ['https:', 'http:']
+    : ['https:'];
+  if (!allowedProtocols.includes(parsedUrl.protocol)) {
+    return reject('url must use https');
+  }
+  if (parsedUrl.username || parsedUrl.password) {
+    return reject('url must not contain credentials');
+  }
+  // Checked again on every delivery, since DNS can change
+  if (!config.outboundWebhookAllowPrivateHosts) {
+    try {
+      await assertPublicHost(parsedUrl.hostname);
+    } catch (error) {
+      return reject(
+        error.code === 'ERR_PRIVATE_ADDRESS'
+          ? 'url must resolve to public addresses only'
+          : 'url host cannot be resolved'
+      );
+    }
+  }
+
+  req.subscriptionParams = {
+    tenantId: req.tenantId,
+    url: parsedUrl.toString(),
+    events: [...new Set(events)],
+    description: description || null,
+  };
+  return next();
+};
+
+// The signing secret is only shown once, when the subscription is created
+const shapeSubscription = ({ secret, tenantId, ...subscription }) =>
+  subscription;
+
+const findTenantSubscription = (req, res) => {
+  const subscription = subscriptionStore.get(req.params.id);
+  if (!subscription || subscription.tenantId !== req.tenantId) {
+    sendError(
+      req,
+      res,
+      404,
+      ERROR_CODES.subscriptionNotFound,
+      'Subscription not found'
+    );
+    return null;
+  }
+
+  return subscription;
+};
+
+// Stripe rejects writes for reasons the caller can act on (insufficient
+// balance, instant payouts unsupported, payout not cancelable); pass those
+// through instead of turning them into a 500.
+const respondWithStripeError = (req, res, next, error) => {
+  const status = error?.statusCode;
+  if (status >= 400 && status < 500 && status !== 429) {
+    return sendError(
+      req,
+      res,
+      status,
+      ERROR_CODES.stripeRequestRejected,
+      error.message,
+      { stripe_code: error.code || null }
+    );
+  }
+
+  return next(error);
+};
+
+// A write changes what the tenant's cached listings and the mirror should
+// show; the webhook that follows would do the same, only later.
+const recordPayoutChange = async (tenantId, payout) => {
+  mirrorPayout(payout, getTenantStripeAccount(tenantId));
+  watchTenantPayouts(tenantId, [payout]);
+  await cache.invalidateTag(tenantCacheTag(tenantId));
+};
+
+// Errors after the first byte can no longer become a JSON response.
+const handleExportError = (req, res, next, error) => {
+  if (!res.headersSent) {
+    return next(error);
+  }
+
+  logger.error('Export aborted mid-stream', { error });
+  return res.destroy(error);
+};
+
+// The service's modules share one Stripe client, cache and config, so the
+// dependencies given to createApp replace them for the whole process.
+const installDependencies = ({
+  stripe,
+  cache: cacheBackend,
+  config: overrides,
+}) => {
+  if (overrides) {
+    Object.assign(config, overrides);
+  }
+  if (stripe) {
+    stripeGateway.useClient(stripe);
+  }
+  if (cacheBackend) {
+    cache.useBackend(cacheBackend);
+  }
+};
+
+/**
+ * Builds the Express app without listening or starting background work.
+ * `stripe` is a Stripe SDK client (e.g. one pointed at a local fake),
+ * `cache` a backend with the MemoryCache interface and `config` overrides
+ * merged into the loaded configuration. Settings read while modules load,
+ * such as CACHE_BACKEND, API_KEYS_FILE or the concurrency caps, still come
+ * from the environment.
+ */
+const createApp = (dependencies = {}) => {
+  installDependencies(dependencies);
+  const app = express();
+
+  app.use(helmet());
+
+  app.use((req, res, next) => {
+    req.requestId = uuid();
+    res.setHeader('X-Request-Id', req.requestId);
+
+    // One access-log line and metrics sample per request, once it is done
+    const startTime = process.hrtime.bigint();
+    res.once('close', () => {
+      const durationSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+      const labels = {
+        method: req.method,
+        // Unmatched paths share one label to keep cardinality bounded
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode,
+        tenant_class: tenantClass(req.tenantId),
+      };
+      httpRequestsTotal.inc(labels);
+      httpRequestDuration.observe(labels, durationSeconds);
+
+      const level = res.statusCode >= 500 ? 'warn' : 'info';
+      logger[level]('Request completed', {
+        requestId: req.requestId,
+        tenantId: req.tenantId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        durationMs: Math.round(durationSeconds * 1000),
+        aborted: !res.writableFinished,
+      });
+    });
+
+    runWithContext({ requestId: req.requestId }, next);
+  });
+
+  // Stripe webhooks authenticate via signature and need the raw body,
+  // so they are mounted before the JSON parser and internal auth.
+  app.post(
+    '/api/webhooks/stripe',
+    express.raw({ type: 'application/json' }),
+    handleStripeWebhook
+  );
+
+  app.use(express.json());
+  app.use(
+    cors({
+      origin: (origin, callback) => {
+        if (!origin || config.allowedOrigins.length === 0) {
+          return callback(null, true);
+        }
+
+        if (config.allowedOrigins.includes(origin)) {
+          return callback(null, true);
+        }
+
+        return callback(new Error('Origin not allowed by CORS policy'), false);
+      },
+      credentials: true,
+    })
+  );
+
+  // Public health checks (before auth). Details only for valid API keys.
+  app.get('/api/health', (req, res) => {
+    const stripeStatus = stripeGateway.getStatus();
+    const body = {
+      status: stripeStatus.circuit.state === 'open' ? 'degraded' : 'ok',
+      timestamp: new Date().toISOString(),
+    };
+    if (identifyCaller(req)) {
+      body.stripe = stripeStatus;
+    }
+
+    res.json(body);
+  });
+
+  // Liveness: the process is up and serving requests
+  app.get('/api/health/live', (req, res) => {
+    const body = { status: 'ok', timestamp: new Date().toISOString() };
+    res.json(identifyCaller(req) ? { ...body, ...getBuildInfo() } : body);
+  });
+
+  // Readiness: Stripe, the cache and the configuration all work
+  app.get('/api/health/ready', async (req, res, next) => {
+    try {
+      const { ready, checks } = await checkReadiness();
+      const body = {
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+      };
+      if (identifyCaller(req)) {
+        Object.assign(body, getBuildInfo(), {
+          checks,
+          stripe: stripeGateway.getStatus(),
+        });
+      }
+
+      return res.status(ready ? 200 : 503).json(body);
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  // Prometheus scrape endpoint (before auth, optionally bearer-protected)
+  app.get('/metrics', (req, res) => {
+    if (
+      config.metricsAuthToken &&
+      !matchesMetricsToken(req.headers.authorization)
+    ) {
+      return sendError(
+        req,
+        res,
+        401,
+        ERROR_CODES.invalidMetricsToken,
+        'Invalid metrics token'
+      );
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(renderMetrics());
+  });
+
+  // The API description is public, like the health checks
+  app.get('/api/openapi.json', (req, res) => res.json(openApiDocument));
+
+  // Root route for browser access
+  app.get('/', (req, res) => {
+    res.json({
+      service: 'Stripe Payments Service',
+      status: 'running',
+      version: '1.0.0',
+      endpoints: {
+        health: '/api/health',
+        ready: '/api/health/ready',
+        payouts: '/api/payouts (requires auth)',
+      },
+    });
+  });
+
+  // Before authentication, so rejected attempts are audited too
+  app.use('/api/payouts', auditPayoutAccess);
+
+  app.use(
+    '/api',
+    requireInternalHeaders,
+    createTenantRateLimiter(openApiDocument),
+    createRequestValidator(openApiDocument)
+  );
+
+  app.get(
+    '/api/balance',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      if (rejectSharedAccountTenant(req, res)) {
+        return undefined;
+      }
+
+      try {
+        const payload = await loadWithCache(
+          req.tenantId,
+          buildCacheKey(req.tenantId, req.path, {}),
+          () => fetchBalance(req.tenantId),
+          { refresh: req.query.refresh === 'true' }
+        );
+        return res.json(payload);
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      const normalizedTenantFilter =
+        normalizeTenant(req.query.tenantId) || req.tenantId;
+
+      if (!canAccessTenant(req.credential, normalizedTenantFilter)) {
+        return sendError(
+          req,
+          res,
+          403,
+          ERROR_CODES.tenantForbidden,
+          'Credential is not authorized for this tenant'
+        );
+      }
+
+      const cursor = resolveListCursor(req.query);
+      if (!cursor) {
+        return sendError(
+          req,
+          res,
+          400,
+          ERROR_CODES.invalidCursor,
+          'Invalid cursor',
+          { parameter: 'cursor' }
+        );
+      }
+
+      const sort = parseSort(req.query.sort);
+
+      const mirrorStatus = getMirrorStatus(normalizedTenantFilter);
+      if (mirrorStatus.fresh && req.query.refresh !== 'true') {
+        payoutCacheLookupsTotal.inc({ result: 'mirror' });
+        const listing = listPayoutsFromMirror(
+          normalizedTenantFilter,
+          req.query,
+          cursor,
+          sort,
+          mirrorStatus.syncedAt
+        );
+        return listing ? res.json(listing) : sendUnknownCursor(req, res);
+      }
+
+      const refresh = req.query.refresh === 'true';
+      const startTime = process.hrtime.bigint();
+      const elapsedMs = () =>
+        Number((process.hrtime.bigint() - startTime) / BigInt(1e6));
+
+      const queryKey = buildCacheKey(
+        normalizedTenantFilter,
+        req.path,
+        req.query
+      );
+      // Read even when refreshing so a failed refresh can fall back to it
+      const cached = await readCachedListing(queryKey);
+
+      const loadPayouts = async () => {
+        const fetchStartedAt = Date.now();
+        const payload = await fetchPayoutListing(
+          normalizedTenantFilter,
+          req.query,
+          cursor
+        );
+        await cache.set(
+          queryKey,
+          { payload, storedAt: fetchStartedAt },
+          config.cacheTtlSeconds + config.cacheMaxStaleSeconds,
+          { tags: [tenantCacheTag(normalizedTenantFilter)] }
+        );
+        return payload;
+      };
+
+      if (refresh) {
+        payoutCacheLookupsTotal.inc({ result: 'bypass' });
+      } else if (!cached) {
+        payoutCacheLookupsTotal.inc({ result: 'miss' });
+      }
+
+      if (cached && !refresh) {
+        payoutCacheLookupsTotal.inc({ result: cached.fresh ? 'hit' : 'stale' });
+        if (!cached.fresh) {
+          // Serve stale now; a single background refresh updates the entry
+          coalesce(queryKey, loadPayouts).catch((error) => {
+            logger.warn('Background refresh of payouts failed', {
+              tenantFilter: normalizedTenantFilter,
+              error,
+            });
+          });
+        }
+
+        logger.info(`Serving ${cached.fresh ? 'cached' : 'stale'} payouts`, {
+          tenantFilter: normalizedTenantFilter,
+          ageSeconds: cached.ageSeconds,
+          durationMs: elapsedMs(),
+        });
+        return res.json({
+          ...cached.payload,
+          cached: true,
+          stale: !cached.fresh,
+          age_seconds: cached.ageSeconds,
+        });
+      }
+
+      try {
+        logger.info('Fetching payouts from Stripe', {
+          tenantFilter: normalizedTenantFilter,
+          limit: req.query.limit,
+          offset: req.query.offset,
+          direction: cursor.direction,
+          boundary: cursor.id,
+          coalesced: isInFlight(queryKey),
+        });
+
+        const payload = await coalesce(queryKey, loadPayouts);
+
+        logger.info('Cached payouts', {
+          tenantFilter: normalizedTenantFilter,
+          ttlSeconds: config.cacheTtlSeconds,
+          durationMs: elapsedMs(),
+          count: payload.data.length,
+        });
+        return res.json({
+          ...payload,
+          cached: false,
+          stale: false,
+          age_seconds: 0,
+        });
+      } catch (error) {
+        logger.warn('Failed to list payouts', {
+          tenantFilter: normalizedTenantFilter,
+          durationMs: elapsedMs(),
+          error,
+          causeName: error?.cause?.name,
+          causeCode: error?.cause?.code,
+          cachedAvailable: Boolean(cached),
+        });
+
+        const isTimeoutError = isStripeTimeoutError(error);
+
+        if (isTimeoutError && cached) {
+          logger.info('Returning stale cached payouts after Stripe timeout');
+          payoutFallbacksTotal.inc({ error: 'stripe_timeout', kind: 'stale' });
+          return res.json({
+            ...cached.payload,
+            cached: true,
+            stale: true,
+            age_seconds: cached.ageSeconds,
+            error: 'stripe_timeout',
+          });
+        }
+
+        if (isTimeoutError) {
+          logger.warn('Returning empty payouts after Stripe timeout');
+          payoutFallbacksTotal.inc({ error: 'stripe_timeout', kind: 'empty' });
+          return res.json({
+            success: true,
+            data: [],
+            total_count: 0,
+            has_more: false,
+            next_cursor: null,
+            prev_cursor: null,
+            cached: false,
+            stale: true,
+            age_seconds: null,
+            error: 'stripe_timeout',
+          });
+        }
+
+        const fallbackPayload = cached
+          ? {
+              ...cached.payload,
+              cached: true,
+              stale: true,
+              age_seconds: cached.ageSeconds,
+              error: 'stripe_error',
+            }
+          : {
+              success: true,
+              data: [],
+              total_count: 0,
+              has_more: false,
+              next_cursor: null,
+              prev_cursor: null,
+              cached: false,
+              stale: true,
+              age_seconds: null,
+              error: 'stripe_error',
+            };
+
+        logger.error('Returning fallback payouts after Stripe error', {
+          cachedAvailable: Boolean(cached),
+        });
+        payoutFallbacksTotal.inc({
+          error: 'stripe_error',
+          kind: cached ? 'stale' : 'empty',
+        });
+
+        return res.json(fallbackPayload);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/export',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      const normalizedTenantFilter =
+        normalizeTenant(req.query.tenantId) || req.tenantId;
+
+      if (!canAccessTenant(req.credential, normalizedTenantFilter)) {
+        return sendError(
+          req,
+          res,
+          403,
+          ERROR_CODES.tenantForbidden,
+          'Credential is not authorized for this tenant'
+        );
+      }
+
+      const options = parseExportOptions(req, res, PAYOUT_EXPORT_COLUMNS);
+      if (!options) {
+        return undefined;
+      }
+
+      const baseParams = buildPayoutListParams(req.query);
+      const requestOptions = stripeRequestOptions(normalizedTenantFilter);
+      const predicate = buildPayoutPredicate(normalizedTenantFilter, {
+        type: req.query.type,
+        search: req.query.search?.toLowerCase(),
+      });
+      const startTime = Date.now();
+
+      async function* matchingPayouts() {
+        for await (const page of iteratePages((pageParams) =>
+          stripeGateway.payouts.list(
+            { ...baseParams, ...pageParams },
+            requestOptions
+          )
+        )) {
+          const matched = page.filter(predicate);
+          noteAuditedRows(res, {
+            payoutIds: matched.map((payout) => payout.id),
+            count: matched.length,
+          });
+          yield matched;
+        }
+      }
+
+      try {
+        const rowCount = await streamExport(res, {
+          ...options,
+          filename: `payouts-${normalizedTenantFilter}`,
+          sheetName: 'Payouts',
+          pages: matchingPayouts(),
+        });
+        logger.info('Exported payouts', {
+          tenantFilter: normalizedTenantFilter,
+          format: options.format,
+          rowCount,
+          durationMs: Date.now() - startTime,
+        });
+        return undefined;
+      } catch (error) {
+        return handleExportError(req, res, next, error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/summary',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      const normalizedTenantFilter =
+        normalizeTenant(req.query.tenantId) || req.tenantId;
+
+      if (!canAccessTenant(req.credential, normalizedTenantFilter)) {
+        return sendError(
+          req,
+          res,
+          403,
+          ERROR_CODES.tenantForbidden,
+          'Credential is not authorized for this tenant'
+        );
+      }
+
+      const groupBy = req.query.group_by || 'month';
+
+      const reportingCurrency = req.query.currency?.toLowerCase() || null;
+      if (
+        reportingCurrency &&
+        reportingCurrency !== config.fxBaseCurrency &&
+        !config.fxRates[reportingCurrency]
+      ) {
+        return sendError(
+          req,
+          res,
+          400,
+          ERROR_CODES.missingFxRate,
+          `No FX rate configured for ${reportingCurrency}`,
+          { parameter: 'currency' }
+        );
+      }
+
+      // `refresh` must not split the cache key, or it would never update the
+      // entry that regular requests read
+      const { refresh: refreshParam, ...summaryQuery } = req.query;
+      const refresh = refreshParam === 'true';
+      const buildSummary = async () => {
+        const { payouts, incomplete, source } = await collectPayouts(
+          normalizedTenantFilter,
+          req.query,
+          { refresh }
+        );
+        const summary = summarizePayouts(payouts, {
+          groupBy,
+          reportingCurrency,
+          fx: { baseCurrency: config.fxBaseCurrency, rates: config.fxRates },
+        });
+
+        return {
+          success: true,
+          group_by: groupBy,
+          from_date: req.query.from_date || null,
+          to_date: req.query.to_date || null,
+          reporting_currency: reportingCurrency,
+          fx: reportingCurrency
+            ? { base_currency: config.fxBaseCurrency, rates: config.fxRates }
+            : null,
+          ...summary,
+          incomplete,
+          source,
+        };
+      };
+
+      try {
+        const payload = getMirrorStatus(normalizedTenantFilter).fresh
+          ? await buildSummary()
+          : await loadWithCache(
+              normalizedTenantFilter,
+              buildCacheKey(normalizedTenantFilter, req.path, summaryQuery),
+              buildSummary,
+              { refresh }
+            );
+        return res.json(payload);
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/failures',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      const language = negotiateLanguage(req, res);
+
+      const cursor = resolveListCursor(req.query);
+      if (!cursor) {
+        return sendError(
+          req,
+          res,
+          400,
+          ERROR_CODES.invalidCursor,
+          'Invalid cursor',
+          { parameter: 'cursor' }
+        );
+      }
+
+      const sort = parseSort(req.query.sort);
+
+      const { lang, refresh, ...listingQuery } = req.query;
+      const query = {
+        ...listingQuery,
+        status: 'failed',
+        from_date:
+          listingQuery.from_date ||
+          new Date(
+            Date.now() - FAILURE_LOOKBACK_DAYS * 86_400_000
+          ).toISOString(),
+      };
+
+      try {
+        const mirrorStatus = getMirrorStatus(req.tenantId);
+        const listing =
+          mirrorStatus.fresh && refresh !== 'true'
+            ? listPayoutsFromMirror(
+                req.tenantId,
+                query,
+                cursor,
+                sort,
+                mirrorStatus.syncedAt
+              )
+            : await loadWithCache(
+                req.tenantId,
+                // The explanations are added per request, so `lang` is not
+                // part of the key
+                buildCacheKey(req.tenantId, req.path, listingQuery),
+                () => fetchPayoutListing(req.tenantId, query, cursor),
+                { refresh: refresh === 'true' }
+              );
+        if (!listing) {
+          return sendUnknownCursor(req, res);
+        }
+
+        return res.json({
+          ...listing,
+          data: listing.data.map((payout) => ({
+            ...payout,
+            failure: describePayoutFailure(payout, language),
+          })),
+        });
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/forecast',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      if (rejectSharedAccountTenant(req, res)) {
+        return undefined;
+      }
+
+      try {
+        const payload = await loadWithCache(
+          req.tenantId,
+          buildCacheKey(req.tenantId, req.path, {}),
+          () => fetchPayoutForecast(req.tenantId),
+          { refresh: req.query.refresh === 'true' }
+        );
+        logger.info('Served payout forecast', {
+          payouts: payload.data.length,
+          cached: payload.cached,
+          scanBudgetExhausted: payload.scan_budget_exhausted,
+        });
+        return res.json(payload);
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/:id',
+    requireScope(SCOPES.payoutsRead),
+    async (req, res, next) => {
+      const { id } = req.params;
+      const tenantId = req.tenantId;
+      const normalizedTenantId = normalizeTenant(tenantId);
+      const requestOptions = stripeRequestOptions(normalizedTenantId);
+      const language = negotiateLanguage(req, res);
+
+      try {
+        const payout = await stripeGateway.payouts.retrieve(
+          id,
+          {},
+          requestOptions
+        );
+
+        if (!isPayoutVisibleToTenant(payout, normalizedTenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found for tenant'
+          );
+        }
+        watchTenantPayouts(normalizedTenantId, [payout]);
+
+        const failure = describePayoutFailure(payout, language);
+        return res.json(failure ? { payout, failure } : { payout });
+      } catch (error) {
+        if (error && error.statusCode === 404) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found'
+          );
+        }
+
+        return next(error);
+      }
+    }
+  );
+
+  app.post(
+    '/api/payouts',
+    requireScope(SCOPES.payoutsWrite),
+    requireIdempotencyKey,
+    async (req, res, next) => {
+      try {
+        const payout = await stripeGateway.payouts.create(toPayoutParams(req), {
+          ...stripeRequestOptions(req.tenantId),
+          idempotencyKey: req.idempotencyKey,
+        });
+        await recordPayoutChange(req.tenantId, payout);
+
+        logger.info('Created payout', {
+          payoutId: payout.id,
+          amount: payout.amount,
+          currency: payout.currency,
+          method: payout.method,
+        });
+        return res.status(201).json({ payout });
+      } catch (error) {
+        logger.warn('Failed to create payout', { error });
+        return respondWithStripeError(req, res, next, error);
+      }
+    }
+  );
+
+  app.post(
+    '/api/payouts/:id/cancel',
+    requireScope(SCOPES.payoutsWrite),
+    requireIdempotencyKey,
+    async (req, res, next) => {
+      const { id } = req.params;
+      const requestOptions = stripeRequestOptions(req.tenantId);
+
+      try {
+        const existing = await stripeGateway.payouts.retrieve(
+          id,
+          {},
+          requestOptions
+        );
+        if (!isPayoutVisibleToTenant(existing, req.tenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found for tenant'
+          );
+        }
+
+        const payout = await stripeGateway.payouts.cancel(
+          id,
+          {},
+          { ...requestOptions, idempotencyKey: req.idempotencyKey }
+        );
+        await recordPayoutChange(req.tenantId, payout);
+
+        logger.info('Canceled payout', { payoutId: payout.id });
+        return res.json({ payout });
+      } catch (error) {
+        if (error?.statusCode === 404) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found'
+          );
+        }
+
+        logger.warn('Failed to cancel payout', { payoutId: id, error });
+        return respondWithStripeError(req, res, next, error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/:id/transactions',
+    requireScope(SCOPES.transactionsRead),
+    async (req, res, next) => {
+      const { id } = req.params;
+      const tenantId = req.tenantId;
+      const normalizedTenantId = normalizeTenant(tenantId);
+      const requestOptions = stripeRequestOptions(normalizedTenantId);
+      const startTime = process.hrtime.bigint();
+      const elapsedMs = () =>
+        Number((process.hrtime.bigint() - startTime) / BigInt(1e6));
+
+      const mirrored = readMirroredTransactions(normalizedTenantId, id);
+      if (mirrored) {
+        if (!isPayoutVisibleToTenant(mirrored.payout, normalizedTenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout transactions not found'
+          );
+        }
+
+        const page = pageTransactions(mirrored.transactions, req.query);
+        if (!page) {
+          return sendUnknownCursor(req, res, 'transaction');
+        }
+
+        return res.json({ ...page, source: 'mirror' });
+      }
+
+      try {
+        const payout = await stripeGateway.payouts.retrieve(
+          id,
+          {},
+          requestOptions
+        );
+
+        if (!isPayoutVisibleToTenant(payout, normalizedTenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout transactions not found'
+          );
+        }
+
+        const listParams = {
+          limit: parseLimit(req.query.limit) || 100,
+        };
+
+        if (req.query.starting_after) {
+          listParams.starting_after = req.query.starting_after;
+        }
+        if (req.query.ending_before) {
+          listParams.ending_before = req.query.ending_before;
+        }
+
+        // Fetch balance transactions for the payout
+        // For automatic payouts, we can filter directly by payout ID
+        // For manual payouts, Stripe doesn't allow filtering by payout ID
+        let transactions;
+        const isManualPayout = payout.type === 'manual' || !payout.automatic;
+
+        logger.info('Fetching balance transactions for payout', {
+          payoutId: id,
+          payoutType: payout.type,
+          payoutStatus: payout.status,
+          automatic: payout.automatic,
+          manual: isManualPayout,
+        });
+
+        try {
+          if (isManualPayout) {
+            // Manual payouts: scan the window before the payout and filter
+            const resolved = await resolveManualPayoutTransactions(payout, {
+              tenantId: normalizedTenantId,
+              requestOptions,
+            });
+            const page = pageTransactions(resolved.transactions, req.query);
+            if (!page) {
+              return sendUnknownCursor(req, res, 'transaction');
+            }
+            transactions = { ...page, incomplete: resolved.incomplete };
+
+            logger.info('Resolved manual payout transactions', {
+              payoutId: id,
+              count: resolved.ids.length,
+              scanned: resolved.scanned,
+              incomplete: resolved.incomplete,
+              cached: resolved.cached,
+            });
+          } else {
+            // Automatic payouts: filter directly by payout ID
+            transactions = await stripeGateway.balanceTransactions.list(
+              {
+                payout: id,
+                ...listParams,
+              },
+              requestOptions
+            );
+
+            // If no transactions found, try alternative approach:
+            // Fetch all balance transactions and filter by payout ID in response
+            if (!transactions.data || transactions.data.length === 0) {
+              logger.warn(
+                'No transactions found with payout filter; trying date range',
+                { payoutId: id }
+              );
+
+              // Try fetching transactions that were created around the payout date
+              // and check if they reference this payout
+              if (payout.created) {
+                const dayInSeconds = 86400;
+                const dateRange = {
+                  created: {
+                    gte: payout.created - dayInSeconds * 7,
+                    lte: payout.created + dayInSeconds * 7,
+                  },
+                };
+
+                try {
+                  const fallbackTransactions =
+                    await stripeGateway.balanceTransactions.list(
+                      {
+                        ...dateRange,
+                        limit: 100,
+                      },
+                      requestOptions
+                    );
+
+                  if (fallbackTransactions.data) {
+                    // Filter to transactions that reference this payout
+                    const filtered = fallbackTransactions.data.filter(
+                      (tx) => tx.payout === id
+                    );
+
+                    if (filtered.length > 0) {
+                      transactions.data = filtered;
+                      transactions.has_more = false;
+                      logger.info(
+                        'Found transactions via date range fallback',
+                        {
+                          payoutId: id,
+                          count: filtered.length,
+                        }
+                      );
+                    } else {
+                      logger.warn(
+                        'No transactions in date range reference the payout',
+                        {
+                          payoutId: id,
+                          examined: fallbackTransactions.data.length,
+                        }
+                      );
+                    }
+                  }
+                } catch (fallbackError) {
+                  logger.warn('Date range fallback failed', {
+                    payoutId: id,
+                    error: fallbackError,
+                  });
+                }
+              }
+            }
+          }
+        } catch (error) {
+          const isManualPayoutError = isManualFilteringError(error);
+
+          if (isManualPayoutError && !isManualPayout) {
+            // Treated as manual payout even though it's marked as automatic
+            logger.warn('Payout treated as manual due to API error', {
+              payoutId: id,
+            });
+
+            try {
+              const resolved = await resolveManualPayoutTransactions(payout, {
+                tenantId: normalizedTenantId,
+                requestOptions,
+              });
+              const page = pageTransactions(resolved.transactions, req.query);
+              if (!page) {
+                return sendUnknownCursor(req, res, 'transaction');
+              }
+              transactions = { ...page, incomplete: resolved.incomplete };
+              logger.info('Resolved transactions after manual payout error', {
+                payoutId: id,
+                count: resolved.ids.length,
+                incomplete: resolved.incomplete,
+              });
+            } catch (fallbackError) {
+              logger.error('Fallback after manual payout error failed', {
+                payoutId: id,
+                error: fallbackError,
+              });
+              transactions = { data: [], has_more: false, incomplete: true };
+            }
+          } else if (isManualPayoutError) {
+            logger.info(
+              'Manual payout confirmed via API error; returning empty',
+              {
+                payoutId: id,
+              }
+            );
+            return res.json({ data: [], has_more: false });
+          } else {
+            throw error;
+          }
+        }
+
+        // Ensure transactions is initialized
+        if (!transactions) {
+          logger.warn('Transactions not initialized; returning empty', {
+            payoutId: id,
+          });
+          transactions = { data: [], has_more: false };
+        }
+
+        const typeCounts = {};
+        (transactions.data || []).forEach((tx) => {
+          typeCounts[tx.type] = (typeCounts[tx.type] || 0) + 1;
+        });
+        logger[transactions.data?.length ? 'info' : 'warn'](
+          'Returning payout transactions',
+          {
+            payoutId: id,
+            count: transactions.data?.length || 0,
+            typeCounts,
+            durationMs: elapsedMs(),
+          }
+        );
+
+        return res.json({
+          data: transactions.data || [],
+          has_more: transactions.has_more || false,
+          incomplete: transactions.incomplete || false,
+        });
+      } catch (error) {
+        logger.error('Error fetching payout transactions', {
+          payoutId: id,
+          durationMs: elapsedMs(),
+          error,
+        });
+
+        if (error && error.statusCode === 404) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout or transactions not found'
+          );
+        }
+
+        const message = String(error?.message || '').toLowerCase();
+        const code = error?.code;
+        const isManualPayoutError =
+          code === 'balance_transactions_manual_filtering_not_allowed' ||
+          message.includes('only be filtered on automatic transfers');
+
+        if (isManualPayoutError) {
+          logger.info('Manual payout detected via error; returning empty', {
+            payoutId: id,
+          });
+          return res.json({ data: [], has_more: false });
+        }
+
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/:id/transactions/export',
+    requireScope(SCOPES.transactionsRead),
+    async (req, res, next) => {
+      const { id } = req.params;
+      const normalizedTenantId = normalizeTenant(req.tenantId);
+      const requestOptions = stripeRequestOptions(normalizedTenantId);
+
+      const options = parseExportOptions(req, res, TRANSACTION_EXPORT_COLUMNS);
+      if (!options) {
+        return undefined;
+      }
+
+      const startTime = Date.now();
+      try {
+        const mirrored = readMirroredTransactions(normalizedTenantId, id);
+        const payout = mirrored
+          ? mirrored.payout
+          : await stripeGateway.payouts.retrieve(id, {}, requestOptions);
+
+        if (!isPayoutVisibleToTenant(payout, normalizedTenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found for tenant'
+          );
+        }
+
+        const pages = mirrored
+          ? [mirrored.transactions]
+          : iteratePayoutTransactions(payout, {
+              tenantId: normalizedTenantId,
+              requestOptions,
+            });
+        async function* auditedPages() {
+          for await (const page of pages) {
+            noteAuditedRows(res, { count: page.length });
+            yield page;
+          }
+        }
+
+        const rowCount = await streamExport(res, {
+          ...options,
+          filename: `payout-${payout.id}-transactions`,
+          sheetName: 'Transactions',
+          pages: auditedPages(),
+        });
+        logger.info('Exported payout transactions', {
+          payoutId: id,
+          format: options.format,
+          rowCount,
+          durationMs: Date.now() - startTime,
+        });
+        return undefined;
+      } catch (error) {
+        if (!res.headersSent && error && error.statusCode === 404) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found'
+          );
+        }
+
+        return handleExportError(req, res, next, error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/:id/reconciliation',
+    requireScope(SCOPES.transactionsRead),
+    async (req, res, next) => {
+      const { id } = req.params;
+      const normalizedTenantId = normalizeTenant(req.tenantId);
+      const requestOptions = stripeRequestOptions(normalizedTenantId);
+
+      try {
+        const mirrored = readMirroredTransactions(normalizedTenantId, id);
+        const payout = mirrored
+          ? mirrored.payout
+          : await stripeGateway.payouts.retrieve(id, {}, requestOptions);
+
+        if (!isPayoutVisibleToTenant(payout, normalizedTenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found for tenant'
+          );
+        }
+
+        const { transactions, incomplete } = mirrored
+          ? { transactions: mirrored.transactions, incomplete: false }
+          : await fetchAllPayoutTransactions(payout, {
+              tenantId: normalizedTenantId,
+              requestOptions,
+            });
+
+        const report = buildReconciliation(payout, transactions, {
+          incomplete,
+        });
+        if (report.discrepancy) {
+          logger.warn('Reconciliation discrepancy', {
+            payoutId: id,
+            difference: report.difference,
+            incomplete,
+          });
+        }
+
+        return res.json({
+          ...report,
+          source: mirrored ? 'mirror' : 'stripe',
+        });
+      } catch (error) {
+        if (error && error.statusCode === 404) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found'
+          );
+        }
+
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/payouts/:id/adjustments',
+    requireScope(SCOPES.transactionsRead),
+    async (req, res, next) => {
+      const { id } = req.params;
+      const normalizedTenantId = normalizeTenant(req.tenantId);
+      const requestOptions = stripeRequestOptions(normalizedTenantId);
+
+      try {
+        const mirrored = readMirroredTransactions(normalizedTenantId, id);
+        const payout = mirrored
+          ? mirrored.payout
+          : await stripeGateway.payouts.retrieve(id, {}, requestOptions);
+
+        if (!isPayoutVisibleToTenant(payout, normalizedTenantId)) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found for tenant'
+          );
+        }
+
+        const adjustments = await fetchPayoutAdjustments(payout, {
+          tenantId: normalizedTenantId,
+          requestOptions,
+          transactions: mirrored?.transactions,
+        });
+        logger.info('Served payout adjustments', {
+          payoutId: id,
+          count: adjustments.total_count,
+          incomplete: adjustments.incomplete,
+        });
+
+        return res.json({
+          ...adjustments,
+          source: mirrored ? 'mirror' : 'stripe',
+        });
+      } catch (error) {
+        if (error && error.statusCode === 404) {
+          return sendError(
+            req,
+            res,
+            404,
+            ERROR_CODES.payoutNotFound,
+            'Payout not found'
+          );
+        }
+
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/disputes',
+    requireScope(SCOPES.transactionsRead),
+    async (req, res, next) => {
+      const { refresh, ...query } = req.query;
+
+      try {
+        const listing = await loadWithCache(
+          req.tenantId,
+          buildCacheKey(req.tenantId, req.path, query),
+          () =>
+            fetchOpenDisputes(req.tenantId, {
+              limit: parseLimit(query.limit),
+              startingAfter: query.starting_after,
+            }),
+          {
+            refresh: refresh === 'true',
+            tags: [DISPUTE_CACHE_TAG, disputeCacheTag(req.tenantId)],
+          }
+        );
+        return res.json(listing);
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/webhooks/events',
+    requireScope(SCOPES.payoutsRead),
+    (req, res) => {
+      const events = eventStore.list({
+        tenantId: req.tenantId,
+        types: PAYOUT_EVENT_TYPES,
+        type: req.query.type,
+        payoutId: req.query.payout_id,
+        limit: parseLimit(req.query.limit),
+      });
+
+      return res.json({ data: events, total_count: events.length });
+    }
+  );
+
+  app.post(
+    '/api/subscriptions',
+    requireScope(SCOPES.subscriptionsManage),
+    validateCreateSubscription,
+    (req, res) => {
+      const subscription = subscriptionStore.create(req.subscriptionParams);
+      logger.info('Created webhook subscription', {
+        subscriptionId: subscription.id,
+        events: subscription.events,
+      });
+
+      return res.status(201).json({
+        subscription: {
+          ...shapeSubscription(subscription),
+          secret: subscription.secret,
+        },
+      });
+    }
+  );
+
+  app.get(
+    '/api/subscriptions',
+    requireScope(SCOPES.subscriptionsManage),
+    (req, res) => {
+      const subscriptions = subscriptionStore
+        .listForTenant(req.tenantId)
+        .map(shapeSubscription);
+      return res.json({
+        data: subscriptions,
+        total_count: subscriptions.length,
+      });
+    }
+  );
+
+  app.get(
+    '/api/subscriptions/:id',
+    requireScope(SCOPES.subscriptionsManage),
+    (req, res) => {
+      const subscription = findTenantSubscription(req, res);
+      if (!subscription) {
+        return undefined;
+      }
+
+      return res.json({ subscription: shapeSubscription(subscription) });
+    }
+  );
+
+  app.delete(
+    '/api/subscriptions/:id',
+    requireScope(SCOPES.subscriptionsManage),
+    (req, res) => {
+      const subscription = findTenantSubscription(req, res);
+      if (!subscription) {
+        return undefined;
+      }
+
+      subscriptionStore.delete(subscription.id);
+      dispatcher.cancelSubscription(subscription.id);
+      logger.info('Deleted webhook subscription', {
+        subscriptionId: subscription.id,
+      });
+      return res.json({ id: subscription.id, deleted: true });
+    }
+  );
+
+  app.get(
+    '/api/subscriptions/:id/deliveries',
+    requireScope(SCOPES.subscriptionsManage),
+    (req, res) => {
+      const subscription = findTenantSubscription(req, res);
+      if (!subscription) {
+        return undefined;
+      }
+
+      const deliveries = dispatcher.list(subscription.id, {
+        status: req.query.status,
+        limit: parseLimit(req.query.limit),
+      });
+      return res.json({ data: deliveries, total_count: deliveries.length });
+    }
+  );
+
+  app.post(
+    '/api/subscriptions/:id/deliveries/:deliveryId/retry',
+    requireScope(SCOPES.subscriptionsManage),
+    (req, res) => {
+      const subscription = findTenantSubscription(req, res);
+      if (!subscription) {
+        return undefined;
+      }
+
+      const existing = dispatcher.get(req.params.deliveryId);
+      if (!existing || existing.subscriptionId !== subscription.id) {
+        return sendError(
+          req,
+          res,
+          404,
+          ERROR_CODES.deliveryNotFound,
+          'Delivery not found'
+        );
+      }
+
+      const delivery = dispatcher.redrive(existing.id);
+      if (!delivery) {
+        return sendError(
+          req,
+          res,
+          409,
+          ERROR_CODES.deliveryInProgress,
+          'Delivery is still being attempted'
+        );
+      }
+
+      logger.info('Redriving payout event delivery', {
+        deliveryId: delivery.id,
+        eventId: delivery.eventId,
+      });
+      return res.status(202).json({ delivery });
+    }
+  );
+
+  app.get(
+    '/api/audit',
+    requireScope(SCOPES.auditRead),
+    async (req, res, next) => {
+      const tenantId = normalizeTenant(req.query.tenantId) || req.tenantId;
+      if (!canAccessTenant(req.credential, tenantId)) {
+        return sendError(
+          req,
+          res,
+          403,
+          ERROR_CODES.tenantForbidden,
+          'Credential is not authorized for this tenant'
+        );
+      }
+
+      const toIsoDate = (value) => {
+        const timestamp = toUnixTimestamp(value);
+        return timestamp === undefined
+          ? undefined
+          : new Date(timestamp * 1000).toISOString();
+      };
+
+      try {
+        const { records, hasMore } = await auditLog.query(
+          {
+            tenantId,
+            credentialId: req.query.credential_id,
+            payoutId: req.query.payout_id,
+            requestId: req.query.request_id,
+            route: req.query.route,
+            from: toIsoDate(req.query.from_date),
+            to: toIsoDate(req.query.to_date),
+            before: req.query.starting_after
+              ? Number(req.query.starting_after)
+              : undefined,
+          },
+          Number(req.query.limit) || 100
+        );
+        return res.json({ data: records, has_more: hasMore });
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/audit/verify',
+    requireScope(SCOPES.auditRead),
+    async (req, res, next) => {
+      try {
+        const result = await auditLog.verify();
+        if (!result.valid) {
+          logger.error('Audit log chain is broken', result.broken_at);
+        }
+        return res.json(result);
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get(
+    '/api/admin/rate-limits',
+    requireScope(SCOPES.adminRead),
+    async (req, res, next) => {
+      const requested = normalizeTenant(req.query.tenantId);
+      if (requested && !canAccessTenant(req.credential, requested)) {
+        return sendError(
+          req,
+          res,
+          403,
+          ERROR_CODES.tenantForbidden,
+          'Credential is not authorized for this tenant'
+        );
+      }
+
+      try {
+        const tenantIds = requested
+          ? [requested]
+          : [
+              ...new Set([
+                ...req.credential.tenants.filter(
+                  (tenantId) => tenantId !== ALL_TENANTS
+                ),
+                ...(await listRateLimitedTenants()),
+              ]),
+            ]
+              .filter((tenantId) => canAccessTenant(req.credential, tenantId))
+              .sort();
+        return res.json({ data: await getRateLimitUsage(tenantIds) });
+      } catch (error) {
+        return next(error);
+      }
+    }
+  );
+
+  app.get('/api/admin/config', requireScope(SCOPES.adminRead), (req, res) =>
+    res.json(describeConfig())
+  );
+
+  app.post(
+    '/api/admin/config/reload',
+    requireScope(SCOPES.adminWrite),
+    (req, res, next) => {
+      try {
+        return res.json(reloadConfig());
+      } catch (error) {
+        if (error instanceof ConfigError) {
+          logger.warn('Rejected configuration reload', {
+            issues: error.issues,
+          });
+          return sendError(
+            req,
+            res,
+            422,
+            ERROR_CODES.invalidConfig,
+            'Configuration is invalid; the current one was kept',
+            { issues: error.issues }
+          );
+        }
+        return next(error);
+      }
+    }
+  );
+
+  app.use((req, res) =>
+    sendError(req, res, 404, ERROR_CODES.routeNotFound, 'Route not found')
+  );
+
+  app.use((err, req, res, next) => {
+    // eslint-disable-line no-unused-vars
+    logger.error('Unhandled request error', { error: err });
+    const status = err.status || 500;
+    sendError(
+      req,
+      res,
+      status,
+      errorCodeFor(err, status),
+      err.message || 'Internal server error'
+    );
+  });
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('./config');
+const { logger } = require('./logger');
+const { normalizeTenant } = require('./tenancy');
+
+// `previousHash` of the first record ever written
+const GENESIS_HASH = '0'.repeat(64);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_IN_MS = 86_400_000;
+
+// Keys sorted at every level, so a record hashes the same after a round trip
+// through JSON.parse regardless of property order.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRecord = ({ hash, ...record }) =>
+  crypto.createHash('sha256').update(canonicalJson(record)).digest('hex');
+
+// A line cut short by a crash mid-write is kept as a marker, so
+// verification reports it instead of skipping over it.
+const parseLine = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return { corrupt: true };
+  }
+};
+
+const matchesFilters = (record, filters) =>
+  !record.corrupt &&
+  (!filters.tenantId || record.tenantId === filters.tenantId) &&
+  (!filters.credentialId || record.credentialId === filters.credentialId) &&
+  (!filters.payoutId || record.payoutIds.includes(filters.payoutId)) &&
+  (!filters.requestId || record.requestId === filters.requestId) &&
+  (!filters.route || record.route === filters.route) &&
+  (!filters.from || record.at >= filters.from) &&
+  (!filters.to || record.at <= filters.to) &&
+  (!filters.before || record.sequence < filters.before);
+
+/**
+ * Walks records oldest first and checks that each one's hash matches its
+ * content and that it names the previous record's hash. `checkpoint` is the
+ * last record removed by pruning, which the first remaining record chains to.
+ */
+const verifyChain = async (records, checkpoint) => {
+  let previous = checkpoint || { sequence: 0, hash: GENESIS_HASH };
+  let checked = 0;
+
+  for await (const record of records) {
+    const problem =
+      (record.corrupt && 'unreadable record') ||
+      (record.sequence !== previous.sequence + 1 && 'sequence gap') ||
+      (record.previousHash !== previous.hash && 'previous hash mismatch') ||
+      (record.hash !== hashRecord(record) && 'content hash mismatch') ||
+      null;
+    if (problem) {
+      return {
+        valid: false,
+        checked,
+        broken_at: { sequence: previous.sequence + 1, reason: problem },
+        head: { sequence: previous.sequence, hash: previous.hash },
+      };
+    }
+
+    previous = record;
+    checked += 1;
+  }
+
+  return {
+    valid: true,
+    checked,
+    broken_at: null,
+    head: { sequence: previous.sequence, hash: previous.hash },
+  };
+};
+
+/**
+ * Append-only log of who read or changed which tenant's payout data. Every
+ * record carries the SHA-256 of its content and of the record before it, so
+ * editing, removing or reordering records breaks the chain and shows up in
+ * `verify()`. Records older than AUDIT_RETENTION_DAYS are pruned; the last
+ * pruned record is kept as the checkpoint the chain continues from.
+ */
+class MemoryAuditLog {
+  constructor() {
+    this.records = [];
+    this.checkpoint = null;
+    this.head = { sequence: 0, hash: GENESIS_HASH };
+  }
+
+  // Chains `entry` onto the head. Synchronous, so records are numbered in
+  // the order requests finish.
+  chain(entry) {
+    const record = {
+      sequence: this.head.sequence + 1,
+      at: new Date().toISOString(),
+      ...entry,
+      previousHash: this.head.hash,
+    };
+    record.hash = hashRecord(record);
+    this.head = { sequence: record.sequence, hash: record.hash };
+    return record;
+  }
+
+  async append(entry) {
+    const record = this.chain(entry);
+    this.records.push(record);
+    return record;
+  }
+
+  // Newest first
+  async query(filters = {}, limit = 100) {
+    const matching = [];
+    for (let index = this.records.length - 1; index >= 0; index -= 1) {
+      if (matchesFilters(this.records[index], filters)) {
+        if (matching.length === limit) {
+          return { records: matching, hasMore: true };
+        }
+        matching.push(this.records[index]);
+      }
+    }
+    return { records: matching, hasMore: false };
+  }
+
+  async verify() {
+    return verifyChain(this.records, this.checkpoint);
+  }
+
+  async prune(cutoff) {
+    const keepFrom = this.records.findIndex((record) => record.at >= cutoff);
+    const removed = keepFrom === -1 ? this.records.length : keepFrom;
+    if (removed > 0) {
+      const last = this.records[removed - 1];
+      this.checkpoint = { sequence: last.sequence, hash: last.hash };
+      this.records = this.records.slice(removed);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Audit records appended to a JSON Lines file. Only the head of the chain is
+ * kept in memory; queries and verification read the file. A checkpoint line
+ * written by pruning precedes the records. Writes are queued so the file
+ * keeps the order the records were chained in.
+ */
+class FileAuditLog extends MemoryAuditLog {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writes = Promise.resolve();
+    this.loadHead();
+  }
+
+  loadHead() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      const parsed = parseLine(line);
+      if (parsed.corrupt) {
+        logger.error('Unreadable line in audit log', { file: this.filePath });
+      } else if (parsed.checkpoint) {
+        this.checkpoint = parsed.checkpoint;
+        this.head = parsed.checkpoint;
+      } else {
+        this.head = { sequence: parsed.sequence, hash: parsed.hash };
+      }
+    }
+  }
+
+  enqueue(write) {
+    const result = this.writes.then(write);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  async append(entry) {
+    const record = this.chain(entry);
+    await this.enqueue(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), {
+        recursive: true,
+      });
+      await fs.promises.appendFile(
+        this.filePath,
+        `${JSON.stringify(record)}\n`,
+        { mode: 0o600 }
+      );
+    });
+    return record;
+  }
+
+  async *readRecords() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf8'),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      const parsed = parseLine(line);
+      if (!parsed.checkpoint) {
+        yield parsed;
+      }
+    }
+  }
+
+  async query(filters = {}, limit = 100) {
+    // The newest `limit + 1` matches, collected in one pass
+    const matching = [];
+    for await (const record of this.readRecords()) {
+      if (matchesFilters(record, filters)) {
+        matching.push(record);
+        if (matching.length > limit + 1) {
+          matching.shift();
+        }
+      }
+    }
+
+    const hasMore = matching.length > limit;
+    return {
+      records: matching.slice(hasMore ? 1 : 0).reverse(),
+      hasMore,
+    };
+  }
+
+  async verify() {
+    await this.writes;
+    return verifyChain(this.readRecords(), this.checkpoint);
+  }
+
+  prune(cutoff) {
+    return this.enqueue(async () => {
+      let removed = 0;
+      let checkpoint = this.checkpoint;
+      const kept = [];
+      for await (const record of this.readRecords()) {
+        if (record.at < cutoff && kept.length === 0) {
+          removed += 1;
+          checkpoint = { sequence: record.sequence, hash: record.hash };
+        } else {
+          kept.push(JSON.stringify(record));
+        }
+      }
+      if (removed === 0) {
+        return 0;
+      }
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(
+        tempPath,
+        [JSON.stringify({ checkpoint }), ...kept, ''].join('\n'),
+        { mode: 0o600 }
+      );
+      await fs.promises.rename(tempPath, this.filePath);
+      this.checkpoint = checkpoint;
+      return removed;
+    });
+  }
+}
+
+const createAuditLog = () => {
+  switch (config.auditStore) {
+    case 'memory':
+      return new MemoryAuditLog();
+    case 'file':
+      return new FileAuditLog(config.auditLogFile);
+    default:
+      throw new Error(`Unsupported AUDIT_STORE: ${config.auditStore}`);
+  }
+};
+
+const auditLog = createAuditLog();
+
+const pruneAuditLog = async () => {
+  const cutoff = new Date(
+    Date.now() - config.auditRetentionDays * DAY_IN_MS
+  ).toISOString();
+  try {
+    const removed = await auditLog.prune(cutoff);
+    if (removed > 0) {
+      logger.info('Pruned audit records', { removed, before: cutoff });
+    }
+  } catch (error) {
+    logger.error('Failed to prune audit records', { error });
+  }
+};
+
+const startAuditPruning = () => {
+  pruneAuditLog();
+  const timer = setInterval(pruneAuditLog, PRUNE_INTERVAL_MS);
+  timer.unref();
+};
+
+const payoutIdsIn = (body) => {
+  if (Array.isArray(body?.data)) {
+    return body.data
+      .filter((item) => item?.object === 'payout')
+      .map((item) => item.id);
+  }
+  return body?.payout?.id ? [body.payout.id] : [];
+};
+
+// Rows returned, or null for aggregates such as the summary
+const resultCountOf = (body) => {
+  if (Array.isArray(body?.data)) {
+    return body.data.length;
+  }
+  return body?.payout ? 1 : null;
+};
+
+/**
+ * Records one audit entry per /api/payouts request once the response is
+ * done, including requests rejected by authentication. Mounted before
+ * `requireInternalHeaders` so those are seen too. JSON bodies are inspected
+ * for the payouts they contain; streamed exports report theirs through
+ * `noteAuditedRows`.
+ */
+const auditPayoutAccess = (req, res, next) => {
+  const audit = { body: undefined, payoutIds: new Set(), resultCount: null };
+  res.locals.audit = audit;
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    audit.body = body;
+    return sendJson(body);
+  };
+
+  res.once('close', () => {
+    const succeeded = res.statusCode < 400;
+    const payoutIds = new Set(audit.payoutIds);
+    if (succeeded) {
+      payoutIdsIn(audit.body).forEach((id) => payoutIds.add(id));
+      if (req.params?.id) {
+        payoutIds.add(req.params.id);
+      }
+    }
+
+    const entry = {
+      requestId: req.requestId,
+      credentialId: req.credential?.id || null,
+      legacyCredential: Boolean(req.credential?.legacy),
+      ip: req.ip,
+      // The tenant whose data was asked for, which a tenantId filter overrides
+      tenantId:
+        normalizeTenant(req.query.tenantId) ||
+        req.tenantId ||
+        normalizeTenant(req.get('x-tenant')) ||
+        null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      query: { ...req.query },
+      status: res.statusCode,
+      aborted: !res.writableFinished,
+      payoutIds: [...payoutIds],
+      resultCount:
+        audit.body !== undefined && succeeded
+          ? resultCountOf(audit.body)
+          : audit.resultCount,
+    };
+
+    auditLog.append(entry).catch((error) => {
+      logger.error('Failed to write audit record', {
+        requestId: req.requestId,
+        error,
+      });
+    });
+  });
+
+  next();
+};
+
+// For responses that are not JSON, such as exports
+const noteAuditedRows = (res, { payoutIds = [], count = 0 }) => {
+  const audit = res.locals.audit;
+  if (!audit) {
+    return;
+  }
+  payoutIds.forEach((id) => audit.payoutIds.add(id));
+  audit.resultCount = (audit.resultCount || 0) + count;
+};
+
+module.exports = {
+  FileAuditLog,
+  MemoryAuditLog,
+  auditLog,
+  auditPayoutAccess,
+  canonicalJson,
+  hashRecord,
+  noteAuditedRows,
+  startAuditPruning,
+};
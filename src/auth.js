@@ -1,10 +1,34 @@
-const { sharedSecret } = require('./config');
+const { normalizeTenant } = require('./tenancy');
+const { addContext } = require('./logger');
+const { ERROR_CODES, sendError } = require('./errors');
+const {
+  ALL_TENANTS,
+  authenticateApiKey,
+  canAccessTenant,
+  hasScope,
+} = require('./credentials');
 
 const headerNames = {
   auth: 'x-internal-auth',
   tenant: 'x-tenant',
 };
 
+const resolveRequestedTenant = (credential, requestedTenant) => {
+  if (requestedTenant) {
+    return requestedTenant;
+  }
+
+  // Keys bound to a single tenant do not need to repeat it in X-Tenant
+  const boundTenants = credential.tenants.filter(
+    (tenant) => tenant !== ALL_TENANTS
+  );
+  if (boundTenants.length === 1 && !credential.tenants.includes(ALL_TENANTS)) {
+    return boundTenants[0];
+  }
+
+  return null;
+};
+
 const requireInternalHeaders = (req, res, next) => {
   // Skip auth for health check
   if (req.path === '/api/health' || req.path === '/health') {
@@ -12,26 +36,80 @@ const requireInternalHeaders = (req, res, next) => {
   }
 
   const providedSecret = req.headers[headerNames.auth];
-  const tenantId = req.headers[headerNames.tenant];
 
   if (!providedSecret) {
-    return res.status(401).json({ error: 'Missing X-Internal-Auth header' });
+    return sendError(
+      req,
+      res,
+      401,
+      ERROR_CODES.missingApiKey,
+      'Missing X-Internal-Auth header'
+    );
   }
 
-  if (providedSecret !== sharedSecret) {
-    return res.status(403).json({ error: 'Invalid internal secret' });
+  const credential = authenticateApiKey(providedSecret);
+  if (!credential) {
+    return sendError(
+      req,
+      res,
+      403,
+      ERROR_CODES.invalidApiKey,
+      'Invalid internal secret'
+    );
   }
 
+  const tenantId = resolveRequestedTenant(
+    credential,
+    normalizeTenant(req.headers[headerNames.tenant])
+  );
+
   if (!tenantId) {
-    return res.status(400).json({ error: 'Missing X-Tenant header' });
+    return sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.missingTenant,
+      'Missing X-Tenant header'
+    );
+  }
+
+  if (!canAccessTenant(credential, tenantId)) {
+    return sendError(
+      req,
+      res,
+      403,
+      ERROR_CODES.tenantForbidden,
+      'Credential is not authorized for this tenant'
+    );
   }
 
+  req.credential = credential;
   req.tenantId = tenantId;
+  addContext({ tenantId, credentialId: credential.id });
+  return next();
+};
+
+// Health endpoints stay public; a valid key only unlocks their details.
+const identifyCaller = (req) =>
+  authenticateApiKey(req.headers[headerNames.auth]);
+
+const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.credential, scope)) {
+    return sendError(
+      req,
+      res,
+      403,
+      ERROR_CODES.missingScope,
+      `Missing required scope: ${scope}`
+    );
+  }
+
   return next();
 };
 
 module.exports = {
   headerNames,
+  identifyCaller,
   requireInternalHeaders,
+  requireScope,
 };
-
@@ -0,0 +1,71 @@
+const stripeGateway = require('./stripeGateway');
+const config = require('./config');
+const { scanList } = require('./pagination');
+const { stripeRequestOptions } = require('./tenancy');
+const { buildPayoutForecast, summarizeBalance } = require('./payoutForecast');
+
+const DAY_IN_SECONDS = 86_400;
+
+const fetchBalance = async (tenantId) => {
+  const balance = await stripeGateway.balance.retrieve(
+    {},
+    stripeRequestOptions(tenantId)
+  );
+
+  return {
+    success: true,
+    data: summarizeBalance(balance),
+    livemode: balance.livemode,
+  };
+};
+
+// Pending transactions are recent by nature, so only the last
+// FORECAST_LOOKBACK_DAYS are scanned for them.
+const fetchPayoutForecast = async (tenantId) => {
+  const requestOptions = stripeRequestOptions(tenantId);
+  const now = new Date();
+  const [balance, account, pending] = await Promise.all([
+    stripeGateway.balance.retrieve({}, requestOptions),
+    stripeGateway.accounts.retrieveCurrent({}, requestOptions),
+    scanList({
+      fetchPage: (pageParams) =>
+        stripeGateway.balanceTransactions.list(
+          {
+            ...pageParams,
+            created: {
+              gte:
+                Math.floor(now.getTime() / 1000) -
+                config.forecastLookbackDays * DAY_IN_SECONDS,
+            },
+          },
+          requestOptions
+        ),
+      predicate: (tx) => tx.status === 'pending',
+      limit: Number.POSITIVE_INFINITY,
+      scanBudget: config.forecastScanBudget,
+    }),
+  ]);
+
+  const forecast = buildPayoutForecast({
+    balance,
+    transactions: pending.data,
+    schedule: account.settings?.payouts?.schedule,
+    now,
+  });
+
+  return {
+    success: true,
+    schedule: forecast.schedule,
+    automatic: forecast.automatic,
+    data: forecast.payouts,
+    availability: forecast.availability,
+    balance: summarizeBalance(balance),
+    generated_at: now.toISOString(),
+    scan_budget_exhausted: pending.budgetExhausted,
+  };
+};
+
+module.exports = {
+  fetchBalance,
+  fetchPayoutForecast,
+};
@@ -1,36 +1,38 @@
-class InMemoryCache {
-  constructor() {
-    this.store = new Map();
+const config = require('./config');
+const MemoryCache = require('./memoryCache');
+const RedisCache = require('./redisCache');
+
+const createCache = () => {
+  switch (config.cacheBackend) {
+    case 'memory':
+      return new MemoryCache({
+        maxEntries: config.cacheMaxEntries,
+        maxBytes: config.cacheMaxBytes,
+      });
+    case 'redis':
+      return new RedisCache({
+        url: config.redisUrl,
+        keyPrefix: config.cacheKeyPrefix,
+        commandTimeoutMs: config.redisCommandTimeoutMs,
+      });
+    default:
+      throw new Error(`Unsupported CACHE_BACKEND: ${config.cacheBackend}`);
   }
-
-  get(key) {
-    const record = this.store.get(key);
-    if (!record) {
-      return null;
-    }
-
-    const { value, expiresAt } = record;
-    if (expiresAt && expiresAt < Date.now()) {
-      this.store.delete(key);
-      return null;
-    }
-
-    return value;
-  }
-
-  set(key, value, ttlSeconds) {
-    const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
-    this.store.set(key, { value, expiresAt });
-  }
-
-  delete(key) {
-    this.store.delete(key);
-  }
-
-  clear() {
-    this.store.clear();
-  }
-}
-
-module.exports = new InMemoryCache();
-
+};
+
+let backend = createCache();
+
+// Modules keep a reference to this object, so the backend behind it can be
+// replaced (see createApp) without them noticing.
+module.exports = {
+  get: (key) => backend.get(key),
+  set: (key, value, ttlSeconds, options) =>
+    backend.set(key, value, ttlSeconds, options),
+  delete: (key) => backend.delete(key),
+  invalidateTag: (tag) => backend.invalidateTag(tag),
+  ping: () => backend.ping(),
+  clear: () => backend.clear(),
+  useBackend: (next) => {
+    backend = next;
+  },
+};
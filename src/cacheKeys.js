@@ -0,0 +1,17 @@
+const buildCacheKey = (tenantId, path, params) =>
+  [tenantId, path, JSON.stringify(params || {})].join(':');
+
+// Every tenant-scoped entry carries this tag so it can be purged at once.
+const tenantCacheTag = (tenantId) => `tenant:${tenantId}`;
+
+// Dispute listings also carry these tags: a connected account's dispute
+// events purge its tenant's listings, platform dispute events all of them.
+const DISPUTE_CACHE_TAG = 'disputes';
+const disputeCacheTag = (tenantId) => `disputes:${tenantId}`;
+
+module.exports = {
+  DISPUTE_CACHE_TAG,
+  buildCacheKey,
+  disputeCacheTag,
+  tenantCacheTag,
+};
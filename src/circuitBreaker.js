@@ -0,0 +1,102 @@
+const CIRCUIT_STATES = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half_open',
+};
+
+/**
+ * Consecutive-failure circuit breaker. After `failureThreshold` failures in a
+ * row the circuit opens and calls are rejected without being attempted. Once
+ * `resetTimeoutMs` has passed a single trial call is let through (half open);
+ * its outcome closes the circuit again or re-opens it.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs, onStateChange = () => {} }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.onStateChange = onStateChange;
+    this.state = CIRCUIT_STATES.closed;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  transition(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange(state, previous);
+  }
+
+  // Whether a call may proceed now. Reserves the trial call when half open.
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.closed) {
+      return true;
+    }
+
+    if (
+      this.state === CIRCUIT_STATES.open &&
+      Date.now() - this.openedAt >= this.resetTimeoutMs
+    ) {
+      this.transition(CIRCUIT_STATES.halfOpen);
+    }
+
+    if (this.state === CIRCUIT_STATES.halfOpen && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.openedAt = null;
+    this.transition(CIRCUIT_STATES.closed);
+  }
+
+  recordFailure() {
+    this.consecutiveFailures += 1;
+    this.trialInFlight = false;
+
+    if (
+      this.state === CIRCUIT_STATES.halfOpen ||
+      this.consecutiveFailures >= this.failureThreshold
+    ) {
+      this.openedAt = Date.now();
+      this.transition(CIRCUIT_STATES.open);
+    }
+  }
+
+  // Releases a half-open trial whose outcome says nothing about the upstream
+  // (e.g. a 404 or a slot-wait timeout), so the next call can probe instead.
+  // The circuit stays half open until a trial actually succeeds.
+  recordNeutral() {
+    if (this.state === CIRCUIT_STATES.closed) {
+      this.consecutiveFailures = 0;
+    } else {
+      this.trialInFlight = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt:
+        this.state === CIRCUIT_STATES.open
+          ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+          : null,
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  CircuitBreaker,
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_SCHEMA } = require('./configSchema');
+const { parseYaml } = require('./yaml');
+
+// Kept free of ./config and ./logger so it can build the configuration they
+// are loaded with.
+
+const BOOLEAN_VALUES = {
+  true: true,
+  1: true,
+  yes: true,
+  y: true,
+  on: true,
+  false: false,
+  0: false,
+  no: false,
+  n: false,
+  off: false,
+};
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+class ConfigError extends Error {
+  constructor(issues) {
+    super(`Invalid configuration: ${issues.join('; ')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+const envNames = (setting) => [].concat(setting.env);
+
+const describeRange = ({ min, exclusiveMin, max }) => {
+  if (exclusiveMin !== undefined) {
+    return ` greater than ${exclusiveMin}`;
+  }
+  if (min !== undefined && max !== undefined) {
+    return ` from ${min} to ${max}`;
+  }
+  if (min !== undefined) {
+    return ` of at least ${min}`;
+  }
+  return max !== undefined ? ` of at most ${max}` : '';
+};
+
+const inRange = (value, { min, exclusiveMin, max }) =>
+  (min === undefined || value >= min) &&
+  (exclusiveMin === undefined || value > exclusiveMin) &&
+  (max === undefined || value <= max);
+
+const checkNumber = (value, type, rules) => {
+  const valid =
+    Number.isFinite(value) &&
+    (type !== 'integer' || Number.isInteger(value)) &&
+    inRange(value, rules);
+  return valid
+    ? { value }
+    : {
+        error: `must be ${type === 'integer' ? 'an integer' : 'a number'}${describeRange(rules)}`,
+      };
+};
+
+// `values` of a map setting are checked as settings of their own type
+const entrySetting = (setting) => ({ ...setting, type: setting.values });
+
+/**
+ * Converts one raw value to the setting's type. Environment values are
+ * strings; CONFIG_FILE values may already be typed. Returns `{ value }` or
+ * `{ error }` describing what the value must be.
+ */
+const convert = (raw, setting) => {
+  const text = typeof raw === 'string' ? raw.trim() : null;
+
+  switch (setting.type) {
+    case 'string':
+      if (text === null) {
+        return { error: 'must be a string' };
+      }
+      return { value: setting.lowercase ? text.toLowerCase() : text };
+    case 'url':
+      try {
+        new URL(text);
+        return { value: text };
+      } catch {
+        return { error: 'must be a URL' };
+      }
+    case 'integer':
+    case 'number': {
+      if (text !== null && setting.type === 'integer') {
+        return INTEGER_PATTERN.test(text)
+          ? checkNumber(Number(text), setting.type, setting)
+          : { error: 'must be an integer' };
+      }
+      const value = text !== null ? (text === '' ? NaN : Number(text)) : raw;
+      return typeof value === 'number'
+        ? checkNumber(value, setting.type, setting)
+        : { error: `must be a ${setting.type}` };
+    }
+    case 'boolean': {
+      const value =
+        typeof raw === 'boolean' ? raw : BOOLEAN_VALUES[text?.toLowerCase()];
+      return value === undefined
+        ? { error: 'must be true or false' }
+        : { value };
+    }
+    case 'enum': {
+      const value = text?.toLowerCase();
+      return setting.values.includes(value)
+        ? { value }
+        : { error: `must be one of ${setting.values.join(', ')}` };
+    }
+    case 'list': {
+      const items =
+        text !== null
+          ? text.split(',')
+          : Array.isArray(raw) && raw.every((item) => typeof item === 'string')
+            ? raw
+            : null;
+      if (!items) {
+        return { error: 'must be a list of strings' };
+      }
+      const value = items.map((item) => item.trim()).filter(Boolean);
+      return {
+        value: setting.lowercase
+          ? value.map((item) => item.toLowerCase())
+          : value,
+      };
+    }
+    case 'map': {
+      let entries;
+      if (text !== null) {
+        // "acme:acct_123,beta:acct_456"
+        entries = text
+          .split(',')
+          .map((entry) => entry.trim())
+          .filter(Boolean)
+          .map((entry) => {
+            const separatorIndex = entry.indexOf(':');
+            return separatorIndex > 0
+              ? [
+                  entry.slice(0, separatorIndex),
+                  entry.slice(separatorIndex + 1),
+                ]
+              : [entry, undefined];
+          });
+      } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+        entries = Object.entries(raw);
+      } else {
+        return { error: 'must be a map of key:value pairs' };
+      }
+
+      const value = {};
+      for (const [key, entry] of entries) {
+        const name = key.trim().toLowerCase();
+        const converted =
+          entry === undefined || entry === null || name === ''
+            ? { error: 'must be key:value pairs' }
+            : convert(entry, entrySetting(setting));
+        if (converted.error) {
+          return { error: `entry "${key}" ${converted.error}` };
+        }
+        value[name] = converted.value;
+      }
+      return { value };
+    }
+    default:
+      return { error: `has unknown type ${setting.type}` };
+  }
+};
+
+const readConfigFile = (filePath) => {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE cannot be read: ${error.message}`]);
+  }
+
+  let parsed;
+  try {
+    parsed = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase())
+      ? parseYaml(text)
+      : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE is not valid: ${error.message}`]);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(['CONFIG_FILE must hold an object of settings']);
+  }
+  return parsed;
+};
+
+// Settings that depend on each other
+const checkRequirements = (values) => {
+  const issues = [];
+  if (!values.stripeSecretKey) {
+    issues.push('STRIPE_SECRET_KEY is required');
+  }
+  if (values.allowLegacySharedSecret && !values.sharedSecret) {
+    issues.push(
+      'PAYMENTS_SHARED_SECRET (or X_PAYMENTS_SECRET) is required when ALLOW_LEGACY_SHARED_SECRET=true'
+    );
+  }
+  if (values.cacheBackend === 'redis' && !values.redisUrl) {
+    issues.push('REDIS_URL is required when CACHE_BACKEND=redis');
+  }
+  if (values.rateLimitStore === 'redis' && !values.redisUrl) {
+    issues.push('REDIS_URL is required when RATE_LIMIT_STORE=redis');
+  }
+  if (values.stateStore === 'redis' && !values.redisUrl) {
+    issues.push('REDIS_URL is required when STATE_STORE=redis');
+  }
+  if (!values.apiKeysFile && !values.allowLegacySharedSecret) {
+    issues.push(
+      'API_KEYS_FILE (or ALLOW_LEGACY_SHARED_SECRET=true) is required'
+    );
+  }
+  return issues;
+};
+
+/**
+ * Builds every setting of CONFIG_SCHEMA from its default, the environment
+ * and the optional CONFIG_FILE (JSON, or YAML for `.yaml`/`.yml`), each
+ * overriding the one before. Empty environment variables count as unset.
+ * Returns the values and where each came from (`default`, `env` or
+ * `file`); throws a ConfigError listing every invalid or missing setting.
+ */
+const loadConfig = (env = process.env) => {
+  const configFile = env.CONFIG_FILE || null;
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+
+  const issues = Object.keys(fileValues)
+    .filter((key) => !CONFIG_SCHEMA[key])
+    .map((key) => `CONFIG_FILE has unknown setting "${key}"`);
+  const values = {};
+  const sources = {};
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, setting]) => {
+    const envName = envNames(setting).find(
+      (name) => env[name] !== undefined && env[name] !== ''
+    );
+    const fromFile =
+      Object.prototype.hasOwnProperty.call(fileValues, key) &&
+      fileValues[key] !== null;
+
+    if (!fromFile && !envName) {
+      values[key] = structuredClone(setting.default);
+      sources[key] = 'default';
+      return;
+    }
+
+    const { value, error } = convert(
+      fromFile ? fileValues[key] : env[envName],
+      setting
+    );
+    if (error) {
+      issues.push(
+        `${fromFile ? `CONFIG_FILE setting "${key}"` : envName} ${error}`
+      );
+      return;
+    }
+    values[key] = value;
+    sources[key] = fromFile ? 'file' : 'env';
+  });
+
+  if (issues.length === 0) {
+    issues.push(...checkRequirements(values));
+  }
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  return { values, sources, file: configFile };
+};
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+};
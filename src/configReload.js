@@ -0,0 +1,119 @@
+const { isDeepStrictEqual } = require('util');
+const config = require('./config');
+const { CONFIG_SCHEMA } = require('./configSchema');
+const { ConfigError, loadConfig } = require('./configLoader');
+const { logger, setLogLevel } = require('./logger');
+
+const REDACTED = '[REDACTED]';
+
+// What the running service was built from. Reloads are compared with this
+// rather than with `config`, so values set by createApp() are only replaced
+// when CONFIG_FILE actually changes them.
+const applied = loadConfig();
+const listeners = [];
+const checks = [];
+
+// `listener(changedKeys)` runs after every successful reload, so files named
+// by settings can be read again even when the settings themselves are the
+// same
+const onConfigReload = (listener) => {
+  listeners.push(listener);
+};
+
+// `check(values)` runs before a reload is applied and returns the issues of
+// the settings the service would run with; any issue rejects the reload.
+// Used for rules the schema cannot express, like ones that depend on the
+// routes.
+const onConfigCheck = (check) => {
+  checks.push(check);
+};
+
+/**
+ * Reads CONFIG_FILE again and applies the reloadable settings that changed.
+ * The environment is compared as well, but a running process's environment
+ * does not change, so only edits to the file take effect. Settings that
+ * only take effect at startup are reported in `restart_required` and left
+ * alone. An invalid configuration throws a ConfigError and the current one
+ * stays in place.
+ */
+const reloadConfig = () => {
+  const next = loadConfig();
+  const changed = [];
+  const restartRequired = [];
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, setting]) => {
+    if (isDeepStrictEqual(next.values[key], applied.values[key])) {
+      return;
+    }
+    if (!setting.reloadable) {
+      restartRequired.push(key);
+      return;
+    }
+    changed.push(key);
+  });
+
+  const candidate = { ...config };
+  changed.forEach((key) => {
+    candidate[key] = next.values[key];
+  });
+  const issues = checks.flatMap((check) => check(candidate));
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  changed.forEach((key) => {
+    config[key] = next.values[key];
+    applied.values[key] = next.values[key];
+    applied.sources[key] = next.sources[key];
+  });
+  applied.file = next.file;
+
+  if (changed.includes('logLevel')) {
+    setLogLevel(config.logLevel);
+  }
+  listeners.forEach((listener) => listener(changed));
+
+  logger.info('Reloaded configuration', {
+    file: next.file,
+    changed,
+    restartRequired,
+  });
+  return { changed, restart_required: restartRequired };
+};
+
+// Every setting with its current value and where it came from
+const describeConfig = () => ({
+  file: applied.file,
+  settings: Object.entries(CONFIG_SCHEMA).map(([key, setting]) => ({
+    key,
+    env: [].concat(setting.env),
+    type: setting.type,
+    value:
+      setting.secret && config[key] !== null && config[key] !== undefined
+        ? REDACTED
+        : config[key],
+    source: applied.sources[key],
+    reloadable: Boolean(setting.reloadable),
+    description: setting.description,
+  })),
+});
+
+const watchConfigReloadSignal = () => {
+  process.on('SIGHUP', () => {
+    try {
+      reloadConfig();
+    } catch (error) {
+      logger.error('Failed to reload configuration; keeping previous one', {
+        error,
+      });
+    }
+  });
+};
+
+module.exports = {
+  describeConfig,
+  onConfigCheck,
+  onConfigReload,
+  reloadConfig,
+  watchConfigReloadSignal,
+};
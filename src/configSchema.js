@@ -0,0 +1,537 @@
+// Kept free of ./config and ./logger, which are built from it.
+
+const MINUTE_IN_MS = 60_000;
+
+/**
+ * Every setting of the service. `env` names the environment variables it is
+ * read from, the first one set winning; CONFIG_FILE entries use the key
+ * itself. Types:
+ *
+ * - `string`, `url`, `integer` and `number`, with optional `min`,
+ *   `exclusiveMin` and `max`; `lowercase` strings are lowercased
+ * - `boolean`: true/false, 1/0, yes/no, y/n or on/off
+ * - `enum`: one of `values`, case-insensitive
+ * - `list`: comma-delimited in env, an array in the file
+ * - `map`: `key:value` pairs in env, an object in the file; keys are
+ *   lowercased and values have the type `values`
+ *
+ * `reloadable` settings are re-read on SIGHUP or
+ * `POST /api/admin/config/reload`; the rest need a restart because they are
+ * used while the service starts. `secret` values are never shown.
+ */
+const CONFIG_SCHEMA = {
+  env: {
+    env: 'NODE_ENV',
+    type: 'string',
+    default: 'development',
+    description: 'Deployment environment name.',
+  },
+  port: {
+    env: 'PORT',
+    type: 'integer',
+    min: 1,
+    max: 65_535,
+    default: 3000,
+    description: 'HTTP port to listen on.',
+  },
+  logLevel: {
+    env: 'LOG_LEVEL',
+    type: 'enum',
+    values: ['debug', 'info', 'warn', 'error', 'silent'],
+    default: 'info',
+    reloadable: true,
+    description: 'Lowest log level written.',
+  },
+  logRedactFields: {
+    env: 'LOG_REDACT_FIELDS',
+    type: 'list',
+    lowercase: true,
+    default: [],
+    description: 'Extra field names whose values are redacted from logs.',
+  },
+  metricsAuthToken: {
+    env: 'METRICS_AUTH_TOKEN',
+    type: 'string',
+    default: null,
+    secret: true,
+    description: 'Bearer token required by /metrics.',
+  },
+  // Render sets RENDER_GIT_COMMIT on every deploy
+  buildVersion: {
+    env: ['BUILD_VERSION', 'RENDER_GIT_COMMIT'],
+    type: 'string',
+    default: null,
+    description: 'Build identifier reported by /api/health.',
+  },
+  healthProbeTtlSeconds: {
+    env: 'HEALTH_PROBE_TTL_SECONDS',
+    type: 'integer',
+    min: 0,
+    default: 30,
+    reloadable: true,
+    description: 'Seconds a Stripe readiness probe result is reused.',
+  },
+  stripeSecretKey: {
+    env: 'STRIPE_SECRET_KEY',
+    type: 'string',
+    default: null,
+    secret: true,
+    description: 'Stripe secret key with payouts scope.',
+  },
+  sharedSecret: {
+    env: ['PAYMENTS_SHARED_SECRET', 'X_PAYMENTS_SECRET'],
+    type: 'string',
+    default: null,
+    secret: true,
+    description: 'Legacy shared secret accepted in X-Internal-Auth.',
+  },
+  allowLegacySharedSecret: {
+    env: 'ALLOW_LEGACY_SHARED_SECRET',
+    type: 'boolean',
+    default: false,
+    description: 'Accept the legacy shared secret during migration.',
+  },
+  apiKeysFile: {
+    env: 'API_KEYS_FILE',
+    type: 'string',
+    default: null,
+    description: 'Credential store with hashed API keys.',
+  },
+  cacheTtlSeconds: {
+    env: 'CACHE_TTL_SECONDS',
+    type: 'integer',
+    min: 0,
+    default: 60,
+    reloadable: true,
+    description: 'Seconds a cached Stripe read is fresh.',
+  },
+  cacheMaxStaleSeconds: {
+    env: 'CACHE_MAX_STALE_SECONDS',
+    type: 'integer',
+    min: 0,
+    default: 300,
+    reloadable: true,
+    description: 'Seconds an expired entry may still be served stale.',
+  },
+  cacheBackend: {
+    env: 'CACHE_BACKEND',
+    type: 'enum',
+    values: ['memory', 'redis'],
+    default: 'memory',
+    description: 'Cache storage.',
+  },
+  cacheMaxEntries: {
+    env: 'CACHE_MAX_ENTRIES',
+    type: 'integer',
+    min: 1,
+    default: 1000,
+    description: 'Entries kept by the memory cache.',
+  },
+  cacheMaxBytes: {
+    env: 'CACHE_MAX_BYTES',
+    type: 'integer',
+    min: 1,
+    default: 50 * 1024 * 1024,
+    description: 'Approximate size limit of the memory cache.',
+  },
+  cacheKeyPrefix: {
+    env: 'CACHE_KEY_PREFIX',
+    type: 'string',
+    default: 'stripe-payments:',
+    description: 'Prefix of every Redis key.',
+  },
+  redisUrl: {
+    env: 'REDIS_URL',
+    type: 'url',
+    default: null,
+    secret: true,
+    description: 'Redis connection URL.',
+  },
+  redisCommandTimeoutMs: {
+    env: 'REDIS_COMMAND_TIMEOUT_MS',
+    type: 'integer',
+    min: 1,
+    default: 1_000,
+    description: 'Milliseconds before a Redis command is abandoned.',
+  },
+  rateLimitWindowMs: {
+    env: 'TENANT_RATE_LIMIT_WINDOW_MS',
+    type: 'integer',
+    min: 1,
+    default: MINUTE_IN_MS,
+    reloadable: true,
+    description: 'Window in which a tenant without a plan gets its tokens.',
+  },
+  rateLimitMax: {
+    env: 'TENANT_RATE_LIMIT_MAX',
+    type: 'integer',
+    min: 1,
+    default: 100,
+    reloadable: true,
+    description: 'Tokens per window for a tenant without a plan.',
+  },
+  rateLimitBurst: {
+    env: 'TENANT_RATE_LIMIT_BURST',
+    type: 'integer',
+    min: 1,
+    default: null,
+    reloadable: true,
+    description:
+      'Most tokens a tenant without a plan holds; defaults to TENANT_RATE_LIMIT_MAX.',
+  },
+  rateLimitStore: {
+    env: 'RATE_LIMIT_STORE',
+    type: 'enum',
+    values: ['memory', 'redis'],
+    default: 'memory',
+    description: 'Where rate limit buckets are kept.',
+  },
+  stateStore: {
+    env: 'STATE_STORE',
+    type: 'enum',
+    values: ['memory', 'redis'],
+    default: 'memory',
+    description: 'Where payout watcher state and idempotency records are kept.',
+  },
+  rateLimitPlansFile: {
+    env: 'RATE_LIMIT_PLANS_FILE',
+    type: 'string',
+    default: null,
+    reloadable: true,
+    description: 'JSON file with rate limit plans and route costs.',
+  },
+  rateLimitTenantPlans: {
+    env: 'TENANT_RATE_LIMIT_PLANS',
+    type: 'map',
+    values: 'string',
+    default: {},
+    reloadable: true,
+    description: 'Rate limit plan of each tenant, by name.',
+  },
+  allowedOrigins: {
+    env: 'ALLOWED_ORIGINS',
+    type: 'list',
+    default: [],
+    reloadable: true,
+    description: 'Origins allowed by CORS; empty allows all.',
+  },
+  allowUnattributedPayouts: {
+    env: 'ALLOW_UNATTRIBUTED_PAYOUTS',
+    type: 'boolean',
+    default: true,
+    description: 'Show payouts without tenant metadata to shared tenants.',
+  },
+  mirrorEnabled: {
+    env: 'MIRROR_ENABLED',
+    type: 'boolean',
+    default: false,
+    description: 'Sync payouts into the local mirror.',
+  },
+  mirrorStore: {
+    env: 'MIRROR_STORE',
+    type: 'enum',
+    values: ['file', 'memory'],
+    default: 'file',
+    description: 'Mirror storage.',
+  },
+  mirrorFile: {
+    env: 'MIRROR_FILE',
+    type: 'string',
+    default: './data/payout-mirror.json',
+    description: 'Mirror file for the file store.',
+  },
+  mirrorSyncIntervalSeconds: {
+    env: 'MIRROR_SYNC_INTERVAL_SECONDS',
+    type: 'integer',
+    min: 1,
+    default: 300,
+    description: 'Seconds between mirror syncs.',
+  },
+  mirrorMaxLagSeconds: {
+    env: 'MIRROR_MAX_LAG_SECONDS',
+    type: 'integer',
+    min: 1,
+    default: 900,
+    reloadable: true,
+    description: 'Seconds after which the mirror is no longer served.',
+  },
+  manualPayoutLookbackDays: {
+    env: 'MANUAL_PAYOUT_LOOKBACK_DAYS',
+    type: 'integer',
+    min: 1,
+    default: 30,
+    reloadable: true,
+    description: 'Days scanned for the transactions of a manual payout.',
+  },
+  manualPayoutScanBudget: {
+    env: 'MANUAL_PAYOUT_SCAN_BUDGET',
+    type: 'integer',
+    min: 1,
+    default: 5000,
+    reloadable: true,
+    description: 'Balance transactions read per manual payout scan.',
+  },
+  manualPayoutCacheTtlSeconds: {
+    env: 'MANUAL_PAYOUT_CACHE_TTL_SECONDS',
+    type: 'integer',
+    min: 0,
+    default: 86_400,
+    reloadable: true,
+    description:
+      'Seconds the resolved transactions of a paid manual payout are cached.',
+  },
+  payoutScanBudget: {
+    env: 'PAYOUT_SCAN_BUDGET',
+    type: 'integer',
+    min: 1,
+    default: 1000,
+    reloadable: true,
+    description: 'Payouts read from Stripe per filtered listing.',
+  },
+  disputeScanBudget: {
+    env: 'DISPUTE_SCAN_BUDGET',
+    type: 'integer',
+    min: 1,
+    default: 1000,
+    reloadable: true,
+    description: 'Disputes read from Stripe per open dispute listing.',
+  },
+  summaryScanBudget: {
+    env: 'SUMMARY_SCAN_BUDGET',
+    type: 'integer',
+    min: 1,
+    default: 10_000,
+    reloadable: true,
+    description: 'Payouts read from Stripe per summary.',
+  },
+  fxBaseCurrency: {
+    env: 'FX_BASE_CURRENCY',
+    type: 'string',
+    lowercase: true,
+    default: 'usd',
+    reloadable: true,
+    description: 'Currency FX_RATES are expressed in.',
+  },
+  fxRates: {
+    env: 'FX_RATES',
+    type: 'map',
+    values: 'number',
+    exclusiveMin: 0,
+    default: {},
+    reloadable: true,
+    description: 'Value of one unit of each currency in FX_BASE_CURRENCY.',
+  },
+  idempotencyTtlSeconds: {
+    env: 'IDEMPOTENCY_TTL_SECONDS',
+    type: 'integer',
+    min: 1,
+    default: 86_400,
+    reloadable: true,
+    description: 'Seconds an idempotent write response is replayed.',
+  },
+  forecastLookbackDays: {
+    env: 'FORECAST_LOOKBACK_DAYS',
+    type: 'integer',
+    min: 1,
+    default: 60,
+    reloadable: true,
+    description: 'Days of balance transactions the forecast reads.',
+  },
+  forecastScanBudget: {
+    env: 'FORECAST_SCAN_BUDGET',
+    type: 'integer',
+    min: 1,
+    default: 5000,
+    reloadable: true,
+    description: 'Balance transactions read per forecast.',
+  },
+  stripeTimeoutMs: {
+    env: 'STRIPE_TIMEOUT_MS',
+    type: 'integer',
+    min: 1,
+    default: 15_000,
+    reloadable: true,
+    description: 'Milliseconds before a Stripe call times out.',
+  },
+  stripeMaxNetworkRetries: {
+    env: 'STRIPE_MAX_NETWORK_RETRIES',
+    type: 'integer',
+    min: 0,
+    max: 10,
+    default: 2,
+    reloadable: true,
+    description: 'Retries of failed Stripe calls.',
+  },
+  stripeOperationTimeoutsMs: {
+    env: 'STRIPE_OPERATION_TIMEOUTS_MS',
+    type: 'map',
+    values: 'integer',
+    min: 1,
+    default: {},
+    reloadable: true,
+    description: 'Timeouts of individual Stripe operations.',
+  },
+  stripeRetryBaseDelayMs: {
+    env: 'STRIPE_RETRY_BASE_DELAY_MS',
+    type: 'integer',
+    min: 0,
+    default: 250,
+    reloadable: true,
+    description: 'First retry delay of a Stripe call.',
+  },
+  stripeRetryMaxDelayMs: {
+    env: 'STRIPE_RETRY_MAX_DELAY_MS',
+    type: 'integer',
+    min: 0,
+    default: 5000,
+    reloadable: true,
+    description: 'Longest retry delay of a Stripe call.',
+  },
+  stripeMaxConcurrency: {
+    env: 'STRIPE_MAX_CONCURRENCY',
+    type: 'integer',
+    min: 1,
+    default: 20,
+    description: 'Stripe calls in flight at once.',
+  },
+  stripeMaxConcurrencyPerTenant: {
+    env: 'STRIPE_MAX_CONCURRENCY_PER_TENANT',
+    type: 'integer',
+    min: 1,
+    default: 5,
+    description: 'Stripe calls in flight at once per tenant.',
+  },
+  circuitBreakerFailureThreshold: {
+    env: 'CIRCUIT_BREAKER_FAILURE_THRESHOLD',
+    type: 'integer',
+    min: 1,
+    default: 5,
+    description: 'Consecutive Stripe failures that open the circuit.',
+  },
+  circuitBreakerResetMs: {
+    env: 'CIRCUIT_BREAKER_RESET_MS',
+    type: 'integer',
+    min: 1,
+    default: 30_000,
+    description: 'Milliseconds the circuit stays open.',
+  },
+  stripeWebhookSecret: {
+    env: 'STRIPE_WEBHOOK_SECRET',
+    type: 'string',
+    default: null,
+    secret: true,
+    description: 'Signing secret of the platform webhook endpoint.',
+  },
+  stripeConnectWebhookSecret: {
+    env: 'STRIPE_CONNECT_WEBHOOK_SECRET',
+    type: 'string',
+    default: null,
+    secret: true,
+    description: 'Signing secret of the Connect webhook endpoint.',
+  },
+  stripeConnectAccounts: {
+    env: 'STRIPE_CONNECT_ACCOUNTS',
+    type: 'map',
+    values: 'string',
+    default: {},
+    description: 'Connected account of each connect tenant.',
+  },
+  subscriptionStore: {
+    env: 'SUBSCRIPTION_STORE',
+    type: 'enum',
+    values: ['file', 'memory'],
+    default: 'file',
+    description: 'Webhook subscription storage.',
+  },
+  subscriptionFile: {
+    env: 'SUBSCRIPTIONS_FILE',
+    type: 'string',
+    default: './data/subscriptions.json',
+    description: 'Subscription file for the file store.',
+  },
+  outboundWebhookMaxAttempts: {
+    env: 'OUTBOUND_WEBHOOK_MAX_ATTEMPTS',
+    type: 'integer',
+    min: 1,
+    default: 8,
+    reloadable: true,
+    description: 'Attempts before a delivery becomes a dead letter.',
+  },
+  outboundWebhookRetryBaseMs: {
+    env: 'OUTBOUND_WEBHOOK_RETRY_BASE_MS',
+    type: 'integer',
+    min: 0,
+    default: 30_000,
+    reloadable: true,
+    description: 'First delivery retry delay.',
+  },
+  outboundWebhookRetryMaxMs: {
+    env: 'OUTBOUND_WEBHOOK_RETRY_MAX_MS',
+    type: 'integer',
+    min: 0,
+    default: 3_600_000,
+    reloadable: true,
+    description: 'Longest delivery retry delay.',
+  },
+  outboundWebhookTimeoutMs: {
+    env: 'OUTBOUND_WEBHOOK_TIMEOUT_MS',
+    type: 'integer',
+    min: 1,
+    default: 10_000,
+    reloadable: true,
+    description: 'Milliseconds a subscriber has to answer.',
+  },
+  outboundWebhookLogRetention: {
+    env: 'OUTBOUND_WEBHOOK_LOG_RETENTION',
+    type: 'integer',
+    min: 1,
+    default: 1000,
+    description: 'Deliveries kept in the delivery log.',
+  },
+  // Only for local receivers; production callbacks must use HTTPS
+  outboundWebhookAllowHttp: {
+    env: 'OUTBOUND_WEBHOOK_ALLOW_HTTP',
+    type: 'boolean',
+    default: false,
+    description: 'Accept http:// subscription URLs.',
+  },
+  outboundWebhookAllowPrivateHosts: {
+    env: 'OUTBOUND_WEBHOOK_ALLOW_PRIVATE_HOSTS',
+    type: 'boolean',
+    default: false,
+    description:
+      'Accept subscription URLs on loopback and private network addresses.',
+  },
+  webhookEventRetention: {
+    env: 'WEBHOOK_EVENT_RETENTION',
+    type: 'integer',
+    min: 1,
+    default: 1000,
+    description: 'Received Stripe events kept for querying.',
+  },
+  auditStore: {
+    env: 'AUDIT_STORE',
+    type: 'enum',
+    values: ['file', 'memory'],
+    default: 'file',
+    description: 'Audit log storage.',
+  },
+  auditLogFile: {
+    env: 'AUDIT_LOG_FILE',
+    type: 'string',
+    default: './data/audit-log.jsonl',
+    description: 'Audit log file for the file store.',
+  },
+  auditRetentionDays: {
+    env: 'AUDIT_RETENTION_DAYS',
+    type: 'integer',
+    min: 1,
+    default: 365,
+    reloadable: true,
+    description: 'Days audit records are kept.',
+  },
+};
+
+module.exports = {
+  CONFIG_SCHEMA,
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Kept free of ./config so scripts/credentials.js can run without Stripe env vars.
+
+const API_KEY_PREFIX = 'psk_';
+
+const generateApiKey = () =>
+  `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+const hashApiKey = (apiKey) =>
+  `sha256:${crypto.createHash('sha256').update(String(apiKey)).digest('hex')}`;
+
+const readCredentialFile = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return { credentials: [] };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    credentials: Array.isArray(parsed.credentials) ? parsed.credentials : [],
+  };
+};
+
+const writeCredentialFile = (filePath, document) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(document, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  fs.renameSync(tempPath, filePath);
+};
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  readCredentialFile,
+  writeCredentialFile,
+};
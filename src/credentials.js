@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const { normalizeTenant } = require('./tenancy');
+const { hashApiKey, readCredentialFile } = require('./credentialFile');
+const { logger } = require('./logger');
+
+const SCOPES = {
+  payoutsRead: 'payouts:read',
+  transactionsRead: 'transactions:read',
+  payoutsWrite: 'payouts:write',
+  subscriptionsManage: 'subscriptions:manage',
+  auditRead: 'audit:read',
+  adminRead: 'admin:read',
+  adminWrite: 'admin:write',
+};
+
+const READ_SCOPES = [SCOPES.payoutsRead, SCOPES.transactionsRead];
+
+const ALL_TENANTS = '*';
+const RELOAD_CHECK_INTERVAL_MS = 5_000;
+
+const toTime = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const toCredential = (record) => ({
+  id: record.id,
+  tenants: (record.tenants || [])
+    .map((tenant) =>
+      tenant === ALL_TENANTS ? ALL_TENANTS : normalizeTenant(tenant)
+    )
+    .filter(Boolean),
+  scopes: Array.isArray(record.scopes) ? record.scopes : [],
+  legacy: false,
+});
+
+class FileCredentialStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.byHash = new Map();
+    this.loadedMtimeMs = null;
+    this.lastCheckedAt = 0;
+  }
+
+  load() {
+    const { credentials } = readCredentialFile(this.filePath);
+    const byHash = new Map();
+
+    credentials.forEach((record) => {
+      if (!record.id || record.disabled) {
+        return;
+      }
+
+      const credential = toCredential(record);
+      (record.keys || []).forEach((key) => {
+        if (key.hash) {
+          byHash.set(key.hash, {
+            credential,
+            expiresAt: toTime(key.expiresAt),
+          });
+        }
+      });
+    });
+
+    this.byHash = byHash;
+    this.loadedMtimeMs = fs.existsSync(this.filePath)
+      ? fs.statSync(this.filePath).mtimeMs
+      : null;
+  }
+
+  // Picks up rotations written by scripts/credentials.js without a restart.
+  reloadIfChanged() {
+    const now = Date.now();
+    if (now - this.lastCheckedAt < RELOAD_CHECK_INTERVAL_MS) {
+      return;
+    }
+    this.lastCheckedAt = now;
+
+    try {
+      const mtimeMs = fs.existsSync(this.filePath)
+        ? fs.statSync(this.filePath).mtimeMs
+        : null;
+      if (mtimeMs !== this.loadedMtimeMs) {
+        this.load();
+        logger.info('Reloaded API credentials', { file: this.filePath });
+      }
+    } catch (error) {
+      logger.error('Failed to reload API credentials; keeping previous set', {
+        file: this.filePath,
+        error,
+      });
+    }
+  }
+
+  authenticate(apiKey) {
+    this.reloadIfChanged();
+
+    const entry = this.byHash.get(hashApiKey(apiKey));
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return entry.credential;
+  }
+}
+
+const legacyCredential = {
+  id: 'legacy-shared-secret',
+  tenants: [ALL_TENANTS],
+  // The shared secret predates write access and never gets it
+  scopes: READ_SCOPES,
+  legacy: true,
+};
+
+const matchesLegacySecret = (apiKey) => {
+  if (!config.allowLegacySharedSecret || !config.sharedSecret) {
+    return false;
+  }
+
+  const provided = Buffer.from(String(apiKey));
+  const expected = Buffer.from(config.sharedSecret);
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+};
+
+const store = config.apiKeysFile
+  ? new FileCredentialStore(config.apiKeysFile)
+  : null;
+if (store) {
+  store.load();
+}
+
+const authenticateApiKey = (apiKey) => {
+  if (!apiKey) {
+    return null;
+  }
+
+  const credential = store ? store.authenticate(apiKey) : null;
+  if (credential) {
+    return credential;
+  }
+
+  return matchesLegacySecret(apiKey) ? legacyCredential : null;
+};
+
+const canAccessTenant = (credential, tenantId) =>
+  Boolean(
+    credential &&
+    tenantId &&
+    (credential.tenants.includes(ALL_TENANTS) ||
+      credential.tenants.includes(tenantId))
+  );
+
+const hasScope = (credential, scope) =>
+  Boolean(credential && credential.scopes.includes(scope));
+
+module.exports = {
+  ALL_TENANTS,
+  SCOPES,
+  authenticateApiKey,
+  canAccessTenant,
+  hasScope,
+};
@@ -0,0 +1,65 @@
+const stripeGateway = require('./stripeGateway');
+const config = require('./config');
+const { scanList } = require('./pagination');
+const { isDisputeVisibleToTenant, stripeRequestOptions } = require('./tenancy');
+
+// Statuses in which a dispute can still be answered or is being decided
+const OPEN_DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'needs_response',
+  'under_review',
+];
+
+const idOf = (reference) =>
+  reference && typeof reference === 'object' ? reference.id : reference || null;
+
+const describeDispute = (dispute) => ({
+  id: dispute.id,
+  object: 'dispute',
+  amount: dispute.amount,
+  currency: dispute.currency,
+  status: dispute.status,
+  reason: dispute.reason,
+  charge: idOf(dispute.charge),
+  payment_intent: idOf(dispute.payment_intent),
+  evidence_due_by: dispute.evidence_details?.due_by ?? null,
+  has_evidence: dispute.evidence_details?.has_evidence ?? false,
+  created: dispute.created,
+});
+
+/**
+ * Open disputes of a tenant, newest first. Stripe cannot filter disputes by
+ * status, so this scans up to DISPUTE_SCAN_BUDGET of them with their
+ * charges expanded, which is where metadata tenants are recorded.
+ * `next_starting_after` resumes the scan where it stopped.
+ */
+const fetchOpenDisputes = async (tenantId, { limit, startingAfter }) => {
+  const result = await scanList({
+    fetchPage: (pageParams) =>
+      stripeGateway.disputes.list(
+        { ...pageParams, expand: ['data.charge'] },
+        stripeRequestOptions(tenantId)
+      ),
+    predicate: (dispute) =>
+      OPEN_DISPUTE_STATUSES.includes(dispute.status) &&
+      isDisputeVisibleToTenant(dispute, tenantId),
+    limit,
+    boundaryId: startingAfter || null,
+    scanBudget: config.disputeScanBudget,
+  });
+
+  return {
+    data: result.data.map(describeDispute),
+    has_more: result.hasMore,
+    next_starting_after: result.hasMore ? result.position : null,
+    scan_budget_exhausted: result.budgetExhausted,
+  };
+};
+
+module.exports = {
+  OPEN_DISPUTE_STATUSES,
+  describeDispute,
+  fetchOpenDisputes,
+  idOf,
+};
@@ -0,0 +1,84 @@
+const { isStripeTimeoutError } = require('./stripeHelpers');
+
+// Every error response carries one of these in `code`; clients should branch
+// on it rather than on the human-readable `error` message.
+const ERROR_CODES = {
+  // Request validation
+  missingParameter: 'missing_parameter',
+  invalidParameter: 'invalid_parameter',
+  invalidDate: 'invalid_date',
+  invalidDateRange: 'invalid_date_range',
+  unknownStatus: 'unknown_status',
+  invalidCursor: 'invalid_cursor',
+  invalidBody: 'invalid_body',
+  invalidJson: 'invalid_json',
+  unsupportedLanguage: 'unsupported_language',
+  unsupportedLocale: 'unsupported_locale',
+  unknownColumns: 'unknown_columns',
+  missingFxRate: 'missing_fx_rate',
+  invalidRequest: 'invalid_request',
+  invalidConfig: 'invalid_config',
+  // Authentication and authorization
+  missingApiKey: 'missing_api_key',
+  invalidApiKey: 'invalid_api_key',
+  missingTenant: 'missing_tenant',
+  tenantForbidden: 'tenant_forbidden',
+  missingScope: 'missing_scope',
+  invalidMetricsToken: 'invalid_metrics_token',
+  rateLimited: 'rate_limited',
+  // Resources
+  routeNotFound: 'route_not_found',
+  payoutNotFound: 'payout_not_found',
+  subscriptionNotFound: 'subscription_not_found',
+  deliveryNotFound: 'delivery_not_found',
+  deliveryInProgress: 'delivery_in_progress',
+  sharedAccountTenant: 'shared_account_tenant',
+  // Idempotency
+  missingIdempotencyKey: 'missing_idempotency_key',
+  invalidIdempotencyKey: 'invalid_idempotency_key',
+  idempotencyKeyReused: 'idempotency_key_reused',
+  idempotencyRequestInProgress: 'idempotency_request_in_progress',
+  // Stripe webhooks
+  webhooksNotConfigured: 'webhooks_not_configured',
+  missingSignature: 'missing_signature',
+  invalidSignature: 'invalid_signature',
+  // Upstream and internal failures
+  stripeRequestRejected: 'stripe_request_rejected',
+  stripeUnavailable: 'stripe_unavailable',
+  stripeTimeout: 'stripe_timeout',
+  stripeError: 'stripe_error',
+  internalError: 'internal_error',
+};
+
+/**
+ * Sends the documented error body, `{ error, code, requestId }`, plus any
+ * `details` such as the offending `parameter`.
+ */
+const sendError = (req, res, status, code, message, details = {}) =>
+  res
+    .status(status)
+    .json({ error: message, code, requestId: req.requestId, ...details });
+
+// Code for an error that reached the Express error handler
+const errorCodeFor = (error, status) => {
+  if (error?.type === 'entity.parse.failed') {
+    return ERROR_CODES.invalidJson;
+  }
+  if (error?.code === 'STRIPE_CIRCUIT_OPEN') {
+    return ERROR_CODES.stripeUnavailable;
+  }
+  if (isStripeTimeoutError(error)) {
+    return ERROR_CODES.stripeTimeout;
+  }
+  if (String(error?.type || '').startsWith('Stripe')) {
+    return ERROR_CODES.stripeError;
+  }
+
+  return status < 500 ? ERROR_CODES.invalidRequest : ERROR_CODES.internalError;
+};
+
+module.exports = {
+  ERROR_CODES,
+  errorCodeFor,
+  sendError,
+};
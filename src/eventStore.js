@@ -0,0 +1,66 @@
+const config = require('./config');
+
+class InMemoryEventStore {
+  constructor(maxEvents) {
+    this.maxEvents = maxEvents;
+    this.events = [];
+    this.ids = new Set();
+  }
+
+  has(eventId) {
+    return this.ids.has(eventId);
+  }
+
+  record(entry) {
+    if (this.ids.has(entry.id)) {
+      return false;
+    }
+
+    this.events.push(entry);
+    this.ids.add(entry.id);
+
+    while (this.maxEvents > 0 && this.events.length > this.maxEvents) {
+      const evicted = this.events.shift();
+      this.ids.delete(evicted.id);
+    }
+
+    return true;
+  }
+
+  // `types` limits the listing to a set of event types
+  list({ tenantId, types, type, payoutId, limit = 100 } = {}) {
+    const matches = [];
+
+    // Newest first
+    for (let index = this.events.length - 1; index >= 0; index -= 1) {
+      const entry = this.events[index];
+
+      if (tenantId !== undefined && entry.tenantId !== tenantId) {
+        continue;
+      }
+      if (types && !types.has(entry.type)) {
+        continue;
+      }
+      if (type && entry.type !== type) {
+        continue;
+      }
+      if (payoutId && entry.payoutId !== payoutId) {
+        continue;
+      }
+
+      matches.push(entry);
+      if (matches.length >= limit) {
+        break;
+      }
+    }
+
+    return matches;
+  }
+
+  clear() {
+    this.events = [];
+    this.ids.clear();
+  }
+}
+
+module.exports = new InMemoryEventStore(config.webhookEventRetention);
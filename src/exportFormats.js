@@ -0,0 +1,218 @@
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const DEFAULT_LOCALE = 'en-US';
+
+// Stripe amounts are in the currency's smallest unit; these currencies do not
+// use two decimals (https://stripe.com/docs/currencies#zero-decimal).
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'bif',
+  'clp',
+  'djf',
+  'gnf',
+  'jpy',
+  'kmf',
+  'krw',
+  'mga',
+  'pyg',
+  'rwf',
+  'ugx',
+  'vnd',
+  'vuv',
+  'xaf',
+  'xof',
+  'xpf',
+]);
+const THREE_DECIMAL_CURRENCIES = new Set(['bhd', 'jod', 'kwd', 'omr', 'tnd']);
+
+const currencyDecimals = (currency) => {
+  const code = String(currency || '').toLowerCase();
+  if (ZERO_DECIMAL_CURRENCIES.has(code)) {
+    return 0;
+  }
+  if (THREE_DECIMAL_CURRENCIES.has(code)) {
+    return 3;
+  }
+
+  return 2;
+};
+
+const toMajorUnits = (amount, currency) =>
+  amount / 10 ** currencyDecimals(currency);
+
+const numberFormats = new Map();
+
+const getNumberFormat = (locale, decimals) => {
+  const key = `${locale}:${decimals}`;
+  if (!numberFormats.has(key)) {
+    numberFormats.set(
+      key,
+      new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        useGrouping: false,
+      })
+    );
+  }
+
+  return numberFormats.get(key);
+};
+
+// 1234 usd -> "12.34" (en-US) or "12,34" (sv-SE)
+const formatAmount = (amount, currency, locale) =>
+  getNumberFormat(locale, currencyDecimals(currency)).format(
+    toMajorUnits(amount, currency)
+  );
+
+const decimalSeparator = (locale) =>
+  getNumberFormat(locale, 1)
+    .formatToParts(0.5)
+    .find((part) => part.type === 'decimal')?.value || '.';
+
+// Returns the canonical locale, or null when the tag is invalid or unsupported.
+const resolveLocale = (value) => {
+  if (!value) {
+    return DEFAULT_LOCALE;
+  }
+
+  try {
+    const [supported] = Intl.NumberFormat.supportedLocalesOf(value);
+    return supported || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toIsoDate = (timestamp) =>
+  timestamp ? new Date(timestamp * 1000).toISOString() : null;
+
+const tenantOf = (payout) =>
+  payout.metadata?.tenantId || payout.metadata?.tenant || null;
+
+/**
+ * Export columns. `kind` decides formatting: `amount` values are minor units
+ * in the row's `currency`, `date` values are Unix timestamps.
+ */
+const PAYOUT_EXPORT_COLUMNS = [
+  { key: 'id', kind: 'text', value: (payout) => payout.id },
+  { key: 'created', kind: 'date', value: (payout) => payout.created },
+  {
+    key: 'arrival_date',
+    kind: 'date',
+    value: (payout) => payout.arrival_date,
+  },
+  { key: 'amount', kind: 'amount', value: (payout) => payout.amount },
+  { key: 'currency', kind: 'text', value: (payout) => payout.currency },
+  { key: 'status', kind: 'text', value: (payout) => payout.status },
+  { key: 'type', kind: 'text', value: (payout) => payout.type },
+  { key: 'method', kind: 'text', value: (payout) => payout.method },
+  { key: 'automatic', kind: 'boolean', value: (payout) => payout.automatic },
+  { key: 'description', kind: 'text', value: (payout) => payout.description },
+  {
+    key: 'statement_descriptor',
+    kind: 'text',
+    value: (payout) => payout.statement_descriptor,
+  },
+  {
+    key: 'failure_code',
+    kind: 'text',
+    value: (payout) => payout.failure_code,
+  },
+  { key: 'tenant', kind: 'text', value: tenantOf },
+];
+
+const TRANSACTION_EXPORT_COLUMNS = [
+  { key: 'id', kind: 'text', value: (tx) => tx.id },
+  { key: 'created', kind: 'date', value: (tx) => tx.created },
+  { key: 'available_on', kind: 'date', value: (tx) => tx.available_on },
+  { key: 'type', kind: 'text', value: (tx) => tx.type },
+  {
+    key: 'reporting_category',
+    kind: 'text',
+    value: (tx) => tx.reporting_category,
+  },
+  { key: 'amount', kind: 'amount', value: (tx) => tx.amount },
+  { key: 'fee', kind: 'amount', value: (tx) => tx.fee },
+  { key: 'net', kind: 'amount', value: (tx) => tx.net },
+  { key: 'currency', kind: 'text', value: (tx) => tx.currency },
+  { key: 'description', kind: 'text', value: (tx) => tx.description },
+  {
+    key: 'source',
+    kind: 'text',
+    value: (tx) =>
+      typeof tx.source === 'object' && tx.source ? tx.source.id : tx.source,
+  },
+  { key: 'status', kind: 'text', value: (tx) => tx.status },
+];
+
+// `columns=id,amount,status` keeps the given order; returns the unknown keys
+// so the caller can reject the request.
+const selectColumns = (value, available) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { columns: available, unknown: [] };
+  }
+
+  const keys = value
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+  return {
+    columns: keys
+      .map((key) => available.find((column) => column.key === key))
+      .filter(Boolean),
+    unknown: keys.filter(
+      (key) => !available.some((column) => column.key === key)
+    ),
+  };
+};
+
+// Text as shown in CSV and JSON exports.
+const formatCellText = (column, row, locale) => {
+  const value = column.value(row);
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (column.kind) {
+    case 'amount':
+      return formatAmount(value, row.currency, locale);
+    case 'date':
+      return toIsoDate(value);
+    case 'boolean':
+      return Boolean(value);
+    default:
+      return String(value);
+  }
+};
+
+// Typed cell for spreadsheets, which format numbers themselves.
+const buildSpreadsheetCell = (column, row) => {
+  const value = column.value(row);
+  if (column.kind === 'amount' && typeof value === 'number') {
+    return {
+      type: 'number',
+      value: toMajorUnits(value, row.currency),
+      decimals: currencyDecimals(row.currency),
+    };
+  }
+  if (column.kind === 'boolean' && value !== null && value !== undefined) {
+    return { type: 'boolean', value: Boolean(value) };
+  }
+  if (column.kind === 'date') {
+    return { type: 'string', value: toIsoDate(value) };
+  }
+
+  return { type: 'string', value: value ?? null };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  PAYOUT_EXPORT_COLUMNS,
+  TRANSACTION_EXPORT_COLUMNS,
+  buildSpreadsheetCell,
+  currencyDecimals,
+  decimalSeparator,
+  formatAmount,
+  formatCellText,
+  resolveLocale,
+  selectColumns,
+  toMajorUnits,
+};
@@ -0,0 +1,154 @@
+const {
+  buildSpreadsheetCell,
+  decimalSeparator,
+  formatCellText,
+} = require('./exportFormats');
+const { writeChunk } = require('./zipStream');
+const { XlsxStreamWriter } = require('./xlsxWriter');
+
+const escapeCsv = (value, delimiter, { freeText = false } = {}) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user-controlled text as formulas.
+  // Only free text needs it: amounts and dates are formatted by the service,
+  // and a negative amount such as `-12,34` must stay a number.
+  if (freeText && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes('\n') ||
+    text.includes('\r')
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Locales with a decimal comma get `;`-separated files, as their
+// spreadsheet apps expect.
+const createCsvWriter = (output, { columns, locale }) => {
+  const delimiter = decimalSeparator(locale) === ',' ? ';' : ',';
+  const line = (values) =>
+    `${values.map((value) => escapeCsv(value, delimiter)).join(delimiter)}\r\n`;
+  const rowLine = (row) =>
+    `${columns
+      .map((column) =>
+        escapeCsv(formatCellText(column, row, locale), delimiter, {
+          freeText: column.kind === 'text',
+        })
+      )
+      .join(delimiter)}\r\n`;
+
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    // The BOM makes Excel read the file as UTF-8
+    start: () =>
+      writeChunk(output, `\ufeff${line(columns.map((column) => column.key))}`),
+    writeRow: (row) => writeChunk(output, rowLine(row)),
+    end: async () => {},
+  };
+};
+
+const createJsonWriter = (output, { columns, locale }) => {
+  let rowCount = 0;
+
+  return {
+    contentType: 'application/json; charset=utf-8',
+    start: () => writeChunk(output, '{"data":['),
+    writeRow: (row) => {
+      const record = Object.fromEntries(
+        columns.map((column) => [
+          column.key,
+          formatCellText(column, row, locale),
+        ])
+      );
+      const separator = rowCount > 0 ? ',' : '';
+      rowCount += 1;
+      return writeChunk(output, `${separator}\n${JSON.stringify(record)}`);
+    },
+    end: () => writeChunk(output, `\n],"total_count":${rowCount}}\n`),
+  };
+};
+
+const createXlsxWriter = (output, { columns, sheetName }) => {
+  const workbook = new XlsxStreamWriter(output, { sheetName });
+
+  return {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    start: async () => {
+      await workbook.start();
+      await workbook.writeRow(
+        columns.map((column) => ({ type: 'string', value: column.key }))
+      );
+    },
+    writeRow: (row) =>
+      workbook.writeRow(
+        columns.map((column) => buildSpreadsheetCell(column, row))
+      ),
+    end: () => workbook.end(),
+  };
+};
+
+// Filenames carry tenant IDs, which may hold quotes or characters that are
+// not allowed in a header; only these are kept.
+const safeFilename = (filename) => filename.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+const WRITERS = {
+  csv: createCsvWriter,
+  json: createJsonWriter,
+  xlsx: createXlsxWriter,
+};
+
+/**
+ * Streams rows to `res` page by page, honouring backpressure. `pages` is an
+ * async iterable of row arrays. Headers are only sent once the first page
+ * arrived, so a failing first Stripe call can still produce a JSON error;
+ * later failures abort the response. Resolves with the number of rows.
+ */
+const streamExport = async (
+  res,
+  { format, columns, locale, filename, sheetName, pages }
+) => {
+  const writer = WRITERS[format](res, { columns, locale, sheetName });
+  let started = false;
+  let rowCount = 0;
+
+  const start = async () => {
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${safeFilename(filename)}.${format}"`
+    );
+    res.setHeader('Cache-Control', 'no-store');
+    started = true;
+    await writer.start();
+  };
+
+  for await (const rows of pages) {
+    if (!started) {
+      await start();
+    }
+    for (const row of rows) {
+      await writer.writeRow(row);
+      rowCount += 1;
+    }
+  }
+
+  if (!started) {
+    await start();
+  }
+  await writer.end();
+  res.end();
+  return rowCount;
+};
+
+module.exports = {
+  streamExport,
+};
@@ -0,0 +1,141 @@
+const stripe = require('./stripeClient');
+const stripeGateway = require('./stripeGateway');
+const cache = require('./cache');
+const config = require('./config');
+const { coalesce } = require('./inflight');
+const { logger } = require('./logger');
+const { version } = require('../package.json');
+
+const STRIPE_KEY_PATTERN = /^(sk|rk)_(test|live)_\w+$/;
+
+let lastStripeProbe = null;
+
+const describeError = (error) => ({
+  message: error.message,
+  code: error.code || error.type || null,
+  statusCode: error.statusCode || error.status || null,
+});
+
+const elapsedSince = (startTime) =>
+  Number(process.hrtime.bigint() - startTime) / 1e6;
+
+const probeStripe = async () => {
+  const startTime = process.hrtime.bigint();
+  const checkedAt = new Date().toISOString();
+  try {
+    await stripeGateway.balance.retrieve();
+    return {
+      ok: true,
+      latencyMs: Math.round(elapsedSince(startTime)),
+      checkedAt,
+    };
+  } catch (error) {
+    logger.warn('Stripe readiness probe failed', { error });
+    return {
+      ok: false,
+      latencyMs: Math.round(elapsedSince(startTime)),
+      checkedAt,
+      error: describeError(error),
+    };
+  }
+};
+
+// Load balancers poll readiness every few seconds; reusing the probe result
+// for HEALTH_PROBE_TTL_SECONDS keeps that off the Stripe rate limit.
+const checkStripe = async () => {
+  if (
+    lastStripeProbe &&
+    Date.now() - lastStripeProbe.timestamp < config.healthProbeTtlSeconds * 1000
+  ) {
+    return { ...lastStripeProbe.result, cached: true };
+  }
+
+  const result = await coalesce('health:stripe-probe', probeStripe);
+  lastStripeProbe = { timestamp: Date.now(), result };
+  return { ...result, cached: false };
+};
+
+const checkCache = async () => {
+  const startTime = process.hrtime.bigint();
+  try {
+    await cache.ping();
+    return {
+      ok: true,
+      backend: config.cacheBackend,
+      latencyMs: Math.round(elapsedSince(startTime)),
+    };
+  } catch (error) {
+    logger.warn('Cache readiness check failed', { error });
+    return {
+      ok: false,
+      backend: config.cacheBackend,
+      latencyMs: Math.round(elapsedSince(startTime)),
+      error: describeError(error),
+    };
+  }
+};
+
+// Settings that let the service start but leave it unable to do its job
+const checkConfig = () => {
+  const issues = [];
+  if (!STRIPE_KEY_PATTERN.test(config.stripeSecretKey || '')) {
+    issues.push(
+      'STRIPE_SECRET_KEY is not a secret (sk_) or restricted (rk_) key'
+    );
+  }
+
+  if (config.cacheBackend === 'redis') {
+    try {
+      new URL(config.redisUrl);
+    } catch (error) {
+      issues.push('REDIS_URL is not a valid URL');
+    }
+  }
+
+  [
+    ['STRIPE_TIMEOUT_MS', config.stripeTimeoutMs],
+    ['STRIPE_MAX_CONCURRENCY', config.stripeMaxConcurrency],
+    ['STRIPE_MAX_CONCURRENCY_PER_TENANT', config.stripeMaxConcurrencyPerTenant],
+    ['TENANT_RATE_LIMIT_MAX', config.rateLimitMax],
+  ].forEach(([name, value]) => {
+    if (!(value > 0)) {
+      issues.push(`${name} must be a positive integer`);
+    }
+  });
+
+  return { ok: issues.length === 0, issues };
+};
+
+const getBuildInfo = () => ({
+  version,
+  build: config.buildVersion,
+  stripeApiVersion: stripe.getApiField('version'),
+  uptimeSeconds: Math.floor(process.uptime()),
+});
+
+/**
+ * Readiness: Stripe answers with our key (cached probe), the cache backend
+ * responds and the configuration is usable. `ready` is false if any check
+ * fails.
+ */
+const checkReadiness = async () => {
+  const [stripeCheck, cacheCheck] = await Promise.all([
+    checkStripe(),
+    checkCache(),
+  ]);
+  const configCheck = checkConfig();
+
+  return {
+    ready: stripeCheck.ok && cacheCheck.ok && configCheck.ok,
+    checks: {
+      stripe: stripeCheck,
+      cache: cacheCheck,
+      config: configCheck,
+    },
+  };
+};
+
+module.exports = {
+  checkReadiness,
+  getBuildInfo,
+};
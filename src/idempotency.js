@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { logger } = require('./logger');
+const { ERROR_CODES, sendError } = require('./errors');
+const { store: stateStore } = require('./stateStore');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 200;
+// A request that died mid-flight must not block its key for the full TTL
+const PENDING_TTL_SECONDS = 60;
+
+const storageKey = (tenantId, key) => `idempotency:${tenantId}:${key}`;
+
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        req.method,
+        req.originalUrl.split('?')[0],
+        req.body ?? null,
+      ])
+    )
+    .digest('hex');
+
+const storeRecord = (key, record, ttlSeconds) =>
+  stateStore.set(key, record, ttlSeconds).catch((error) => {
+    logger.warn('Failed to store idempotency record', { error });
+  });
+
+// True when this request now holds the key. An unreachable store lets the
+// request through; Stripe's own idempotency still stops duplicate writes.
+const claimKey = (key, record) =>
+  stateStore.add(key, record, PENDING_TTL_SECONDS).catch((error) => {
+    logger.warn('Failed to claim idempotency key', { error });
+    return true;
+  });
+
+/**
+ * Middleware for write endpoints. Requires an `Idempotency-Key` header and
+ * records the response to the first request with that key for
+ * IDEMPOTENCY_TTL_SECONDS; repeats get the stored response back with
+ * `Idempotent-Replayed: true`. A key reused with a different request is
+ * rejected with 422, and a repeat while the first request is still running
+ * with 409. Responses with a 5xx status are not stored, so they can be
+ * retried with the same key.
+ *
+ * Records live in the state store, where cache flushes and eviction cannot
+ * drop them. The pending marker is written only if the key is free, so of
+ * two concurrent requests only one goes ahead. The key is also passed on to
+ * Stripe as `req.idempotencyKey`, which stops duplicate writes even if the
+ * store cannot be reached.
+ */
+const requireIdempotencyKey = async (req, res, next) => {
+  const key = req.headers[IDEMPOTENCY_HEADER];
+  if (!key) {
+    return sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.missingIdempotencyKey,
+      'Missing Idempotency-Key header'
+    );
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.invalidIdempotencyKey,
+      `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    );
+  }
+
+  const recordKey = storageKey(req.tenantId, key);
+  const fingerprint = fingerprintRequest(req);
+  const claimed = await claimKey(recordKey, { pending: true, fingerprint });
+
+  if (!claimed) {
+    const existing = await stateStore.get(recordKey).catch(() => null);
+    if (existing && existing.fingerprint !== fingerprint) {
+      return sendError(
+        req,
+        res,
+        422,
+        ERROR_CODES.idempotencyKeyReused,
+        'Idempotency-Key was already used for a different request'
+      );
+    }
+    // Also when the record went away since the claim failed
+    if (!existing || existing.pending) {
+      return sendError(
+        req,
+        res,
+        409,
+        ERROR_CODES.idempotencyRequestInProgress,
+        'A request with this Idempotency-Key is still in progress'
+      );
+    }
+
+    logger.info('Replaying idempotent response', { status: existing.status });
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(existing.status).json(existing.body);
+  }
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      storeRecord(
+        recordKey,
+        { pending: false, fingerprint, status: res.statusCode, body },
+        config.idempotencyTtlSeconds
+      );
+    } else {
+      stateStore.delete(recordKey).catch(() => {});
+    }
+    return sendJson(body);
+  };
+
+  // Tenants on the platform account share Stripe's key space
+  req.idempotencyKey = `${req.tenantId}:${key}`;
+  return next();
+};
+
+module.exports = {
+  requireIdempotencyKey,
+};
@@ -0,0 +1,24 @@
+const inFlight = new Map();
+
+// Runs `task` once per key at a time; concurrent callers share its promise.
+const coalesce = (key, task) => {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = Promise.resolve()
+    .then(task)
+    .finally(() => {
+      inFlight.delete(key);
+    });
+
+  inFlight.set(key, promise);
+  return promise;
+};
+
+const isInFlight = (key) => inFlight.has(key);
+
+module.exports = {
+  coalesce,
+  isInFlight,
+};
@@ -0,0 +1,175 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+const MAX_ARRAY_ITEMS = 20;
+
+// Matched case-insensitively against object keys at any depth
+const SECRET_FIELDS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'x-internal-auth',
+  'x-payments-secret',
+  'stripe-signature',
+  'password',
+  'secret',
+  'token',
+  'api_key',
+  'apikey',
+  'client_secret',
+];
+const PII_FIELDS = [
+  'email',
+  'phone',
+  'name',
+  'account_holder_name',
+  'customer_name',
+  'first_name',
+  'last_name',
+  'full_name',
+  'address',
+  'line1',
+  'line2',
+  'postal_code',
+  'account_number',
+  'routing_number',
+  'iban',
+  'last4',
+  'fingerprint',
+  'tax_id',
+  'ssn',
+  'dob',
+];
+const REDACTED_FIELDS = new Set([
+  ...SECRET_FIELDS,
+  ...PII_FIELDS,
+  ...config.logRedactFields,
+]);
+
+// Stripe secret/restricted keys, webhook secrets and service API keys
+const SECRET_PATTERN =
+  /\b(sk|rk)_(test|live)_[A-Za-z0-9]+|\bwhsec_[A-Za-z0-9]+|\bpsk_[A-Za-z0-9_-]+/g;
+
+const contextStorage = new AsyncLocalStorage();
+
+const thresholdFor = (level) => LEVELS[level] ?? LEVELS.info;
+let threshold = thresholdFor(config.logLevel);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  type: error.type,
+  statusCode: error.statusCode,
+  requestId: error.requestId,
+  stack: threshold <= LEVELS.debug ? error.stack : undefined,
+});
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return value.replace(SECRET_PATTERN, REDACTED);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    // Stripe errors carry the raw request and headers; keep only the summary
+    return Object.fromEntries(
+      Object.entries(serializeError(value)).map(([key, entry]) => [
+        key,
+        redact(entry, depth + 1),
+      ])
+    );
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    const items = value
+      .slice(0, MAX_ARRAY_ITEMS)
+      .map((item) => redact(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`[${value.length - MAX_ARRAY_ITEMS} more]`);
+    }
+    return items;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      REDACTED_FIELDS.has(key.toLowerCase())
+        ? REDACTED
+        : redact(entry, depth + 1),
+    ])
+  );
+};
+
+const write = (level, message, fields) => {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(String(message)),
+    ...contextStorage.getStore(),
+    ...redact(fields || {}),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields) =>
+    write('debug', message, { ...bindings, ...fields }),
+  info: (message, fields) => write('info', message, { ...bindings, ...fields }),
+  warn: (message, fields) => write('warn', message, { ...bindings, ...fields }),
+  error: (message, fields) =>
+    write('error', message, { ...bindings, ...fields }),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+});
+
+/**
+ * Runs `task` with `context` (e.g. `{ requestId }`) attached to every line
+ * logged from it, including from async work it starts.
+ */
+const runWithContext = (context, task) =>
+  contextStorage.run({ ...context }, task);
+
+// Adds fields to the current context, e.g. the tenant once authenticated.
+const addContext = (fields) => {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+const getContext = () => contextStorage.getStore() || {};
+
+const setLogLevel = (level) => {
+  threshold = thresholdFor(level);
+};
+
+module.exports = {
+  LEVELS,
+  addContext,
+  getContext,
+  logger: createLogger(),
+  redact,
+  runWithContext,
+  setLogLevel,
+};
@@ -0,0 +1,127 @@
+const SWEEP_INTERVAL_MS = 60_000;
+
+const estimateBytes = (key, value) =>
+  Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value) || '');
+
+/**
+ * Process-local LRU cache bounded by entry count and approximate payload size.
+ * Expired entries are dropped on read and by a periodic sweep.
+ */
+class MemoryCache {
+  constructor({ maxEntries = 1000, maxBytes = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.store = new Map();
+    this.tags = new Map();
+    this.totalBytes = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  async get(key) {
+    const record = this.store.get(key);
+    if (!record) {
+      return null;
+    }
+
+    if (record.expiresAt && record.expiresAt < Date.now()) {
+      this.remove(key);
+      return null;
+    }
+
+    // Refresh recency: Map iteration order is insertion order
+    this.store.delete(key);
+    this.store.set(key, record);
+    return record.value;
+  }
+
+  async set(key, value, ttlSeconds, { tags = [] } = {}) {
+    this.remove(key);
+
+    const bytes = estimateBytes(key, value);
+    if (this.maxBytes > 0 && bytes > this.maxBytes) {
+      return;
+    }
+
+    const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+    this.store.set(key, { value, expiresAt, tags, bytes });
+    this.totalBytes += bytes;
+
+    tags.forEach((tag) => {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    });
+
+    this.evictOverflow();
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async invalidateTag(tag) {
+    const keys = this.tags.get(tag);
+    if (!keys) {
+      return 0;
+    }
+
+    const count = keys.size;
+    [...keys].forEach((key) => this.remove(key));
+    this.tags.delete(tag);
+    return count;
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async clear() {
+    this.store.clear();
+    this.tags.clear();
+    this.totalBytes = 0;
+  }
+
+  remove(key) {
+    const record = this.store.get(key);
+    if (!record) {
+      return;
+    }
+
+    this.store.delete(key);
+    this.totalBytes -= record.bytes;
+    record.tags.forEach((tag) => {
+      const keys = this.tags.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.tags.delete(tag);
+        }
+      }
+    });
+  }
+
+  evictOverflow() {
+    const overLimit = () =>
+      (this.maxEntries > 0 && this.store.size > this.maxEntries) ||
+      (this.maxBytes > 0 && this.totalBytes > this.maxBytes);
+
+    while (overLimit()) {
+      const oldestKey = this.store.keys().next().value;
+      this.remove(oldestKey);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, record] of this.store) {
+      if (record.expiresAt && record.expiresAt < now) {
+        this.remove(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryCache;
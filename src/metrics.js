@@ -0,0 +1,260 @@
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+const STRIPE_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30];
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const renderLabels = (labelNames, values, extra = '') => {
+  const pairs = labelNames.map(
+    (name, index) => `${name}="${escapeLabelValue(values[index])}"`
+  );
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labelValues(labels = {}) {
+    return this.labelNames.map((name) => labels[name] ?? '');
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super(options);
+    // Unlabelled counters are exported as 0 before their first increment
+    if (this.labelNames.length === 0) {
+      this.inc({}, 0);
+    }
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+    ];
+    this.series.forEach(({ values, value }) => {
+      lines.push(
+        `${this.name}${renderLabels(this.labelNames, values)} ${value}`
+      );
+    });
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+    ];
+    this.series.forEach(({ values, value }) => {
+      lines.push(
+        `${this.name}${renderLabels(this.labelNames, values)} ${value}`
+      );
+    });
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((left, right) => left - right);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} histogram`,
+    ];
+    this.series.forEach(({ values, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${renderLabels(
+            this.labelNames,
+            values,
+            `le="${bound}"`
+          )} ${counts[index]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${renderLabels(this.labelNames, values, 'le="+Inf"')} ${count}`
+      );
+      lines.push(
+        `${this.name}_sum${renderLabels(this.labelNames, values)} ${sum}`
+      );
+      lines.push(
+        `${this.name}_count${renderLabels(this.labelNames, values)} ${count}`
+      );
+    });
+    return lines;
+  }
+}
+
+const registered = [];
+
+const register = (metric) => {
+  registered.push(metric);
+  return metric;
+};
+
+const httpRequestsTotal = register(
+  new Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route, status and tenant class.',
+    labelNames: ['method', 'route', 'status', 'tenant_class'],
+  })
+);
+
+const httpRequestDuration = register(
+  new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration in seconds.',
+    labelNames: ['method', 'route', 'status', 'tenant_class'],
+  })
+);
+
+const stripeRequestDuration = register(
+  new Histogram({
+    name: 'stripe_api_request_duration_seconds',
+    help: 'Stripe API call latency in seconds, by operation and HTTP status.',
+    labelNames: ['operation', 'status'],
+    buckets: STRIPE_BUCKETS,
+  })
+);
+
+const stripeTimeoutsTotal = register(
+  new Counter({
+    name: 'stripe_timeouts_total',
+    help: 'Stripe calls that timed out, or waited too long for a concurrency slot.',
+  })
+);
+
+const stripeRetriesTotal = register(
+  new Counter({
+    name: 'stripe_retries_total',
+    help: 'Stripe calls retried after a 429, 5xx or connection error.',
+    labelNames: ['operation'],
+  })
+);
+
+const stripeCircuitRejectionsTotal = register(
+  new Counter({
+    name: 'stripe_circuit_rejections_total',
+    help: 'Stripe calls rejected without being attempted while the circuit was open.',
+    labelNames: ['operation'],
+  })
+);
+
+const stripeCircuitState = register(
+  new Gauge({
+    name: 'stripe_circuit_state',
+    help: 'Stripe circuit breaker state (0 closed, 1 half open, 2 open).',
+  })
+);
+
+const payoutCacheLookupsTotal = register(
+  new Counter({
+    name: 'payout_cache_lookups_total',
+    help: 'Payout listing cache lookups (hit, stale, miss, bypass, mirror).',
+    labelNames: ['result'],
+  })
+);
+
+const payoutFallbacksTotal = register(
+  new Counter({
+    name: 'payout_fallback_responses_total',
+    help: 'Payout listings answered with a fallback after a Stripe failure.',
+    labelNames: ['error', 'kind'],
+  })
+);
+
+const rateLimitRejectionsTotal = register(
+  new Counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests rejected by the tenant rate limiter.',
+    labelNames: ['tenant_class'],
+  })
+);
+
+const outboundWebhookAttemptsTotal = register(
+  new Counter({
+    name: 'outbound_webhook_attempts_total',
+    help: 'Deliveries of payout events to tenant subscriptions, by outcome.',
+    labelNames: ['result'],
+  })
+);
+
+const renderMetrics = () =>
+  `${registered.flatMap((metric) => metric.render()).join('\n')}\n`;
+
+const resetMetrics = () => registered.forEach((metric) => metric.reset());
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  httpRequestDuration,
+  httpRequestsTotal,
+  outboundWebhookAttemptsTotal,
+  payoutCacheLookupsTotal,
+  payoutFallbacksTotal,
+  rateLimitRejectionsTotal,
+  renderMetrics,
+  resetMetrics,
+  stripeCircuitRejectionsTotal,
+  stripeCircuitState,
+  stripeRequestDuration,
+  stripeRetriesTotal,
+  stripeTimeoutsTotal,
+};
@@ -0,0 +1,453 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { logger } = require('./logger');
+
+const PERSIST_DEBOUNCE_MS = 2_000;
+// The log is rewritten once it holds this many more lines than there are
+// records, and at least twice as many
+const COMPACT_MIN_EXTRA_LINES = 1_000;
+
+const SORT_FIELDS = ['created', 'arrival_date', 'amount'];
+
+const parseSort = (value) => {
+  const raw = typeof value === 'string' && value ? value : '-created';
+  const descending = raw.startsWith('-');
+  const field = descending ? raw.slice(1) : raw;
+  if (!SORT_FIELDS.includes(field)) {
+    return null;
+  }
+
+  return { field, descending };
+};
+
+const searchHaystack = (payout) =>
+  [
+    payout.id,
+    payout.description,
+    payout.statement_descriptor,
+    payout.status,
+    payout.type,
+    payout.currency,
+    payout.failure_code,
+    payout.failure_message,
+    String(payout.amount ?? ''),
+    ...Object.values(payout.metadata || {}),
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+// Records are indexed by the scope a query asks for: a connected account,
+// one metadata tenant or the unattributed platform payouts
+const scopeKeyOf = ({ account, tenantId }) => {
+  if (account) {
+    return `account:${account}`;
+  }
+  return tenantId !== null ? `tenant:${tenantId}` : 'unattributed';
+};
+
+const comparePayouts = (field) => (left, right) =>
+  (left.payout[field] ?? 0) - (right.payout[field] ?? 0) ||
+  left.payout.id.localeCompare(right.payout.id);
+
+const mergeSorted = (lists, compare) => {
+  if (lists.length < 2) {
+    return lists[0] || [];
+  }
+
+  const [left, right] = lists;
+  const merged = [];
+  let leftIndex = 0;
+  let rightIndex = 0;
+  while (leftIndex < left.length && rightIndex < right.length) {
+    if (compare(left[leftIndex], right[rightIndex]) <= 0) {
+      merged.push(left[leftIndex]);
+      leftIndex += 1;
+    } else {
+      merged.push(right[rightIndex]);
+      rightIndex += 1;
+    }
+  }
+  return merged.concat(left.slice(leftIndex), right.slice(rightIndex));
+};
+
+/**
+ * Local copy of payouts and their balance transactions. Records are keyed by
+ * Stripe ID and remember which connected account (or the platform, `null`)
+ * they came from plus the tenant they were attributed to at write time.
+ * Queries only visit the records of their scope, kept sorted per sort field
+ * until the scope changes. Every change is also passed to `changed` as a
+ * log entry, which persistent stores write out.
+ */
+class MemoryMirrorStore {
+  constructor() {
+    this.payouts = new Map();
+    this.transactions = new Map();
+    this.syncState = new Map();
+    this.scopes = new Map();
+  }
+
+  putRecord(record) {
+    const existing = this.payouts.get(record.payout.id);
+    if (existing) {
+      const previous = this.scopeFor(existing);
+      previous.records.delete(existing.payout.id);
+      previous.sorted.clear();
+    }
+
+    const stored = { ...record, searchText: searchHaystack(record.payout) };
+    this.payouts.set(stored.payout.id, stored);
+    const scope = this.scopeFor(stored);
+    scope.records.set(stored.payout.id, stored);
+    scope.sorted.clear();
+  }
+
+  scopeFor(record) {
+    const key = scopeKeyOf(record);
+    if (!this.scopes.has(key)) {
+      this.scopes.set(key, { records: new Map(), sorted: new Map() });
+    }
+    return this.scopes.get(key);
+  }
+
+  sortedRecords(scopeKey, field) {
+    const scope = this.scopes.get(scopeKey);
+    if (!scope) {
+      return [];
+    }
+    if (!scope.sorted.has(field)) {
+      scope.sorted.set(
+        field,
+        [...scope.records.values()].sort(comparePayouts(field))
+      );
+    }
+    return scope.sorted.get(field);
+  }
+
+  upsertPayout(payout, { account = null, tenantId = null } = {}) {
+    const existing = this.payouts.get(payout.id);
+    const record = {
+      payout,
+      account,
+      tenantId,
+      syncedAt: Date.now(),
+      transactionsSyncedAt: existing?.transactionsSyncedAt || null,
+    };
+    this.putRecord(record);
+    this.changed({ op: 'payout', record });
+  }
+
+  getPayout(id) {
+    return this.payouts.get(id) || null;
+  }
+
+  setPayoutTransactions(payoutId, transactions) {
+    const record = this.payouts.get(payoutId);
+    if (!record) {
+      return;
+    }
+
+    this.transactions.set(payoutId, transactions);
+    record.transactionsSyncedAt = Date.now();
+    this.changed({
+      op: 'transactions',
+      payoutId,
+      transactions,
+      syncedAt: record.transactionsSyncedAt,
+    });
+  }
+
+  getPayoutTransactions(payoutId) {
+    const record = this.payouts.get(payoutId);
+    if (!record || !record.transactionsSyncedAt) {
+      return null;
+    }
+
+    return this.transactions.get(payoutId) || [];
+  }
+
+  pendingTransactionSync(account) {
+    return [...this.payouts.values()].filter(
+      (record) =>
+        record.account === account &&
+        !record.transactionsSyncedAt &&
+        record.payout.status === 'paid'
+    );
+  }
+
+  unsettledPayouts(account) {
+    return [...this.payouts.values()].filter(
+      (record) =>
+        record.account === account &&
+        ['pending', 'in_transit'].includes(record.payout.status)
+    );
+  }
+
+  /**
+   * `scope` is `{ account }` for connected-account tenants or
+   * `{ account: null, tenantId, includeUnattributed }` for metadata tenants.
+   */
+  queryPayouts(scope, { from, to, status, type, search, sort, predicate }) {
+    const terms = search
+      ? search.toLowerCase().split(/\s+/).filter(Boolean)
+      : [];
+
+    const scopeKeys = scope.account
+      ? [scopeKeyOf(scope)]
+      : [
+          ...(scope.tenantId !== null ? [scopeKeyOf(scope)] : []),
+          ...(scope.includeUnattributed ? ['unattributed'] : []),
+        ];
+    const { field, descending } = sort;
+    const records = mergeSorted(
+      scopeKeys.map((key) => this.sortedRecords(key, field)),
+      comparePayouts(field)
+    );
+
+    const matches = [];
+    for (let index = 0; index < records.length; index += 1) {
+      const record = records[descending ? records.length - 1 - index : index];
+      const { payout } = record;
+      if (from && payout.created < from) {
+        continue;
+      }
+      if (to && payout.created > to) {
+        continue;
+      }
+      if (status && payout.status !== status) {
+        continue;
+      }
+      if (type && payout.type !== type) {
+        continue;
+      }
+      if (terms.some((term) => !record.searchText.includes(term))) {
+        continue;
+      }
+      if (predicate && !predicate(payout)) {
+        continue;
+      }
+
+      matches.push(payout);
+    }
+
+    return matches;
+  }
+
+  getSyncState(scopeKey) {
+    return this.syncState.get(scopeKey) || null;
+  }
+
+  setSyncState(scopeKey, state) {
+    const merged = { ...this.getSyncState(scopeKey), ...state };
+    this.syncState.set(scopeKey, merged);
+    this.changed({ op: 'sync', scopeKey, state: merged });
+  }
+
+  changed() {}
+
+  // Replays one log entry, as passed to `changed`
+  apply(entry) {
+    switch (entry.op) {
+      case 'payout':
+        this.putRecord(entry.record);
+        break;
+      case 'transactions': {
+        const record = this.payouts.get(entry.payoutId);
+        if (record) {
+          this.transactions.set(entry.payoutId, entry.transactions);
+          record.transactionsSyncedAt = entry.syncedAt;
+        }
+        break;
+      }
+      case 'sync':
+        this.syncState.set(entry.scopeKey, entry.state);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // The whole mirror as log entries, e.g. to compact a log
+  entries() {
+    return [
+      ...[...this.payouts.values()].map(({ searchText, ...record }) => ({
+        op: 'payout',
+        record,
+      })),
+      ...[...this.transactions].map(([payoutId, transactions]) => ({
+        op: 'transactions',
+        payoutId,
+        transactions,
+        syncedAt: this.payouts.get(payoutId)?.transactionsSyncedAt || null,
+      })),
+      ...[...this.syncState].map(([scopeKey, state]) => ({
+        op: 'sync',
+        scopeKey,
+        state,
+      })),
+    ];
+  }
+
+  // Snapshots written by earlier versions of the file store
+  load(snapshot) {
+    (snapshot.payouts || []).forEach((record) => this.putRecord(record));
+    Object.entries(snapshot.transactions || {}).forEach(([id, list]) =>
+      this.transactions.set(id, list)
+    );
+    Object.entries(snapshot.syncState || {}).forEach(([key, state]) =>
+      this.syncState.set(key, state)
+    );
+  }
+}
+
+/**
+ * Memory store persisted as an append-only log of JSON lines, replayed on
+ * start so the mirror survives restarts. Changes are batched for two
+ * seconds and appended asynchronously, so a sync never waits on the disk
+ * and no write grows with the size of the mirror. Once the log is mostly
+ * superseded lines it is compacted: rewritten with one line per record to a
+ * temp file, which then replaces it.
+ */
+class FileMirrorStore extends MemoryMirrorStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.pending = [];
+    this.persistTimer = null;
+    this.writing = Promise.resolve();
+    this.logLines = 0;
+    this.compactionDue = false;
+
+    if (fs.existsSync(filePath)) {
+      try {
+        this.replay(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        logger.error('Failed to load payout mirror; starting empty', {
+          file: filePath,
+          error,
+        });
+      }
+    }
+  }
+
+  replay(content) {
+    let skipped = 0;
+    content.split('\n').forEach((line) => {
+      if (!line) {
+        return;
+      }
+      this.logLines += 1;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append leaves a partial last line
+        skipped += 1;
+        return;
+      }
+      if (entry.op) {
+        this.apply(entry);
+      } else {
+        this.load(entry);
+        this.compactionDue = true;
+      }
+    });
+
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable payout mirror log lines', {
+        file: this.filePath,
+        skipped,
+      });
+    }
+  }
+
+  changed(entry) {
+    this.pending.push(`${JSON.stringify(entry)}\n`);
+    if (this.persistTimer) {
+      return;
+    }
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.flush();
+    }, PERSIST_DEBOUNCE_MS);
+    this.persistTimer.unref();
+  }
+
+  // Writes what has changed so far. Writes run one at a time, in order.
+  // After a failed write the queued lines are dropped and the next write
+  // rewrites the whole log from memory instead.
+  flush() {
+    this.writing = this.writing
+      .then(() => this.persist())
+      .catch((error) => {
+        this.pending = [];
+        this.compactionDue = true;
+        logger.error('Failed to persist payout mirror', {
+          file: this.filePath,
+          error,
+        });
+      });
+    return this.writing;
+  }
+
+  async persist() {
+    const liveEntries =
+      this.payouts.size + this.transactions.size + this.syncState.size;
+    if (
+      this.compactionDue ||
+      this.logLines >
+        Math.max(2 * liveEntries, liveEntries + COMPACT_MIN_EXTRA_LINES)
+    ) {
+      await this.compact();
+      return;
+    }
+
+    const count = this.pending.length;
+    if (count === 0) {
+      return;
+    }
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      this.pending.slice(0, count).join('')
+    );
+    this.pending.splice(0, count);
+    this.logLines += count;
+  }
+
+  async compact() {
+    // Everything queued so far is part of the rewritten log
+    const count = this.pending.length;
+    const lines = this.entries().map((entry) => `${JSON.stringify(entry)}\n`);
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, lines.join(''));
+    await fs.promises.rename(tempPath, this.filePath);
+    this.pending.splice(0, count);
+    this.logLines = lines.length;
+    this.compactionDue = false;
+  }
+}
+
+const createMirrorStore = () => {
+  switch (config.mirrorStore) {
+    case 'memory':
+      return new MemoryMirrorStore();
+    case 'file':
+      return new FileMirrorStore(config.mirrorFile);
+    default:
+      throw new Error(`Unsupported MIRROR_STORE: ${config.mirrorStore}`);
+  }
+};
+
+module.exports = {
+  MemoryMirrorStore,
+  FileMirrorStore,
+  SORT_FIELDS,
+  parseSort,
+  store: createMirrorStore(),
+};
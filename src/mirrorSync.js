@@ -0,0 +1,187 @@
+const stripeGateway = require('./stripeGateway');
+const config = require('./config');
+const { logger } = require('./logger');
+const { store } = require('./mirrorStore');
+const { watchPayouts } = require('./payoutWatcher');
+const {
+  getTenantStripeAccount,
+  resolveAccountTenant,
+  resolvePayoutTenant,
+} = require('./tenancy');
+
+const PLATFORM_SCOPE = 'platform';
+const TRANSACTION_SYNC_BATCH = 50;
+
+const scopeKeyFor = (account) => account || PLATFORM_SCOPE;
+
+const attributeTenant = (payout, account) =>
+  account ? resolveAccountTenant(account) : resolvePayoutTenant(payout);
+
+const listAll = async (list, params, requestOptions, onPage) => {
+  let startingAfter = null;
+  for (;;) {
+    const page = await list(
+      {
+        ...params,
+        limit: 100,
+        ...(startingAfter ? { starting_after: startingAfter } : {}),
+      },
+      requestOptions
+    );
+    onPage(page.data);
+
+    if (!page.has_more || page.data.length === 0) {
+      return;
+    }
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+};
+
+// Records a payout received outside the sync loop (e.g. from a webhook).
+const mirrorPayout = (payout, account = null) => {
+  if (!config.mirrorEnabled) {
+    return;
+  }
+
+  store.upsertPayout(payout, {
+    account,
+    tenantId: attributeTenant(payout, account),
+  });
+};
+
+// Sync also catches status changes whose webhook was missed or never set up
+const syncPayout = (payout, account) => {
+  const tenantId = attributeTenant(payout, account);
+  store.upsertPayout(payout, { account, tenantId });
+  watchPayouts([payout], { tenantId });
+};
+
+const syncScope = async (account) => {
+  const scopeKey = scopeKeyFor(account);
+  const requestOptions = account ? { stripeAccount: account } : undefined;
+  const state = store.getSyncState(scopeKey) || {};
+  let newestCreated = state.createdCursor || 0;
+
+  // `gte` re-reads payouts created in the cursor's second; upserts are idempotent
+  await listAll(
+    (params, options) => stripeGateway.payouts.list(params, options),
+    state.createdCursor ? { created: { gte: state.createdCursor } } : {},
+    requestOptions,
+    (payouts) => {
+      payouts.forEach((payout) => {
+        syncPayout(payout, account);
+        newestCreated = Math.max(newestCreated, payout.created || 0);
+      });
+    }
+  );
+
+  // Status changes are normally delivered by webhooks; poll in case one was missed
+  for (const record of store.unsettledPayouts(account)) {
+    const payout = await stripeGateway.payouts.retrieve(
+      record.payout.id,
+      {},
+      requestOptions
+    );
+    syncPayout(payout, account);
+  }
+
+  // Stripe only filters balance transactions by payout for automatic payouts;
+  // manual payouts keep using the live lookup.
+  const pending = store
+    .pendingTransactionSync(account)
+    .filter((record) => record.payout.automatic)
+    .slice(0, TRANSACTION_SYNC_BATCH);
+  for (const record of pending) {
+    const transactions = [];
+    await listAll(
+      (params, options) =>
+        stripeGateway.balanceTransactions.list(params, options),
+      { payout: record.payout.id },
+      requestOptions,
+      (page) => transactions.push(...page)
+    );
+    store.setPayoutTransactions(record.payout.id, transactions);
+  }
+
+  store.setSyncState(scopeKey, {
+    createdCursor: newestCreated,
+    lastSuccessAt: Date.now(),
+    lastError: null,
+  });
+};
+
+let running = false;
+
+const runMirrorSync = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  const accounts = [
+    null,
+    ...new Set(Object.values(config.stripeConnectAccounts)),
+  ];
+  try {
+    for (const account of accounts) {
+      const startedAt = Date.now();
+      try {
+        await syncScope(account);
+        logger.info('Payout mirror synced', {
+          scope: scopeKeyFor(account),
+          durationMs: Date.now() - startedAt,
+        });
+      } catch (error) {
+        store.setSyncState(scopeKeyFor(account), {
+          lastError: error.message,
+          lastErrorAt: Date.now(),
+        });
+        logger.warn('Payout mirror sync failed', {
+          scope: scopeKeyFor(account),
+          error,
+        });
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const startMirrorSync = () => {
+  if (!config.mirrorEnabled) {
+    return null;
+  }
+
+  runMirrorSync();
+  const timer = setInterval(
+    runMirrorSync,
+    config.mirrorSyncIntervalSeconds * 1000
+  );
+  timer.unref();
+  return timer;
+};
+
+const getMirrorStatus = (tenantId) => {
+  const state = store.getSyncState(
+    scopeKeyFor(getTenantStripeAccount(tenantId))
+  );
+  const lagSeconds = state?.lastSuccessAt
+    ? Math.floor((Date.now() - state.lastSuccessAt) / 1000)
+    : null;
+
+  return {
+    syncedAt: state?.lastSuccessAt || null,
+    lagSeconds,
+    fresh:
+      config.mirrorEnabled &&
+      lagSeconds !== null &&
+      lagSeconds <= config.mirrorMaxLagSeconds,
+  };
+};
+
+module.exports = {
+  getMirrorStatus,
+  mirrorPayout,
+  runMirrorSync,
+  startMirrorSync,
+};
@@ -0,0 +1,1238 @@
+const { version } = require('../package.json');
+const { SCOPES } = require('./credentials');
+const { ERROR_CODES } = require('./errors');
+const { EXPORT_FORMATS } = require('./exportFormats');
+const { SORT_FIELDS } = require('./mirrorStore');
+const { DELIVERY_STATUSES } = require('./outboundWebhooks');
+const { SUPPORTED_LANGUAGES } = require('./payoutFailures');
+const { GROUP_BY } = require('./payoutSummary');
+const { PAYOUT_STATUS_EVENTS } = require('./payoutWatcher');
+const { PAYOUT_EVENT_TYPES } = require('./webhooks');
+
+const PAYOUT_STATUSES = ['pending', 'in_transit', 'paid', 'failed', 'canceled'];
+const PAYOUT_TYPES = ['bank_account', 'card'];
+const PAYOUT_METHODS = ['standard', 'instant'];
+const MAX_SEARCH_LENGTH = 200;
+
+const ref = (section, name) => ({ $ref: `#/components/${section}/${name}` });
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+const ok = (description, schema) => ({ description, content: json(schema) });
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  422: 'UnprocessableEntity',
+  429: 'TooManyRequests',
+  503: 'ServiceUnavailable',
+};
+
+const errors = (...statuses) =>
+  Object.fromEntries(
+    statuses.map((status) => [
+      String(status),
+      ref('responses', ERROR_RESPONSES[status]),
+    ])
+  );
+
+// Routes behind X-Internal-Auth. The scope is listed as the security
+// requirement's role, which OpenAPI 3.1 allows for API key schemes.
+const authenticated = (scope, operation) => ({
+  ...operation,
+  security: [{ apiKey: [scope] }],
+  parameters: [ref('parameters', 'Tenant'), ...(operation.parameters || [])],
+  responses: { ...operation.responses, ...errors(400, 401, 403, 429) },
+});
+
+const publicRoute = (operation) => ({ ...operation, security: [] });
+
+const queryParameter = (name, schema, description, extra = {}) => ({
+  name,
+  in: 'query',
+  description,
+  schema,
+  ...extra,
+});
+
+const pathParameter = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1 },
+});
+
+const dateSchema = {
+  anyOf: [
+    { type: 'string', format: 'date' },
+    { type: 'string', format: 'date-time' },
+  ],
+};
+
+const parameters = {
+  Tenant: {
+    name: 'X-Tenant',
+    in: 'header',
+    description:
+      'Tenant to act for (case-insensitive). Optional when the key is bound to exactly one tenant.',
+    schema: { type: 'string' },
+  },
+  IdempotencyKey: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: true,
+    description:
+      'Unique key per logical write; repeats get the first response back.',
+    schema: { type: 'string', minLength: 1, maxLength: 200 },
+  },
+  TenantFilter: queryParameter(
+    'tenantId',
+    { type: 'string' },
+    'List another tenant the credential is bound to.'
+  ),
+  Limit: queryParameter(
+    'limit',
+    { type: 'integer', minimum: 1, maximum: 100, default: 100 },
+    'Page size.'
+  ),
+  Offset: queryParameter(
+    'offset',
+    { type: 'integer', minimum: 0, default: 0 },
+    'Matching payouts to skip; only applies to the first page.'
+  ),
+  Cursor: queryParameter(
+    'cursor',
+    { type: 'string' },
+    '`next_cursor` or `prev_cursor` of a previous page.'
+  ),
+  StartingAfter: queryParameter(
+    'starting_after',
+    { type: 'string' },
+    'Object ID to list after (prefer `cursor`).'
+  ),
+  EndingBefore: queryParameter(
+    'ending_before',
+    { type: 'string' },
+    'Object ID to list before (prefer `cursor`).'
+  ),
+  Status: queryParameter(
+    'status',
+    { type: 'string', enum: PAYOUT_STATUSES },
+    'Payout status.',
+    { 'x-error-code': ERROR_CODES.unknownStatus }
+  ),
+  FromDate: queryParameter(
+    'from_date',
+    dateSchema,
+    'Payouts created at or after this ISO 8601 date or date-time (UTC).'
+  ),
+  ToDate: queryParameter(
+    'to_date',
+    dateSchema,
+    'Payouts created at or before this ISO 8601 date or date-time (UTC).'
+  ),
+  PayoutType: queryParameter(
+    'type',
+    { type: 'string', enum: PAYOUT_TYPES },
+    'Payout destination type.'
+  ),
+  Search: queryParameter(
+    'search',
+    { type: 'string', maxLength: MAX_SEARCH_LENGTH },
+    'Case-insensitive text search.'
+  ),
+  Sort: queryParameter(
+    'sort',
+    { type: 'string', pattern: `^-?(${SORT_FIELDS.join('|')})$` },
+    'Sort field, prefixed with `-` for descending (mirror only).'
+  ),
+  Refresh: queryParameter(
+    'refresh',
+    { type: 'boolean', default: false },
+    'Bypass the cache and the mirror.'
+  ),
+  Lang: queryParameter(
+    'lang',
+    { type: 'string', enum: SUPPORTED_LANGUAGES },
+    'Language of failure explanations; defaults to Accept-Language.',
+    { 'x-error-code': ERROR_CODES.unsupportedLanguage }
+  ),
+  Format: queryParameter(
+    'format',
+    { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+    'Export file format.'
+  ),
+  Columns: queryParameter(
+    'columns',
+    { type: 'array', items: { type: 'string' }, minItems: 1 },
+    'Comma-delimited columns to export, in order.',
+    { style: 'form', explode: false }
+  ),
+  Locale: queryParameter(
+    'locale',
+    { type: 'string' },
+    'BCP 47 locale for number and date formatting (default `en-US`).'
+  ),
+  PayoutId: pathParameter('id', 'Stripe payout ID.'),
+  SubscriptionId: pathParameter('id', 'Subscription ID.'),
+  DeliveryId: pathParameter('deliveryId', 'Delivery ID.'),
+};
+
+const listingParameters = [
+  'Limit',
+  'Offset',
+  'Cursor',
+  'StartingAfter',
+  'EndingBefore',
+  'FromDate',
+  'ToDate',
+  'PayoutType',
+  'Search',
+  'Sort',
+  'Refresh',
+].map((name) => ref('parameters', name));
+
+const payoutFilterParameters = [
+  'Status',
+  'FromDate',
+  'ToDate',
+  'PayoutType',
+  'Search',
+].map((name) => ref('parameters', name));
+
+const dateRange = { 'x-date-range': ['from_date', 'to_date'] };
+
+// Tokens a request takes from the tenant's rate limit (default 1)
+const rateLimitCost = (tokens) => ({ 'x-rate-limit-cost': tokens });
+
+const cacheProperties = {
+  cached: { type: 'boolean' },
+  stale: { type: 'boolean' },
+  age_seconds: { type: ['integer', 'null'] },
+  error: {
+    type: 'string',
+    enum: ['stripe_timeout', 'stripe_error'],
+    description: 'Set when Stripe failed and cached or empty data is served.',
+  },
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code', 'requestId'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message.' },
+      code: { type: 'string', enum: Object.values(ERROR_CODES) },
+      requestId: { type: ['string', 'null'] },
+      parameter: {
+        type: 'string',
+        description: 'Offending query, path or body field, if any.',
+      },
+      stripe_code: {
+        type: ['string', 'null'],
+        description: 'Stripe error code, for `stripe_request_rejected`.',
+      },
+      plan: {
+        type: 'string',
+        description: 'Rate limit plan of the tenant, for `rate_limited`.',
+      },
+      cost: {
+        type: 'integer',
+        description: 'Tokens the request needed, for `rate_limited`.',
+      },
+      issues: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'What is wrong with the settings, for `invalid_config`.',
+      },
+    },
+  },
+  Payout: {
+    type: 'object',
+    description: 'Stripe payout object.',
+    required: ['id', 'amount', 'currency', 'status'],
+    properties: {
+      id: { type: 'string' },
+      amount: { type: 'integer', description: 'Minor units.' },
+      currency: { type: 'string' },
+      status: { type: 'string', enum: PAYOUT_STATUSES },
+      type: { type: 'string', enum: PAYOUT_TYPES },
+      method: { type: 'string' },
+      automatic: { type: 'boolean' },
+      created: { type: 'integer' },
+      arrival_date: { type: 'integer' },
+      failure_code: { type: ['string', 'null'] },
+      metadata: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+  },
+  PayoutFailure: {
+    type: 'object',
+    properties: {
+      code: { type: ['string', 'null'] },
+      known: { type: 'boolean' },
+      explanation: { type: 'string' },
+      action: { type: 'string' },
+      action_description: { type: 'string' },
+      retryable: { type: 'boolean' },
+      stripe_message: { type: ['string', 'null'] },
+      balance_transaction: { type: ['string', 'null'] },
+      language: { type: 'string', enum: SUPPORTED_LANGUAGES },
+    },
+  },
+  PayoutList: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: { type: 'array', items: ref('schemas', 'Payout') },
+      total_count: { type: 'integer' },
+      has_more: { type: 'boolean' },
+      next_cursor: { type: ['string', 'null'] },
+      prev_cursor: { type: ['string', 'null'] },
+      scan_budget_exhausted: { type: 'boolean' },
+      source: { type: 'string', enum: ['stripe', 'mirror'] },
+      ...cacheProperties,
+    },
+  },
+  AmountStats: {
+    type: 'object',
+    properties: {
+      key: { type: 'string' },
+      currency: { type: 'string' },
+      count: { type: 'integer' },
+      total: { type: 'integer' },
+      average: { type: 'integer' },
+      min: { type: ['integer', 'null'] },
+      max: { type: ['integer', 'null'] },
+    },
+  },
+  BalanceTransactionList: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: { type: 'object' } },
+      has_more: { type: 'boolean' },
+      source: { type: 'string', enum: ['stripe', 'mirror'] },
+    },
+  },
+  ReceivedEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: [...PAYOUT_EVENT_TYPES] },
+      created: { type: 'integer' },
+      livemode: { type: 'boolean' },
+      tenantId: { type: ['string', 'null'] },
+      payoutId: { type: ['string', 'null'] },
+      payoutStatus: { type: ['string', 'null'] },
+      amount: { type: ['integer', 'null'] },
+      currency: { type: ['string', 'null'] },
+      failureCode: { type: ['string', 'null'] },
+      receivedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  Subscription: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      events: {
+        type: 'array',
+        items: { type: 'string', enum: PAYOUT_STATUS_EVENTS },
+      },
+      description: { type: ['string', 'null'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      secret: {
+        type: 'string',
+        description: 'Signing secret; only returned on creation.',
+      },
+    },
+  },
+  Delivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      subscriptionId: { type: 'string' },
+      eventId: { type: 'string' },
+      eventType: { type: 'string', enum: PAYOUT_STATUS_EVENTS },
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      attemptCount: { type: 'integer' },
+      nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            status_code: { type: ['integer', 'null'] },
+            error: { type: ['string', 'null'] },
+            duration_ms: { type: 'integer' },
+          },
+        },
+      },
+      event: { type: 'object' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  AuditRecord: {
+    type: 'object',
+    properties: {
+      sequence: { type: 'integer' },
+      at: { type: 'string', format: 'date-time' },
+      requestId: { type: 'string' },
+      credentialId: { type: ['string', 'null'] },
+      legacyCredential: { type: 'boolean' },
+      ip: { type: 'string' },
+      tenantId: { type: ['string', 'null'] },
+      method: { type: 'string' },
+      path: { type: 'string' },
+      route: { type: ['string', 'null'] },
+      query: { type: 'object', additionalProperties: true },
+      status: { type: 'integer' },
+      aborted: { type: 'boolean' },
+      payoutIds: { type: 'array', items: { type: 'string' } },
+      resultCount: { type: ['integer', 'null'] },
+      previousHash: { type: 'string' },
+      hash: {
+        type: 'string',
+        description: 'SHA-256 of the record without `hash`.',
+      },
+    },
+  },
+  RateLimitUsage: {
+    type: 'object',
+    properties: {
+      tenantId: { type: 'string' },
+      plan: { type: 'string' },
+      limit: { type: 'integer', description: 'Tokens refilled per window.' },
+      burst: { type: 'integer', description: 'Most tokens held at once.' },
+      window_ms: { type: 'integer' },
+      used: { type: 'integer' },
+      remaining: { type: 'integer' },
+      resets_in_seconds: {
+        type: 'integer',
+        description: 'Until the bucket is full again.',
+      },
+    },
+  },
+  Dispute: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { type: 'string', const: 'dispute' },
+      amount: { type: 'integer', description: 'Minor units.' },
+      currency: { type: 'string' },
+      status: { type: 'string' },
+      reason: { type: 'string' },
+      charge: { type: ['string', 'null'] },
+      payment_intent: { type: ['string', 'null'] },
+      evidence_due_by: {
+        type: ['integer', 'null'],
+        description: 'Unix time by which evidence must be submitted.',
+      },
+      has_evidence: { type: 'boolean' },
+      created: { type: 'integer' },
+    },
+  },
+  Adjustment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Balance transaction ID.' },
+      type: {
+        type: 'string',
+        enum: ['refund', 'dispute', 'adjustment', 'payment_failure_refund'],
+      },
+      amount: { type: 'integer' },
+      fee: { type: 'integer' },
+      net: { type: 'integer' },
+      currency: { type: 'string' },
+      created: { type: 'integer' },
+      description: { type: ['string', 'null'] },
+      source: {
+        type: ['object', 'null'],
+        description:
+          'The refund (`reason`, `status`, `charge`), dispute (see Dispute) or charge behind the transaction; other sources only have `id` and `object`.',
+        properties: {
+          id: { type: 'string' },
+          object: { type: ['string', 'null'] },
+        },
+      },
+    },
+  },
+  ConfigSetting: {
+    type: 'object',
+    properties: {
+      key: { type: 'string', description: 'Name in CONFIG_FILE.' },
+      env: { type: 'array', items: { type: 'string' } },
+      type: {
+        type: 'string',
+        enum: [
+          'string',
+          'url',
+          'integer',
+          'number',
+          'boolean',
+          'enum',
+          'list',
+          'map',
+        ],
+      },
+      value: { description: 'Current value; secrets show `[REDACTED]`.' },
+      source: { type: 'string', enum: ['default', 'env', 'file'] },
+      reloadable: { type: 'boolean' },
+      description: { type: 'string' },
+    },
+  },
+  ConfigReload: {
+    type: 'object',
+    properties: {
+      changed: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Settings that now have a new value.',
+      },
+      restart_required: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Changed settings that only apply after a restart.',
+      },
+    },
+  },
+  AuditChainPosition: {
+    type: 'object',
+    properties: {
+      sequence: { type: 'integer' },
+      hash: { type: 'string' },
+    },
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: json(ref('schemas', 'Error')),
+});
+
+const responses = {
+  BadRequest: errorResponse('Invalid parameters or body.'),
+  Unauthorized: errorResponse('Missing API key.'),
+  Forbidden: errorResponse('Invalid key, tenant not allowed or scope missing.'),
+  NotFound: errorResponse('Not found, or not visible to the tenant.'),
+  Conflict: errorResponse('Conflicts with the current state.'),
+  UnprocessableEntity: errorResponse(
+    'Idempotency-Key reused, or the reloaded configuration is invalid.'
+  ),
+  TooManyRequests: errorResponse('Tenant rate limit exceeded.'),
+  ServiceUnavailable: errorResponse('Stripe or a dependency is unavailable.'),
+};
+
+const exportResponse = {
+  description: 'File download in the requested format.',
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+      schema: { type: 'string', contentEncoding: 'binary' },
+    },
+    'application/json': {
+      schema: { type: 'array', items: { type: 'object' } },
+    },
+  },
+};
+
+const healthResponse = ok('Service status.', {
+  type: 'object',
+  properties: {
+    status: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' },
+  },
+});
+
+const paths = {
+  '/api/health': {
+    get: publicRoute({
+      operationId: 'getHealth',
+      summary: 'Health check; Stripe diagnostics for valid API keys.',
+      responses: { 200: healthResponse },
+    }),
+  },
+  '/api/health/live': {
+    get: publicRoute({
+      operationId: 'getLiveness',
+      summary: 'Liveness check.',
+      responses: { 200: healthResponse },
+    }),
+  },
+  '/api/health/ready': {
+    get: publicRoute({
+      operationId: 'getReadiness',
+      summary: 'Readiness check of Stripe, the cache and configuration.',
+      responses: {
+        200: healthResponse,
+        503: { ...healthResponse, description: 'Not ready.' },
+      },
+    }),
+  },
+  '/api/openapi.json': {
+    get: publicRoute({
+      operationId: 'getOpenApiDocument',
+      summary: 'This document.',
+      responses: { 200: ok('OpenAPI document.', { type: 'object' }) },
+    }),
+  },
+  '/metrics': {
+    get: publicRoute({
+      operationId: 'getMetrics',
+      summary:
+        'Prometheus metrics; requires `Authorization: Bearer` when METRICS_AUTH_TOKEN is set.',
+      responses: {
+        200: {
+          description: 'Prometheus text format.',
+          content: { 'text/plain': { schema: { type: 'string' } } },
+        },
+        ...errors(401),
+      },
+    }),
+  },
+  '/api/balance': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'getBalance',
+      summary: 'Available and pending balance per currency (connect tenants).',
+      parameters: [ref('parameters', 'Refresh')],
+      responses: {
+        200: ok('Balance.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: { type: 'object' } },
+            livemode: { type: 'boolean' },
+            ...cacheProperties,
+          },
+        }),
+        ...errors(409),
+      },
+    }),
+  },
+  '/api/payouts': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'listPayouts',
+      summary: 'Lists payouts.',
+      ...dateRange,
+      parameters: [
+        ...listingParameters,
+        ref('parameters', 'Status'),
+        ref('parameters', 'TenantFilter'),
+      ],
+      responses: { 200: ok('Payouts.', ref('schemas', 'PayoutList')) },
+    }),
+    post: authenticated(SCOPES.payoutsWrite, {
+      operationId: 'createPayout',
+      summary: 'Creates a payout for the tenant.',
+      parameters: [ref('parameters', 'IdempotencyKey')],
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['amount', 'currency'],
+          additionalProperties: false,
+          properties: {
+            amount: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Minor units.',
+            },
+            currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+            method: {
+              type: 'string',
+              enum: PAYOUT_METHODS,
+              default: 'standard',
+            },
+            destination: {
+              type: 'string',
+              description: 'Bank account or card ID.',
+            },
+            description: { type: 'string' },
+          },
+        }),
+      },
+      responses: {
+        201: ok('Payout created.', {
+          type: 'object',
+          properties: { payout: ref('schemas', 'Payout') },
+        }),
+        ...errors(409, 422),
+      },
+    }),
+  },
+  '/api/payouts/export': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'exportPayouts',
+      ...rateLimitCost(10),
+      summary: 'Exports all matching payouts.',
+      ...dateRange,
+      parameters: [
+        ...payoutFilterParameters,
+        ref('parameters', 'TenantFilter'),
+        ref('parameters', 'Format'),
+        ref('parameters', 'Columns'),
+        ref('parameters', 'Locale'),
+      ],
+      responses: { 200: exportResponse },
+    }),
+  },
+  '/api/payouts/summary': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'summarizePayouts',
+      ...rateLimitCost(5),
+      summary: 'Totals, counts and averages of payouts per bucket.',
+      ...dateRange,
+      parameters: [
+        queryParameter(
+          'group_by',
+          { type: 'string', enum: GROUP_BY, default: 'month' },
+          'Bucket payouts by period, currency or status.'
+        ),
+        queryParameter(
+          'currency',
+          { type: 'string', pattern: '^[A-Za-z]{3}$' },
+          'Reporting currency to convert every amount into.'
+        ),
+        ...payoutFilterParameters,
+        ref('parameters', 'TenantFilter'),
+        ref('parameters', 'Refresh'),
+      ],
+      responses: {
+        200: ok('Summary.', {
+          type: 'object',
+          properties: {
+            group_by: { type: 'string', enum: GROUP_BY },
+            reporting_currency: { type: ['string', 'null'] },
+            buckets: { type: 'array', items: ref('schemas', 'AmountStats') },
+            totals: { type: 'array', items: ref('schemas', 'AmountStats') },
+            unconverted: {
+              type: 'array',
+              items: ref('schemas', 'AmountStats'),
+            },
+            incomplete: { type: 'boolean' },
+            source: { type: 'string', enum: ['stripe', 'mirror'] },
+            ...cacheProperties,
+          },
+        }),
+      },
+    }),
+  },
+  '/api/payouts/failures': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'listPayoutFailures',
+      ...rateLimitCost(2),
+      summary: 'Lists failed payouts with explanations.',
+      ...dateRange,
+      parameters: [...listingParameters, ref('parameters', 'Lang')],
+      responses: {
+        200: ok(
+          'Failed payouts, each with a `failure` block.',
+          ref('schemas', 'PayoutList')
+        ),
+      },
+    }),
+  },
+  '/api/payouts/forecast': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'getPayoutForecast',
+      ...rateLimitCost(5),
+      summary: 'Projects upcoming automatic payouts (connect tenants).',
+      parameters: [ref('parameters', 'Refresh')],
+      responses: {
+        200: ok('Forecast.', {
+          type: 'object',
+          properties: {
+            schedule: { type: 'object' },
+            automatic: { type: 'boolean' },
+            data: { type: 'array', items: { type: 'object' } },
+            availability: { type: 'array', items: { type: 'object' } },
+            balance: { type: 'array', items: { type: 'object' } },
+            generated_at: { type: 'string', format: 'date-time' },
+            scan_budget_exhausted: { type: 'boolean' },
+            ...cacheProperties,
+          },
+        }),
+        ...errors(409),
+      },
+    }),
+  },
+  '/api/payouts/{id}': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'getPayout',
+      summary: 'Retrieves a payout, explaining it if it failed.',
+      parameters: [ref('parameters', 'PayoutId'), ref('parameters', 'Lang')],
+      responses: {
+        200: ok('Payout.', {
+          type: 'object',
+          properties: {
+            payout: ref('schemas', 'Payout'),
+            failure: ref('schemas', 'PayoutFailure'),
+          },
+        }),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/payouts/{id}/cancel': {
+    post: authenticated(SCOPES.payoutsWrite, {
+      operationId: 'cancelPayout',
+      summary: 'Cancels a pending payout.',
+      parameters: [
+        ref('parameters', 'PayoutId'),
+        ref('parameters', 'IdempotencyKey'),
+      ],
+      responses: {
+        200: ok('Canceled payout.', {
+          type: 'object',
+          properties: { payout: ref('schemas', 'Payout') },
+        }),
+        ...errors(404, 409, 422),
+      },
+    }),
+  },
+  '/api/payouts/{id}/transactions': {
+    get: authenticated(SCOPES.transactionsRead, {
+      operationId: 'listPayoutTransactions',
+      ...rateLimitCost(5),
+      summary: 'Lists the balance transactions of a payout.',
+      parameters: [
+        ref('parameters', 'PayoutId'),
+        ref('parameters', 'Limit'),
+        ref('parameters', 'StartingAfter'),
+        ref('parameters', 'EndingBefore'),
+      ],
+      responses: {
+        200: ok('Transactions.', ref('schemas', 'BalanceTransactionList')),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/payouts/{id}/transactions/export': {
+    get: authenticated(SCOPES.transactionsRead, {
+      operationId: 'exportPayoutTransactions',
+      ...rateLimitCost(20),
+      summary: 'Exports all transactions of a payout.',
+      parameters: [
+        ref('parameters', 'PayoutId'),
+        ref('parameters', 'Format'),
+        ref('parameters', 'Columns'),
+        ref('parameters', 'Locale'),
+      ],
+      responses: { 200: exportResponse, ...errors(404) },
+    }),
+  },
+  '/api/payouts/{id}/reconciliation': {
+    get: authenticated(SCOPES.transactionsRead, {
+      operationId: 'reconcilePayout',
+      ...rateLimitCost(10),
+      summary:
+        'Totals transactions by type and checks them against the payout.',
+      parameters: [ref('parameters', 'PayoutId')],
+      responses: {
+        200: ok('Reconciliation report.', { type: 'object' }),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/payouts/{id}/adjustments': {
+    get: authenticated(SCOPES.transactionsRead, {
+      operationId: 'listPayoutAdjustments',
+      ...rateLimitCost(5),
+      summary:
+        'Refunds, disputes and adjustments in a payout, with their source objects.',
+      parameters: [ref('parameters', 'PayoutId')],
+      responses: {
+        200: ok('Adjustments.', {
+          type: 'object',
+          properties: {
+            payout_id: { type: 'string' },
+            currency: { type: 'string' },
+            data: { type: 'array', items: ref('schemas', 'Adjustment') },
+            total_count: { type: 'integer' },
+            total_net: {
+              type: 'integer',
+              description: 'Sum of `net`, in minor units.',
+            },
+            incomplete: {
+              type: 'boolean',
+              description: 'MANUAL_PAYOUT_SCAN_BUDGET ran out first.',
+            },
+            source: { type: 'string', enum: ['stripe', 'mirror'] },
+          },
+        }),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/disputes': {
+    get: authenticated(SCOPES.transactionsRead, {
+      operationId: 'listOpenDisputes',
+      ...rateLimitCost(2),
+      summary: "Lists the tenant's disputes that are not yet won or lost.",
+      parameters: [
+        ref('parameters', 'Limit'),
+        queryParameter(
+          'starting_after',
+          { type: 'string' },
+          '`next_starting_after` of a previous page.'
+        ),
+        ref('parameters', 'Refresh'),
+      ],
+      responses: {
+        200: ok('Open disputes.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('schemas', 'Dispute') },
+            has_more: { type: 'boolean' },
+            next_starting_after: { type: ['string', 'null'] },
+            scan_budget_exhausted: { type: 'boolean' },
+            ...cacheProperties,
+          },
+        }),
+      },
+    }),
+  },
+  '/api/webhooks/stripe': {
+    post: publicRoute({
+      operationId: 'receiveStripeWebhook',
+      summary:
+        'Receives payout and dispute events from Stripe (signed, not API key).',
+      parameters: [
+        {
+          name: 'Stripe-Signature',
+          in: 'header',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      requestBody: { required: true, content: json({ type: 'object' }) },
+      responses: {
+        200: ok('Acknowledged.', {
+          type: 'object',
+          properties: {
+            received: { type: 'boolean' },
+            ignored: { type: 'boolean' },
+            duplicate: { type: 'boolean' },
+          },
+        }),
+        ...errors(400, 503),
+      },
+    }),
+  },
+  '/api/webhooks/events': {
+    get: authenticated(SCOPES.payoutsRead, {
+      operationId: 'listReceivedEvents',
+      summary: 'Lists payout events received from Stripe for the tenant.',
+      parameters: [
+        ref('parameters', 'Limit'),
+        queryParameter(
+          'type',
+          { type: 'string', enum: [...PAYOUT_EVENT_TYPES] },
+          'Event type.'
+        ),
+        queryParameter('payout_id', { type: 'string' }, 'Payout ID.'),
+      ],
+      responses: {
+        200: ok('Events, newest first.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('schemas', 'ReceivedEvent') },
+            total_count: { type: 'integer' },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/audit': {
+    get: authenticated(SCOPES.auditRead, {
+      operationId: 'listAuditRecords',
+      summary:
+        'Lists audited /api/payouts requests for a tenant, newest first.',
+      parameters: [
+        ref('parameters', 'TenantFilter'),
+        queryParameter(
+          'limit',
+          { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+          'Page size.'
+        ),
+        queryParameter(
+          'starting_after',
+          { type: 'integer', minimum: 1 },
+          '`sequence` of the last record of the previous page.'
+        ),
+        queryParameter(
+          'credential_id',
+          { type: 'string' },
+          'Credential that made the request.'
+        ),
+        queryParameter(
+          'payout_id',
+          { type: 'string' },
+          'Payout the request returned.'
+        ),
+        queryParameter('request_id', { type: 'string' }, 'X-Request-Id.'),
+        queryParameter(
+          'route',
+          { type: 'string' },
+          'Route pattern, e.g. `/api/payouts/:id`.'
+        ),
+        queryParameter(
+          'from_date',
+          dateSchema,
+          'Records written at or after this ISO 8601 date or date-time (UTC).'
+        ),
+        queryParameter(
+          'to_date',
+          dateSchema,
+          'Records written at or before this ISO 8601 date or date-time (UTC).'
+        ),
+      ],
+      ...dateRange,
+      responses: {
+        200: ok('Audit records.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('schemas', 'AuditRecord') },
+            has_more: { type: 'boolean' },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/audit/verify': {
+    get: authenticated(SCOPES.auditRead, {
+      operationId: 'verifyAuditLog',
+      summary: 'Checks the hash chain of the whole audit log.',
+      responses: {
+        200: ok('Verification result.', {
+          type: 'object',
+          properties: {
+            valid: { type: 'boolean' },
+            checked: { type: 'integer' },
+            broken_at: {
+              type: ['object', 'null'],
+              properties: {
+                sequence: { type: 'integer' },
+                reason: { type: 'string' },
+              },
+            },
+            head: ref('schemas', 'AuditChainPosition'),
+          },
+        }),
+      },
+    }),
+  },
+  '/api/admin/rate-limits': {
+    get: authenticated(SCOPES.adminRead, {
+      operationId: 'listRateLimitUsage',
+      summary:
+        'Rate limit plan, usage and remaining quota of the tenants the key can reach.',
+      parameters: [
+        queryParameter(
+          'tenantId',
+          { type: 'string' },
+          'Only this tenant, even if it has not made requests.'
+        ),
+      ],
+      responses: {
+        200: ok('Usage per tenant.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('schemas', 'RateLimitUsage') },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/admin/config': {
+    get: authenticated(SCOPES.adminRead, {
+      operationId: 'getConfig',
+      summary:
+        'Every setting with its value, source and whether it can be reloaded.',
+      responses: {
+        200: ok('Settings.', {
+          type: 'object',
+          properties: {
+            file: {
+              type: ['string', 'null'],
+              description: 'CONFIG_FILE, if set.',
+            },
+            settings: {
+              type: 'array',
+              items: ref('schemas', 'ConfigSetting'),
+            },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/admin/config/reload': {
+    post: authenticated(SCOPES.adminWrite, {
+      operationId: 'reloadConfig',
+      summary:
+        'Re-reads CONFIG_FILE and applies reloadable settings, like SIGHUP. Environment variables are only read at startup.',
+      responses: {
+        200: ok('Reload result.', ref('schemas', 'ConfigReload')),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/subscriptions': {
+    get: authenticated(SCOPES.subscriptionsManage, {
+      operationId: 'listSubscriptions',
+      summary: "Lists the tenant's webhook subscriptions.",
+      responses: {
+        200: ok('Subscriptions.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('schemas', 'Subscription') },
+            total_count: { type: 'integer' },
+          },
+        }),
+      },
+    }),
+    post: authenticated(SCOPES.subscriptionsManage, {
+      operationId: 'createSubscription',
+      summary: 'Registers a callback URL for payout status events.',
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['url'],
+          additionalProperties: false,
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            events: {
+              type: 'array',
+              items: { type: 'string', enum: PAYOUT_STATUS_EVENTS },
+              minItems: 1,
+              default: ['payout.paid', 'payout.failed'],
+            },
+            description: { type: 'string' },
+          },
+        }),
+      },
+      responses: {
+        201: ok('Subscription, including its signing secret.', {
+          type: 'object',
+          properties: { subscription: ref('schemas', 'Subscription') },
+        }),
+      },
+    }),
+  },
+  '/api/subscriptions/{id}': {
+    get: authenticated(SCOPES.subscriptionsManage, {
+      operationId: 'getSubscription',
+      summary: 'Retrieves a webhook subscription.',
+      parameters: [ref('parameters', 'SubscriptionId')],
+      responses: {
+        200: ok('Subscription.', {
+          type: 'object',
+          properties: { subscription: ref('schemas', 'Subscription') },
+        }),
+        ...errors(404),
+      },
+    }),
+    delete: authenticated(SCOPES.subscriptionsManage, {
+      operationId: 'deleteSubscription',
+      summary: 'Deletes a webhook subscription and stops its retries.',
+      parameters: [ref('parameters', 'SubscriptionId')],
+      responses: {
+        200: ok('Deleted.', {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            deleted: { type: 'boolean' },
+          },
+        }),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/subscriptions/{id}/deliveries': {
+    get: authenticated(SCOPES.subscriptionsManage, {
+      operationId: 'listDeliveries',
+      summary: 'Delivery log of a subscription, newest first.',
+      parameters: [
+        ref('parameters', 'SubscriptionId'),
+        ref('parameters', 'Limit'),
+        queryParameter(
+          'status',
+          { type: 'string', enum: DELIVERY_STATUSES },
+          'Delivery status; `dead_letter` lists the dead letters.',
+          { 'x-error-code': ERROR_CODES.unknownStatus }
+        ),
+      ],
+      responses: {
+        200: ok('Deliveries.', {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('schemas', 'Delivery') },
+            total_count: { type: 'integer' },
+          },
+        }),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/subscriptions/{id}/deliveries/{deliveryId}/retry': {
+    post: authenticated(SCOPES.subscriptionsManage, {
+      operationId: 'redriveDelivery',
+      summary: 'Sends a finished delivery again.',
+      parameters: [
+        ref('parameters', 'SubscriptionId'),
+        ref('parameters', 'DeliveryId'),
+      ],
+      responses: {
+        202: ok('Delivery queued.', {
+          type: 'object',
+          properties: { delivery: ref('schemas', 'Delivery') },
+        }),
+        ...errors(404, 409),
+      },
+    }),
+  },
+};
+
+/**
+ * OpenAPI 3.1 description of every route, served at `/api/openapi.json`.
+ * It is also what `validateRequest` checks query, path and body input
+ * against, so a route's parameters are declared here rather than in its
+ * handler. `x-error-code` on a parameter overrides the code of a failed
+ * check; `x-date-range` on an operation names two date parameters that
+ * must be in order; `x-rate-limit-cost` is what the tenant rate limiter
+ * charges for the operation.
+ */
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Stripe Payments Service',
+    version,
+    description:
+      'Stripe payouts for internal customer portal integrations. Every error response has the `Error` shape.',
+  },
+  security: [{ apiKey: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Internal-Auth',
+        description: `API key from the credential store. Roles are scopes: ${Object.values(SCOPES).join(', ')}.`,
+      },
+    },
+    parameters,
+    schemas,
+    responses,
+  },
+};
+
+module.exports = {
+  PAYOUT_METHODS,
+  openApiDocument,
+};
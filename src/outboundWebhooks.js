@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const config = require('./config');
+const { logger, runWithContext } = require('./logger');
+const { outboundWebhookAttemptsTotal } = require('./metrics');
+const { assertPublicHost, publicLookup } = require('./publicAddress');
+const { store: subscriptionStore } = require('./subscriptionStore');
+
+const SIGNATURE_HEADER = 'X-Payments-Signature';
+const DELIVERY_STATUSES = [
+  'pending',
+  'retrying',
+  'delivered',
+  'dead_letter',
+  'canceled',
+];
+const FINISHED_STATUSES = new Set(['delivered', 'dead_letter', 'canceled']);
+
+const newDeliveryId = () => `dlv_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Signature sent with every delivery, in the same shape as Stripe's:
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`. Receivers
+ * should recompute it with the subscription secret and reject old timestamps.
+ */
+const signPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')}`;
+
+// Full jitter on an exponential backoff, as for Stripe calls
+const retryDelayMs = (attempt) =>
+  Math.round(
+    Math.random() *
+      Math.min(
+        config.outboundWebhookRetryMaxMs,
+        config.outboundWebhookRetryBaseMs * 2 ** (attempt - 1)
+      )
+  );
+
+/**
+ * POSTs `body` and resolves with the status code. Redirects are not
+ * followed and the answer is discarded unread, so a receiver cannot use the
+ * service to fetch anything. Unless OUTBOUND_WEBHOOK_ALLOW_PRIVATE_HOSTS is
+ * set, the host must resolve to public addresses only; this is checked on
+ * every connection, not just when the subscription was created.
+ */
+const postDelivery = async (url, { headers, body, timeoutMs }) => {
+  const target = new URL(url);
+  const allowPrivate = config.outboundWebhookAllowPrivateHosts;
+  if (!allowPrivate) {
+    // Sockets skip the lookup for IP literals
+    await assertPublicHost(target.hostname);
+  }
+
+  const transport = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        ...(!allowPrivate && { lookup: publicLookup }),
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      }
+    );
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+const toPublicDelivery = ({ payload, ...delivery }) => ({
+  ...delivery,
+  event: payload,
+});
+
+/**
+ * Delivers payout events to tenant callback URLs. Failed deliveries (network
+ * errors, timeouts, non-2xx answers) are retried with backoff up to
+ * OUTBOUND_WEBHOOK_MAX_ATTEMPTS times and then parked as `dead_letter` until
+ * they are redriven. The delivery log is kept in memory, bounded by
+ * OUTBOUND_WEBHOOK_LOG_RETENTION, so pending retries do not survive a
+ * restart; receivers should treat the event id as an idempotency key, since
+ * an event can arrive more than once.
+ */
+class OutboundWebhookDispatcher {
+  constructor({ subscriptions, maxDeliveries }) {
+    this.subscriptions = subscriptions;
+    this.maxDeliveries = maxDeliveries;
+    this.deliveries = new Map();
+    this.timers = new Map();
+    this.enqueued = new Set();
+  }
+
+  // Queues `event` for every subscription of the tenant listening to its type.
+  dispatch(tenantId, event) {
+    return this.subscriptions
+      .listForTenant(tenantId)
+      .filter((subscription) => subscription.events.includes(event.type))
+      .map((subscription) => this.enqueue(subscription, event))
+      .filter(Boolean);
+  }
+
+  enqueue(subscription, event) {
+    const dedupeKey = `${subscription.id}:${event.id}`;
+    if (this.enqueued.has(dedupeKey)) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const delivery = {
+      id: newDeliveryId(),
+      subscriptionId: subscription.id,
+      tenantId: subscription.tenantId,
+      eventId: event.id,
+      eventType: event.type,
+      status: 'pending',
+      attemptCount: 0,
+      nextAttemptAt: now,
+      attempts: [],
+      createdAt: now,
+      updatedAt: now,
+      payload: event,
+    };
+    this.deliveries.set(delivery.id, delivery);
+    this.enqueued.add(dedupeKey);
+    this.evictFinished();
+    this.schedule(delivery, 0);
+    return delivery;
+  }
+
+  schedule(delivery, delayMs) {
+    clearTimeout(this.timers.get(delivery.id));
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+
+    // Deliveries outlive the request that triggered them; log them on their own
+    const timer = setTimeout(
+      () =>
+        runWithContext(
+          { deliveryId: delivery.id, subscriptionId: delivery.subscriptionId },
+          () =>
+            this.attempt(delivery).catch((error) => {
+              logger.error('Payout event delivery crashed', { error });
+            })
+        ),
+      delayMs
+    );
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async attempt(delivery) {
+    this.timers.delete(delivery.id);
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      this.finish(delivery, 'canceled');
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const attempt = {
+      at: new Date(startedAt).toISOString(),
+      status_code: null,
+      error: null,
+      duration_ms: 0,
+    };
+
+    try {
+      const statusCode = await postDelivery(subscription.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'stripe-payments-service',
+          'X-Payments-Event-Id': delivery.eventId,
+          [SIGNATURE_HEADER]: signPayload(body, subscription.secret),
+        },
+        body,
+        timeoutMs: config.outboundWebhookTimeoutMs,
+      });
+      attempt.status_code = statusCode;
+      if (statusCode < 200 || statusCode >= 300) {
+        attempt.error = `Receiver answered ${statusCode}`;
+      }
+    } catch (error) {
+      attempt.error =
+        error.name === 'AbortError'
+          ? `No response within ${config.outboundWebhookTimeoutMs}ms`
+          : error.message;
+    }
+
+    attempt.duration_ms = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.attemptCount += 1;
+
+    if (!attempt.error) {
+      outboundWebhookAttemptsTotal.inc({ result: 'delivered' });
+      this.finish(delivery, 'delivered');
+      logger.info('Delivered payout event', {
+        eventId: delivery.eventId,
+        eventType: delivery.eventType,
+        attempt: delivery.attemptCount,
+      });
+      return;
+    }
+
+    if (delivery.attemptCount >= config.outboundWebhookMaxAttempts) {
+      outboundWebhookAttemptsTotal.inc({ result: 'dead_letter' });
+      this.finish(delivery, 'dead_letter');
+      logger.warn('Giving up on payout event delivery', {
+        eventId: delivery.eventId,
+        attempts: delivery.attemptCount,
+        error: attempt.error,
+      });
+      return;
+    }
+
+    outboundWebhookAttemptsTotal.inc({ result: 'failed' });
+    delivery.status = 'retrying';
+    delivery.updatedAt = new Date().toISOString();
+    const delayMs = retryDelayMs(delivery.attemptCount);
+    this.schedule(delivery, delayMs);
+    logger.info('Payout event delivery failed; retrying', {
+      eventId: delivery.eventId,
+      attempt: delivery.attemptCount,
+      retryInMs: delayMs,
+      error: attempt.error,
+    });
+  }
+
+  finish(delivery, status) {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+    delivery.updatedAt = new Date().toISOString();
+  }
+
+  // Drops the oldest finished deliveries once the log is over its bound;
+  // deliveries still waiting for a retry are never evicted.
+  evictFinished() {
+    if (this.deliveries.size <= this.maxDeliveries) {
+      return;
+    }
+
+    for (const delivery of this.deliveries.values()) {
+      if (this.deliveries.size <= this.maxDeliveries) {
+        return;
+      }
+      if (FINISHED_STATUSES.has(delivery.status)) {
+        this.deliveries.delete(delivery.id);
+        this.enqueued.delete(`${delivery.subscriptionId}:${delivery.eventId}`);
+      }
+    }
+  }
+
+  get(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    return delivery ? toPublicDelivery(delivery) : null;
+  }
+
+  // Newest first
+  list(subscriptionId, { status, limit = 100 } = {}) {
+    return [...this.deliveries.values()]
+      .filter(
+        (delivery) =>
+          delivery.subscriptionId === subscriptionId &&
+          (!status || delivery.status === status)
+      )
+      .reverse()
+      .slice(0, limit)
+      .map(toPublicDelivery);
+  }
+
+  /**
+   * Sends a finished delivery again with a fresh attempt budget, e.g. a
+   * dead letter once the receiver is fixed. Returns null for deliveries that
+   * are unknown or still in flight.
+   */
+  redrive(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery || !FINISHED_STATUSES.has(delivery.status)) {
+      return null;
+    }
+
+    delivery.status = 'pending';
+    delivery.attemptCount = 0;
+    delivery.updatedAt = new Date().toISOString();
+    this.schedule(delivery, 0);
+    return toPublicDelivery(delivery);
+  }
+
+  // Stops retries for a deleted subscription; its log stays readable.
+  cancelSubscription(subscriptionId) {
+    this.deliveries.forEach((delivery) => {
+      if (
+        delivery.subscriptionId === subscriptionId &&
+        !FINISHED_STATUSES.has(delivery.status)
+      ) {
+        clearTimeout(this.timers.get(delivery.id));
+        this.timers.delete(delivery.id);
+        this.finish(delivery, 'canceled');
+      }
+    });
+  }
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  OutboundWebhookDispatcher,
+  SIGNATURE_HEADER,
+  dispatcher: new OutboundWebhookDispatcher({
+    subscriptions: subscriptionStore,
+    maxDeliveries: config.outboundWebhookLogRetention,
+  }),
+  signPayload,
+};
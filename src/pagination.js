@@ -0,0 +1,142 @@
+const CURSOR_DIRECTIONS = {
+  next: 'next',
+  prev: 'prev',
+};
+
+// Opaque to callers; encodes the Stripe object ID a page starts after/before.
+const encodeCursor = (direction, id) =>
+  Buffer.from(JSON.stringify({ d: direction, id })).toString('base64url');
+
+const decodeCursor = (value) => {
+  if (typeof value !== 'string' || !value) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (
+      !Object.values(CURSOR_DIRECTIONS).includes(parsed.d) ||
+      typeof parsed.id !== 'string' ||
+      !parsed.id
+    ) {
+      return null;
+    }
+
+    return { direction: parsed.d, id: parsed.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Walks a Stripe list endpoint page by page until `limit` items match
+ * `predicate`, Stripe runs out of items, or `scanBudget` items were examined.
+ *
+ * Stripe lists are newest first. Going `next` follows `starting_after`;
+ * going `prev` follows `ending_before` and walks each page from the end so
+ * matches closest to the boundary are collected first.
+ *
+ * Returns matches newest first, whether more matches may follow in the
+ * direction of travel, and the ID of the last examined item (the position to
+ * resume from).
+ */
+const scanList = async ({
+  fetchPage,
+  predicate = () => true,
+  limit,
+  skip = 0,
+  direction = CURSOR_DIRECTIONS.next,
+  boundaryId = null,
+  pageSize = 100,
+  scanBudget,
+}) => {
+  const forward = direction === CURSOR_DIRECTIONS.next;
+  const matches = [];
+  let skipped = 0;
+  let scanned = 0;
+  let boundary = boundaryId;
+  let position = boundaryId;
+  let foundMore = false;
+  let budgetExhausted = false;
+
+  for (;;) {
+    const params = { limit: pageSize };
+    if (boundary) {
+      params[forward ? 'starting_after' : 'ending_before'] = boundary;
+    }
+
+    const page = await fetchPage(params);
+    const pageData = page.data || [];
+    const items = forward ? pageData : [...pageData].reverse();
+
+    for (let index = 0; index < items.length; index += 1) {
+      const item = items[index];
+
+      if (predicate(item)) {
+        if (matches.length === limit) {
+          // One match past the limit proves there is another page
+          foundMore = true;
+          break;
+        }
+
+        if (skipped < skip) {
+          skipped += 1;
+        } else {
+          matches.push(item);
+        }
+      }
+
+      scanned += 1;
+      position = item.id;
+
+      const moreAvailable = index < items.length - 1 || page.has_more;
+      if (scanned >= scanBudget && moreAvailable) {
+        budgetExhausted = true;
+        break;
+      }
+    }
+
+    if (foundMore || budgetExhausted || !page.has_more || items.length === 0) {
+      break;
+    }
+
+    boundary = forward ? pageData[pageData.length - 1].id : pageData[0].id;
+  }
+
+  return {
+    data: forward ? matches : matches.reverse(),
+    hasMore: foundMore || budgetExhausted,
+    budgetExhausted,
+    position,
+    scanned,
+  };
+};
+
+// Yields every page of a Stripe list endpoint, newest first, one page at a
+// time so callers can stream results without holding the whole list.
+async function* iteratePages(fetchPage, pageSize = 100) {
+  let startingAfter = null;
+  for (;;) {
+    const params = { limit: pageSize };
+    if (startingAfter) {
+      params.starting_after = startingAfter;
+    }
+
+    const page = await fetchPage(params);
+    const pageData = page.data || [];
+    yield pageData;
+
+    if (!page.has_more || pageData.length === 0) {
+      return;
+    }
+    startingAfter = pageData[pageData.length - 1].id;
+  }
+}
+
+module.exports = {
+  CURSOR_DIRECTIONS,
+  decodeCursor,
+  encodeCursor,
+  iteratePages,
+  scanList,
+};
@@ -0,0 +1,124 @@
+const stripeGateway = require('./stripeGateway');
+const { describeDispute, idOf } = require('./disputes');
+const { fetchAllPayoutTransactions } = require('./payoutTransactions');
+
+// Balance transaction types that make a payout smaller than its sales
+const ADJUSTMENT_TYPES = [
+  'refund',
+  'dispute',
+  'adjustment',
+  'payment_failure_refund',
+];
+
+const describeSource = (source) => {
+  if (!source || typeof source !== 'object') {
+    return source ? { id: source, object: null } : null;
+  }
+
+  switch (source.object) {
+    case 'dispute':
+      return describeDispute(source);
+    case 'refund':
+      return {
+        id: source.id,
+        object: 'refund',
+        amount: source.amount,
+        currency: source.currency,
+        status: source.status,
+        reason: source.reason ?? null,
+        charge: idOf(source.charge),
+        payment_intent: idOf(source.payment_intent),
+      };
+    case 'charge':
+      return {
+        id: source.id,
+        object: 'charge',
+        amount: source.amount,
+        amount_refunded: source.amount_refunded,
+        currency: source.currency,
+        disputed: source.disputed,
+        payment_intent: idOf(source.payment_intent),
+      };
+    default:
+      return { id: source.id, object: source.object ?? null };
+  }
+};
+
+// Source lookups run in batches of this size, so a payout with many
+// unexpanded adjustments does not fire them all at Stripe at once
+const SOURCE_LOOKUP_BATCH_SIZE = 10;
+
+// Sources of transactions listed without `expand` are fetched one by one
+const withExpandedSource = async (tx, requestOptions) =>
+  typeof tx.source === 'string'
+    ? stripeGateway.balanceTransactions.retrieve(
+        tx.id,
+        { expand: ['source'] },
+        requestOptions
+      )
+    : tx;
+
+const expandSources = async (transactions, requestOptions) => {
+  const expanded = [];
+  for (
+    let start = 0;
+    start < transactions.length;
+    start += SOURCE_LOOKUP_BATCH_SIZE
+  ) {
+    const batch = transactions.slice(start, start + SOURCE_LOOKUP_BATCH_SIZE);
+    expanded.push(
+      ...(await Promise.all(
+        batch.map((tx) => withExpandedSource(tx, requestOptions))
+      ))
+    );
+  }
+  return expanded;
+};
+
+/**
+ * The refunds, disputes and other adjustments swept into a payout, each with
+ * its source object (refund, dispute or charge) expanded, plus their sum.
+ * `transactions` may be passed in, e.g. from the mirror; otherwise they are
+ * listed from Stripe with `expand[]=data.source`.
+ */
+const fetchPayoutAdjustments = async (
+  payout,
+  { tenantId, requestOptions, transactions }
+) => {
+  const listed = transactions
+    ? { transactions, incomplete: false }
+    : await fetchAllPayoutTransactions(payout, {
+        tenantId,
+        requestOptions,
+        expand: ['data.source'],
+      });
+
+  const adjustments = await expandSources(
+    listed.transactions.filter((tx) => ADJUSTMENT_TYPES.includes(tx.type)),
+    requestOptions
+  );
+
+  return {
+    payout_id: payout.id,
+    currency: payout.currency,
+    data: adjustments.map((tx) => ({
+      id: tx.id,
+      type: tx.type,
+      amount: tx.amount,
+      fee: tx.fee,
+      net: tx.net,
+      currency: tx.currency,
+      created: tx.created,
+      description: tx.description ?? null,
+      source: describeSource(tx.source),
+    })),
+    total_count: adjustments.length,
+    total_net: adjustments.reduce((sum, tx) => sum + tx.net, 0),
+    incomplete: listed.incomplete,
+  };
+};
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  fetchPayoutAdjustments,
+};
@@ -0,0 +1,202 @@
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'sv'];
+const UNKNOWN_CODE = 'unknown';
+
+const ACTIONS = {
+  retry: 'retry',
+  addFunds: 'add_funds',
+  updateBankAccount: 'update_bank_account',
+  updateAccountHolder: 'update_account_holder',
+  contactBank: 'contact_bank',
+  contactSupport: 'contact_support',
+};
+
+// Recommended action per Stripe `failure_code`. `retryable` means the same
+// payout can succeed again without changing the bank details.
+const FAILURE_GUIDANCE = {
+  account_closed: { action: ACTIONS.updateBankAccount, retryable: false },
+  account_frozen: { action: ACTIONS.contactBank, retryable: false },
+  bank_account_restricted: { action: ACTIONS.contactBank, retryable: false },
+  bank_ownership_changed: {
+    action: ACTIONS.updateBankAccount,
+    retryable: false,
+  },
+  could_not_process: { action: ACTIONS.retry, retryable: true },
+  debit_not_authorized: { action: ACTIONS.contactBank, retryable: false },
+  declined: { action: ACTIONS.contactBank, retryable: false },
+  incorrect_account_holder_address: {
+    action: ACTIONS.updateAccountHolder,
+    retryable: false,
+  },
+  incorrect_account_holder_name: {
+    action: ACTIONS.updateAccountHolder,
+    retryable: false,
+  },
+  incorrect_account_holder_tax_id: {
+    action: ACTIONS.updateAccountHolder,
+    retryable: false,
+  },
+  insufficient_funds: { action: ACTIONS.addFunds, retryable: true },
+  invalid_account_number: {
+    action: ACTIONS.updateBankAccount,
+    retryable: false,
+  },
+  invalid_currency: { action: ACTIONS.updateBankAccount, retryable: false },
+  no_account: { action: ACTIONS.updateBankAccount, retryable: false },
+  unsupported_card: { action: ACTIONS.updateBankAccount, retryable: false },
+  [UNKNOWN_CODE]: { action: ACTIONS.contactSupport, retryable: false },
+};
+
+const CATALOGUES = {
+  en: {
+    explanations: {
+      account_closed: 'The bank account has been closed.',
+      account_frozen: 'The bank account has been frozen.',
+      bank_account_restricted:
+        'The bank account has restrictions on the type or number of payouts it can receive.',
+      bank_ownership_changed:
+        'The bank account has changed owner, so the payout could not be made to it.',
+      could_not_process: 'The bank could not process this payout.',
+      debit_not_authorized:
+        'Debits are not authorized on this bank account, so the negative payout could not be collected.',
+      declined: 'The bank declined the payout.',
+      incorrect_account_holder_address:
+        'The account holder address does not match what the bank has on record.',
+      incorrect_account_holder_name:
+        'The account holder name does not match what the bank has on record.',
+      incorrect_account_holder_tax_id:
+        'The account holder tax ID does not match what the bank has on record.',
+      insufficient_funds:
+        'The Stripe balance did not cover the payout when it was made.',
+      invalid_account_number:
+        'The account number or routing number is not valid.',
+      invalid_currency: 'The bank account cannot receive this currency.',
+      no_account: 'The bank account details do not match an existing account.',
+      unsupported_card: 'The card does not support payouts.',
+      [UNKNOWN_CODE]:
+        'The payout failed for a reason Stripe did not classify further.',
+    },
+    actions: {
+      [ACTIONS.retry]:
+        'Create the payout again. If it fails a second time, contact the bank.',
+      [ACTIONS.addFunds]:
+        'Wait until the available balance covers the amount, then create the payout again.',
+      [ACTIONS.updateBankAccount]:
+        'Add a valid bank account or card for payouts, then create the payout again.',
+      [ACTIONS.updateAccountHolder]:
+        "Correct the account holder details so they match the bank's records, then create the payout again.",
+      [ACTIONS.contactBank]:
+        'Ask the account holder to contact their bank about incoming payments before trying again.',
+      [ACTIONS.contactSupport]:
+        'Contact Stripe support with the payout ID for details.',
+    },
+  },
+  sv: {
+    explanations: {
+      account_closed: 'Bankkontot har avslutats.',
+      account_frozen: 'Bankkontot är spärrat.',
+      bank_account_restricted:
+        'Bankkontot har begränsningar för vilken typ eller hur många utbetalningar det kan ta emot.',
+      bank_ownership_changed:
+        'Bankkontot har bytt ägare, så utbetalningen kunde inte göras till det.',
+      could_not_process: 'Banken kunde inte behandla utbetalningen.',
+      debit_not_authorized:
+        'Bankkontot tillåter inte uttag, så den negativa utbetalningen kunde inte dras.',
+      declined: 'Banken avvisade utbetalningen.',
+      incorrect_account_holder_address:
+        'Kontoinnehavarens adress stämmer inte med bankens uppgifter.',
+      incorrect_account_holder_name:
+        'Kontoinnehavarens namn stämmer inte med bankens uppgifter.',
+      incorrect_account_holder_tax_id:
+        'Kontoinnehavarens skatte-ID stämmer inte med bankens uppgifter.',
+      insufficient_funds:
+        'Stripe-saldot räckte inte till utbetalningen när den gjordes.',
+      invalid_account_number: 'Kontonumret eller clearingnumret är ogiltigt.',
+      invalid_currency: 'Bankkontot kan inte ta emot den här valutan.',
+      no_account: 'Kontouppgifterna matchar inget befintligt bankkonto.',
+      unsupported_card: 'Kortet har inte stöd för utbetalningar.',
+      [UNKNOWN_CODE]:
+        'Utbetalningen misslyckades av en orsak som Stripe inte angav närmare.',
+    },
+    actions: {
+      [ACTIONS.retry]:
+        'Gör utbetalningen igen. Kontakta banken om den misslyckas en gång till.',
+      [ACTIONS.addFunds]:
+        'Vänta tills det tillgängliga saldot täcker beloppet och gör sedan utbetalningen igen.',
+      [ACTIONS.updateBankAccount]:
+        'Lägg till ett giltigt bankkonto eller kort för utbetalningar och gör sedan utbetalningen igen.',
+      [ACTIONS.updateAccountHolder]:
+        'Rätta kontoinnehavarens uppgifter så att de stämmer med bankens och gör sedan utbetalningen igen.',
+      [ACTIONS.contactBank]:
+        'Be kontoinnehavaren kontakta sin bank om inkommande betalningar innan ett nytt försök görs.',
+      [ACTIONS.contactSupport]:
+        'Kontakta Stripes support med utbetalningens ID för mer information.',
+    },
+  },
+};
+
+// `lang` wins when given (null if unsupported); otherwise the best supported
+// match from Accept-Language, falling back to English.
+const resolveLanguage = (requested, acceptLanguage) => {
+  if (requested) {
+    const normalized = String(requested).trim().toLowerCase();
+    return SUPPORTED_LANGUAGES.includes(normalized) ? normalized : null;
+  }
+
+  const preferred = String(acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...parameters] = part.trim().split(';');
+      const quality = parameters.find((parameter) =>
+        parameter.trim().startsWith('q=')
+      );
+      return {
+        language: tag.split('-')[0].toLowerCase(),
+        weight: quality ? Number(quality.trim().slice(2)) : 1,
+      };
+    })
+    .filter(
+      ({ language, weight }) =>
+        SUPPORTED_LANGUAGES.includes(language) && weight > 0
+    )
+    .sort((left, right) => right.weight - left.weight);
+
+  return preferred[0]?.language || DEFAULT_LANGUAGE;
+};
+
+const referenceId = (value) =>
+  value && typeof value === 'object' ? value.id : value || null;
+
+/**
+ * Explains why a payout failed, in `language`. Returns null for payouts that
+ * have not failed. `balance_transaction` is the `payout_failure` transaction
+ * that returned the funds to the balance.
+ */
+const describePayoutFailure = (payout, language = DEFAULT_LANGUAGE) => {
+  if (payout?.status !== 'failed' && !payout?.failure_code) {
+    return null;
+  }
+
+  const code = payout.failure_code || null;
+  const known = Boolean(code && FAILURE_GUIDANCE[code]);
+  const guidance = FAILURE_GUIDANCE[known ? code : UNKNOWN_CODE];
+  const catalogue = CATALOGUES[language] || CATALOGUES[DEFAULT_LANGUAGE];
+
+  return {
+    code,
+    known,
+    explanation: catalogue.explanations[known ? code : UNKNOWN_CODE],
+    action: guidance.action,
+    action_description: catalogue.actions[guidance.action],
+    retryable: guidance.retryable,
+    stripe_message: payout.failure_message || null,
+    balance_transaction: referenceId(payout.failure_balance_transaction),
+    language,
+  };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  describePayoutFailure,
+  resolveLanguage,
+};
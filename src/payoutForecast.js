@@ -0,0 +1,215 @@
+const DAY_IN_MS = 86_400_000;
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+const AUTOMATIC_INTERVALS = new Set(['daily', 'weekly', 'monthly']);
+// Longest gap between two payout days (monthly anchor 31 into February)
+const MAX_DAYS_TO_PAYOUT = 62;
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const daysInMonth = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+
+// Accounts on newer API versions list several days in `*_payout_days`;
+// older ones have a single anchor.
+const isPayoutDay = (date, schedule) => {
+  switch (schedule.interval) {
+    case 'daily':
+      return true;
+    case 'weekly': {
+      const days = schedule.weekly_payout_days || [schedule.weekly_anchor];
+      return days.includes(WEEKDAYS[date.getUTCDay()]);
+    }
+    case 'monthly': {
+      const anchors = schedule.monthly_payout_days || [schedule.monthly_anchor];
+      // Anchors past the end of a shorter month pay out on its last day
+      const lastDay = daysInMonth(date);
+      return anchors.some(
+        (anchor) => Math.min(anchor, lastDay) === date.getUTCDate()
+      );
+    }
+    default:
+      return false;
+  }
+};
+
+// First payout day on or after `from`, or null for manual payouts
+const nextPayoutDate = (from, schedule) => {
+  if (!AUTOMATIC_INTERVALS.has(schedule?.interval)) {
+    return null;
+  }
+
+  let date = startOfUtcDay(from);
+  for (let day = 0; day <= MAX_DAYS_TO_PAYOUT; day += 1) {
+    if (isPayoutDay(date, schedule)) {
+      return date;
+    }
+    date = new Date(date.getTime() + DAY_IN_MS);
+  }
+  return null;
+};
+
+const shapeSchedule = (schedule) => ({
+  interval: schedule?.interval || null,
+  delay_days: schedule?.delay_days ?? null,
+  weekly_anchor: schedule?.weekly_anchor || null,
+  monthly_anchor: schedule?.monthly_anchor || null,
+});
+
+/**
+ * Available and pending amounts per currency from a Stripe balance object.
+ * Amounts are in minor units.
+ */
+const summarizeBalance = (balance) => {
+  const currencies = new Map();
+  const entryFor = (currency) => {
+    if (!currencies.has(currency)) {
+      currencies.set(currency, { currency, available: 0, pending: 0 });
+    }
+    return currencies.get(currency);
+  };
+
+  (balance?.available || []).forEach(({ currency, amount }) => {
+    entryFor(currency).available += amount;
+  });
+  (balance?.pending || []).forEach(({ currency, amount }) => {
+    entryFor(currency).pending += amount;
+  });
+
+  return [...currencies.values()].sort((left, right) =>
+    left.currency.localeCompare(right.currency)
+  );
+};
+
+const addToGroup = (groups, key, create, amount) => {
+  if (!groups.has(key)) {
+    groups.set(key, create());
+  }
+  const group = groups.get(key);
+  group.amount += amount;
+  return group;
+};
+
+const byDateThenCurrency = (dateField) => (left, right) =>
+  left[dateField].localeCompare(right[dateField]) ||
+  left.currency.localeCompare(right.currency);
+
+/**
+ * Projects upcoming automatic payouts. Pending balance transactions become
+ * available on their `available_on` day (the schedule's `delay_days` is
+ * already applied by Stripe) and are paid out on the next payout day of the
+ * schedule; the currently available balance goes into the next payout from
+ * today. A day whose net is negative is carried into the next one, since
+ * Stripe does not pay out a negative balance. Days are UTC; the expected
+ * date is when Stripe creates the payout, not when the bank credits it.
+ */
+const buildPayoutForecast = ({
+  balance,
+  transactions,
+  schedule,
+  now = new Date(),
+}) => {
+  const today = startOfUtcDay(now);
+  const availability = new Map();
+
+  transactions.forEach((tx) => {
+    // Payout debits already left the balance they are pending against
+    if (tx.status !== 'pending' || String(tx.type).startsWith('payout')) {
+      return;
+    }
+
+    const availableOn = startOfUtcDay(new Date(tx.available_on * 1000));
+    const date = toDateString(availableOn < today ? today : availableOn);
+    const group = addToGroup(
+      availability,
+      `${date}|${tx.currency}`,
+      () => ({
+        date,
+        currency: tx.currency,
+        amount: 0,
+        transaction_count: 0,
+      }),
+      tx.net || 0
+    );
+    group.transaction_count += 1;
+  });
+
+  const payouts = new Map();
+  const addToPayout = (payoutDate, currency, amount, field, count) => {
+    const date = toDateString(payoutDate);
+    const payout = addToGroup(
+      payouts,
+      `${date}|${currency}`,
+      () => ({
+        expected_payout_date: date,
+        currency,
+        amount: 0,
+        from_available: 0,
+        from_pending: 0,
+        transaction_count: 0,
+      }),
+      amount
+    );
+    payout[field] += amount;
+    payout.transaction_count += count;
+  };
+
+  const firstPayoutDate = nextPayoutDate(today, schedule);
+  if (firstPayoutDate) {
+    (balance?.available || []).forEach(({ currency, amount }) => {
+      if (amount !== 0) {
+        addToPayout(firstPayoutDate, currency, amount, 'from_available', 0);
+      }
+    });
+    availability.forEach(({ date, currency, amount, transaction_count }) => {
+      const payoutDate = nextPayoutDate(new Date(date), schedule);
+      if (payoutDate) {
+        addToPayout(
+          payoutDate,
+          currency,
+          amount,
+          'from_pending',
+          transaction_count
+        );
+      }
+    });
+  }
+
+  const carried = new Map();
+  const projected = [...payouts.values()]
+    .sort(byDateThenCurrency('expected_payout_date'))
+    .map((payout) => {
+      const carry = carried.get(payout.currency) || 0;
+      const amount = payout.amount + carry;
+      carried.set(payout.currency, amount > 0 ? 0 : amount);
+      return { ...payout, amount, carried_over: carry };
+    })
+    .filter((payout) => payout.amount > 0);
+
+  return {
+    schedule: shapeSchedule(schedule),
+    automatic: Boolean(firstPayoutDate),
+    payouts: projected,
+    availability: [...availability.values()].sort(byDateThenCurrency('date')),
+  };
+};
+
+module.exports = {
+  buildPayoutForecast,
+  nextPayoutDate,
+  summarizeBalance,
+};
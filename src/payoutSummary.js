@@ -0,0 +1,133 @@
+const { currencyDecimals, toMajorUnits } = require('./exportFormats');
+
+const GROUP_BY = ['day', 'week', 'month', 'currency', 'status'];
+const DAY_IN_MS = 86_400_000;
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Buckets are UTC; weeks start on Monday and are keyed by that date.
+const BUCKET_KEYS = {
+  day: (payout) => isoDate(new Date(payout.created * 1000)),
+  week: (payout) => {
+    const date = new Date(payout.created * 1000);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return isoDate(new Date(date.getTime() - daysSinceMonday * DAY_IN_MS));
+  },
+  month: (payout) => isoDate(new Date(payout.created * 1000)).slice(0, 7),
+  currency: (payout) => payout.currency,
+  status: (payout) => payout.status,
+};
+
+/**
+ * Converts minor units between currencies with a static rate table, where
+ * `rates[currency]` is the value of one major unit in `baseCurrency`.
+ * Returns null when either currency has no rate.
+ */
+const convertAmount = (amount, from, to, { baseCurrency, rates }) => {
+  if (from === to) {
+    return amount;
+  }
+
+  const rateOf = (currency) =>
+    currency === baseCurrency ? 1 : rates[currency] || null;
+  const fromRate = rateOf(from);
+  const toRate = rateOf(to);
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  const major = (toMajorUnits(amount, from) * fromRate) / toRate;
+  return Math.round(major * 10 ** currencyDecimals(to));
+};
+
+const emptyStats = (key, currency) => ({
+  key,
+  currency,
+  count: 0,
+  total: 0,
+  average: 0,
+  min: null,
+  max: null,
+});
+
+const addToStats = (stats, amount) => {
+  stats.count += 1;
+  stats.total += amount;
+  stats.min = stats.min === null ? amount : Math.min(stats.min, amount);
+  stats.max = stats.max === null ? amount : Math.max(stats.max, amount);
+};
+
+const finalizeStats = (stats) => ({
+  ...stats,
+  average: stats.count > 0 ? Math.round(stats.total / stats.count) : 0,
+});
+
+const byCurrency = (left, right) => left.currency.localeCompare(right.currency);
+
+const byKeyThenCurrency = (left, right) =>
+  String(left.key).localeCompare(String(right.key)) || byCurrency(left, right);
+
+/**
+ * Totals, counts, averages, minimum and maximum of payout amounts per bucket
+ * (amounts in minor units). Without a reporting currency, currencies are
+ * never mixed: each bucket is split per currency. With one, every amount is
+ * converted into it and each bucket has a single entry; payouts in a
+ * currency without a rate are left out and counted under `unconverted`.
+ */
+const summarizePayouts = (
+  payouts,
+  { groupBy, reportingCurrency = null, fx = { baseCurrency: null, rates: {} } }
+) => {
+  const bucketKey = BUCKET_KEYS[groupBy];
+  const buckets = new Map();
+  const totals = new Map();
+  const unconverted = new Map();
+
+  payouts.forEach((payout) => {
+    let { amount, currency } = payout;
+    if (reportingCurrency) {
+      const converted = convertAmount(amount, currency, reportingCurrency, fx);
+      if (converted === null) {
+        if (!unconverted.has(currency)) {
+          unconverted.set(currency, emptyStats(null, currency));
+        }
+        addToStats(unconverted.get(currency), amount);
+        return;
+      }
+      amount = converted;
+      currency = reportingCurrency;
+    }
+
+    const key = bucketKey(payout);
+    const bucketId = `${key}|${currency}`;
+    if (!buckets.has(bucketId)) {
+      buckets.set(bucketId, emptyStats(key, currency));
+    }
+    addToStats(buckets.get(bucketId), amount);
+
+    if (!totals.has(currency)) {
+      totals.set(currency, emptyStats(null, currency));
+    }
+    addToStats(totals.get(currency), amount);
+  });
+
+  const withoutKey = ({ key, ...stats }) => stats;
+
+  return {
+    buckets: [...buckets.values()].map(finalizeStats).sort(byKeyThenCurrency),
+    totals: [...totals.values()]
+      .map(finalizeStats)
+      .map(withoutKey)
+      .sort(byCurrency),
+    unconverted: [...unconverted.values()]
+      .map(finalizeStats)
+      .map(withoutKey)
+      .sort(byCurrency),
+  };
+};
+
+module.exports = {
+  GROUP_BY,
+  convertAmount,
+  summarizePayouts,
+};
@@ -0,0 +1,198 @@
+const stripeGateway = require('./stripeGateway');
+const cache = require('./cache');
+const config = require('./config');
+const { buildCacheKey, tenantCacheTag } = require('./cacheKeys');
+const { coalesce } = require('./inflight');
+const { iteratePages, scanList } = require('./pagination');
+
+const DAY_IN_SECONDS = 86_400;
+
+// The payout's own balance transaction (type `payout`) is created when the
+// payout debits the balance, so everything it swept up was created before it.
+const retrievePayoutBalanceTransaction = async (payout, requestOptions) => {
+  const reference = payout.balance_transaction;
+  if (!reference) {
+    return null;
+  }
+  if (typeof reference === 'object') {
+    return reference;
+  }
+
+  try {
+    return await stripeGateway.balanceTransactions.retrieve(
+      reference,
+      {},
+      requestOptions
+    );
+  } catch (error) {
+    if (error?.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const scanManualPayoutTransactions = async (payout, requestOptions) => {
+  const anchorTransaction = await retrievePayoutBalanceTransaction(
+    payout,
+    requestOptions
+  );
+  const anchor = anchorTransaction?.created || payout.created;
+  const createdRange = {
+    gte: anchor - config.manualPayoutLookbackDays * DAY_IN_SECONDS,
+    lte: anchor,
+  };
+
+  const result = await scanList({
+    fetchPage: (pageParams) =>
+      stripeGateway.balanceTransactions.list(
+        { ...pageParams, created: createdRange },
+        requestOptions
+      ),
+    predicate: (tx) =>
+      tx.payout === payout.id && tx.id !== anchorTransaction?.id,
+    limit: Number.POSITIVE_INFINITY,
+    scanBudget: config.manualPayoutScanBudget,
+  });
+
+  const transactions = anchorTransaction
+    ? [anchorTransaction, ...result.data]
+    : result.data;
+
+  return {
+    ids: transactions.map((tx) => tx.id),
+    transactions,
+    anchor: anchorTransaction?.id || null,
+    createdRange,
+    incomplete: result.budgetExhausted,
+    scanned: result.scanned,
+  };
+};
+
+/**
+ * Stripe cannot filter balance transactions by payout for manual payouts, so
+ * this walks every page of balance transactions created in the lookback
+ * window ending at the payout's own balance transaction, up to
+ * MANUAL_PAYOUT_SCAN_BUDGET items. The resolved set is cached per payout;
+ * settled, complete sets are kept for MANUAL_PAYOUT_CACHE_TTL_SECONDS.
+ */
+const resolveManualPayoutTransactions = async (
+  payout,
+  { tenantId, requestOptions }
+) => {
+  const cacheKey = buildCacheKey(tenantId, 'manual-payout-transactions', {
+    id: payout.id,
+  });
+
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const resolved = await coalesce(cacheKey, () =>
+    scanManualPayoutTransactions(payout, requestOptions)
+  );
+
+  const settled = ['paid', 'failed', 'canceled'].includes(payout.status);
+  await cache.set(
+    cacheKey,
+    resolved,
+    settled && !resolved.incomplete
+      ? config.manualPayoutCacheTtlSeconds
+      : config.cacheTtlSeconds,
+    { tags: [tenantCacheTag(tenantId)] }
+  );
+
+  return { ...resolved, cached: false };
+};
+
+const isManualFilteringError = (error) => {
+  const message = String(error?.message || '').toLowerCase();
+  return (
+    error?.code === 'balance_transactions_manual_filtering_not_allowed' ||
+    message.includes('only be filtered on automatic transfers') ||
+    message.includes('cannot filter balance transaction history')
+  );
+};
+
+// Every balance transaction of a payout across all pages, for reports that
+// need the complete set rather than one page. `expand` is passed to the
+// payout-filtered listing, e.g. `['data.source']`; manual payouts are
+// resolved from the cached scan and come back unexpanded.
+const fetchAllPayoutTransactions = async (
+  payout,
+  { tenantId, requestOptions, expand }
+) => {
+  const isManualPayout = payout.type === 'manual' || !payout.automatic;
+
+  if (!isManualPayout) {
+    try {
+      const result = await scanList({
+        fetchPage: (pageParams) =>
+          stripeGateway.balanceTransactions.list(
+            { ...pageParams, payout: payout.id, ...(expand && { expand }) },
+            requestOptions
+          ),
+        limit: Number.POSITIVE_INFINITY,
+        scanBudget: config.manualPayoutScanBudget,
+      });
+      return { transactions: result.data, incomplete: result.budgetExhausted };
+    } catch (error) {
+      // Some payouts flagged automatic are still rejected by the filter
+      if (!isManualFilteringError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  const resolved = await resolveManualPayoutTransactions(payout, {
+    tenantId,
+    requestOptions,
+  });
+  return {
+    transactions: resolved.transactions,
+    incomplete: resolved.incomplete,
+  };
+};
+
+// Streams a payout's balance transactions page by page. Manual payouts have
+// to be resolved as a whole first and are yielded as a single page.
+async function* iteratePayoutTransactions(
+  payout,
+  { tenantId, requestOptions }
+) {
+  const isManualPayout = payout.type === 'manual' || !payout.automatic;
+
+  if (!isManualPayout) {
+    let yielded = false;
+    try {
+      for await (const page of iteratePages((pageParams) =>
+        stripeGateway.balanceTransactions.list(
+          { ...pageParams, payout: payout.id },
+          requestOptions
+        )
+      )) {
+        yielded = true;
+        yield page;
+      }
+      return;
+    } catch (error) {
+      if (yielded || !isManualFilteringError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  const resolved = await resolveManualPayoutTransactions(payout, {
+    tenantId,
+    requestOptions,
+  });
+  yield resolved.transactions;
+}
+
+module.exports = {
+  fetchAllPayoutTransactions,
+  iteratePayoutTransactions,
+  isManualFilteringError,
+  resolveManualPayoutTransactions,
+};
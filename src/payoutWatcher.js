@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { describePayoutFailure } = require('./payoutFailures');
+const { dispatcher } = require('./outboundWebhooks');
+const { store: stateStore } = require('./stateStore');
+const { store: subscriptionStore } = require('./subscriptionStore');
+
+const PAYOUT_STATUS_EVENTS = [
+  'payout.pending',
+  'payout.in_transit',
+  'payout.paid',
+  'payout.failed',
+  'payout.canceled',
+];
+const DEFAULT_SUBSCRIBED_EVENTS = ['payout.paid', 'payout.failed'];
+// Long enough to outlive any payout that is still moving
+const STATE_TTL_SECONDS = 30 * 86_400;
+
+// A payout only moves forward; an older copy (e.g. a stale listing page
+// read after a webhook) must not be reported as a change back.
+const STATUS_RANK = {
+  pending: 0,
+  in_transit: 1,
+  paid: 2,
+  failed: 3,
+  canceled: 3,
+};
+
+const stateKey = (payoutId) => `payout-state:${payoutId}`;
+
+// The same change seen twice (webhook and sync poll) gets the same id
+const eventIdFor = (payoutId, status) =>
+  `evt_${crypto
+    .createHash('sha256')
+    .update(`${payoutId}:${status}`)
+    .digest('hex')
+    .slice(0, 24)}`;
+
+const toEvent = (payout, tenantId, previousStatus) => ({
+  id: eventIdFor(payout.id, payout.status),
+  type: `payout.${payout.status}`,
+  created: Math.floor(Date.now() / 1000),
+  tenant: tenantId,
+  data: {
+    payout: {
+      id: payout.id,
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      arrival_date: payout.arrival_date,
+      created: payout.created,
+      method: payout.method,
+      automatic: payout.automatic,
+      failure_code: payout.failure_code || null,
+      metadata: payout.metadata || {},
+    },
+    previous_status: previousStatus,
+    failure: describePayoutFailure(payout),
+  },
+});
+
+/**
+ * Compares a payout the service has just seen, from any source, with the
+ * last status recorded for it and pushes a `payout.<status>` event to the
+ * tenant's subscriptions when it moved forward. Without a recorded status
+ * the payout is only remembered, unless it comes straight from a Stripe
+ * event, which is itself a change. Tenants without subscriptions are
+ * skipped, so watching costs nothing until a tenant subscribes.
+ */
+const observePayout = async (payout, { tenantId, fromEvent = false }) => {
+  if (
+    !tenantId ||
+    !payout?.id ||
+    STATUS_RANK[payout.status] === undefined ||
+    !subscriptionStore.hasSubscriptions(tenantId)
+  ) {
+    return null;
+  }
+
+  const key = stateKey(payout.id);
+  const previous = await stateStore.get(key);
+  const previousStatus = previous?.status || null;
+  if (previousStatus === payout.status) {
+    return null;
+  }
+  if (
+    previousStatus &&
+    STATUS_RANK[payout.status] <= STATUS_RANK[previousStatus]
+  ) {
+    return null;
+  }
+
+  await stateStore.set(key, { status: payout.status }, STATE_TTL_SECONDS);
+  if (!previousStatus && !fromEvent) {
+    return null;
+  }
+
+  const event = toEvent(payout, tenantId, previousStatus);
+  const deliveries = dispatcher.dispatch(tenantId, event);
+  logger.info('Payout status changed', {
+    payoutId: payout.id,
+    previousStatus,
+    status: payout.status,
+    deliveries: deliveries.length,
+  });
+  return event;
+};
+
+// Fire and forget from request and sync paths: watching must never fail them
+const watchPayouts = (payouts, options) => {
+  payouts.forEach((payout) => {
+    observePayout(payout, options).catch((error) => {
+      logger.warn('Failed to check payout for status changes', {
+        payoutId: payout?.id,
+        error,
+      });
+    });
+  });
+};
+
+module.exports = {
+  DEFAULT_SUBSCRIBED_EVENTS,
+  PAYOUT_STATUS_EVENTS,
+  observePayout,
+  watchPayouts,
+};
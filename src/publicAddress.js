@@ -0,0 +1,102 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), shared, documentation,
+// multicast and otherwise reserved ranges. Nothing outside the service
+// should be reached there on a tenant's behalf.
+const RESERVED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // IPv4-mapped and NAT64 addresses can point at any of the above
+  ['::ffff:0:0', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001::', 23, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+// One list per family: a BlockList also matches IPv4 addresses against its
+// IPv6 rules, so `::ffff:0:0/96` alone would block every IPv4 address
+const reserved = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+RESERVED_RANGES.forEach(([address, prefix, family]) =>
+  reserved[family].addSubnet(address, prefix, family)
+);
+
+const isPublicAddress = (address) => {
+  const family = { 4: 'ipv4', 6: 'ipv6' }[net.isIP(address)];
+  return Boolean(family) && !reserved[family].check(address, family);
+};
+
+const privateAddressError = (hostname, address) => {
+  const error = new Error(
+    `${hostname} resolves to ${address}, which is not a public address`
+  );
+  error.code = 'ERR_PRIVATE_ADDRESS';
+  return error;
+};
+
+/**
+ * A `dns.lookup` replacement for outgoing sockets that fails when any
+ * address of the host is not public. Checking at connect time, rather than
+ * before the request, leaves no gap for DNS to change in between.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      callback(privateAddressError(hostname, blocked.address));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// Rejects with ERR_PRIVATE_ADDRESS unless every address of `hostname` is
+// public. URL hostnames of IPv6 literals keep their brackets.
+const assertPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) {
+      throw privateAddressError(host, host);
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) =>
+    publicLookup(host, {}, (error) => (error ? reject(error) : resolve()))
+  );
+};
+
+module.exports = {
+  assertPublicHost,
+  isPublicAddress,
+  publicLookup,
+};
@@ -0,0 +1,151 @@
+const config = require('./config');
+const { RedisClient } = require('./redisClient');
+const { TAKE_SCRIPT } = require('./redisScripts');
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Token buckets for the tenant rate limiter. A bucket holds up to `capacity`
+ * tokens and refills at `refillPerMs`; `take(key, cost, bucket)` spends
+ * `cost` tokens if the bucket has them and reports what is left. A cost of
+ * 0 reads a bucket without changing it. Buckets that have refilled
+ * completely are forgotten, as they equal a new one.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.lastSweepAt = Date.now();
+  }
+
+  refilled(key, { capacity, refillPerMs }, now) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) {
+      return capacity;
+    }
+    return Math.min(
+      capacity,
+      bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs
+    );
+  }
+
+  sweep(now) {
+    if (now - this.lastSweepAt < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweepAt = now;
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= now) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+
+  async take(key, cost, { capacity, refillPerMs }) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let tokens = this.refilled(key, { capacity, refillPerMs }, now);
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+    this.buckets.set(key, {
+      tokens,
+      updatedAt: now,
+      fullAt: now + (capacity - tokens) / refillPerMs,
+    });
+    return { allowed, tokens };
+  }
+
+  // Keys of buckets that are not full
+  async keys() {
+    const now = Date.now();
+    return [...this.buckets.entries()]
+      .filter(([, bucket]) => bucket.fullAt > now)
+      .map(([key]) => key);
+  }
+
+  async clear() {
+    this.buckets.clear();
+  }
+}
+
+/**
+ * Buckets shared by every instance through Redis (or a compatible server
+ * that runs Lua scripts). Unlike the cache, errors are passed on; the
+ * limiter decides what a failed check means.
+ */
+class RedisRateLimitStore {
+  constructor({ url, keyPrefix = '', commandTimeoutMs } = {}) {
+    this.client = new RedisClient(url, { commandTimeoutMs });
+    this.keyPrefix = keyPrefix;
+  }
+
+  bucketKey(key) {
+    return `${this.keyPrefix}ratelimit:${key}`;
+  }
+
+  async take(key, cost, { capacity, refillPerMs }) {
+    const [allowed, tokens] = await this.client.command(
+      'EVAL',
+      TAKE_SCRIPT,
+      1,
+      this.bucketKey(key),
+      capacity,
+      refillPerMs,
+      cost,
+      Date.now()
+    );
+    return { allowed: allowed === 1, tokens: Number.parseFloat(tokens) };
+  }
+
+  async keys() {
+    const prefix = this.bucketKey('');
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.command(
+        'SCAN',
+        cursor,
+        'MATCH',
+        `${prefix}*`,
+        'COUNT',
+        500
+      );
+      cursor = next;
+      keys.push(...batch.map((key) => key.slice(prefix.length)));
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    if (keys.length > 0) {
+      await this.client.command(
+        'DEL',
+        ...keys.map((key) => this.bucketKey(key))
+      );
+    }
+  }
+}
+
+const createRateLimitStore = () => {
+  switch (config.rateLimitStore) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'redis':
+      return new RedisRateLimitStore({
+        url: config.redisUrl,
+        keyPrefix: config.cacheKeyPrefix,
+        commandTimeoutMs: config.redisCommandTimeoutMs,
+      });
+    default:
+      throw new Error(`Unsupported RATE_LIMIT_STORE: ${config.rateLimitStore}`);
+  }
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  store: createRateLimitStore(),
+};
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const config = require('./config');
+const { ConfigError } = require('./configLoader');
+const { onConfigCheck, onConfigReload } = require('./configReload');
+const { ERROR_CODES, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { rateLimitRejectionsTotal } = require('./metrics');
+const { store } = require('./rateLimitStore');
+const { compileOperations, findOperation } = require('./requestValidation');
+const { getTenantMode, normalizeTenant } = require('./tenancy');
+
+// The plan built from TENANT_RATE_LIMIT_* when a tenant has none
+const DEFAULT_PLAN = 'default';
+
+const EMPTY_PLAN_FILE = {
+  defaultPlan: null,
+  plans: {},
+  tenants: {},
+  costs: {},
+};
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+// `x-rate-limit-cost` of each operation in the OpenAPI document, set by
+// createTenantRateLimiter
+let documentCosts = {};
+
+const operationCost = (costs, operationId) =>
+  costs[operationId] ?? documentCosts[operationId] ?? 1;
+
+// The route that uses up the most tokens at once; a plan must hold at least
+// its cost or the route could never be paid for
+const costliestOperation = (costs) =>
+  Object.keys({ ...documentCosts, ...costs })
+    .map((operationId) => ({
+      operationId,
+      cost: operationCost(costs, operationId),
+    }))
+    .reduce((max, entry) => (entry.cost > max.cost ? entry : max), {
+      operationId: null,
+      cost: 1,
+    });
+
+const parsePlanFile = (filePath) => {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const plans = parsed.plans || {};
+  Object.entries(plans).forEach(([name, plan]) => {
+    if (
+      !isPositive(plan.limit) ||
+      (plan.burst !== undefined && !isPositive(plan.burst)) ||
+      (plan.windowMs !== undefined && !isPositive(plan.windowMs))
+    ) {
+      throw new Error(
+        `Rate limit plan "${name}" needs a positive limit, burst and windowMs`
+      );
+    }
+  });
+
+  const costs = parsed.costs || {};
+  const costliest = costliestOperation(costs);
+  Object.entries(plans).forEach(([name, plan]) => {
+    const burst = plan.burst || plan.limit;
+    if (burst < costliest.cost) {
+      throw new Error(
+        `Rate limit plan "${name}" holds at most ${burst} tokens, but ${costliest.operationId} costs ${costliest.cost}`
+      );
+    }
+  });
+
+  const tenants = Object.fromEntries(
+    Object.entries(parsed.tenants || {}).map(([tenantId, plan]) => [
+      normalizeTenant(tenantId),
+      plan,
+    ])
+  );
+  const unknown = [parsed.defaultPlan, ...Object.values(tenants)].filter(
+    (name) => name && !plans[name]
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown rate limit plans: ${unknown.join(', ')}`);
+  }
+
+  return {
+    defaultPlan: parsed.defaultPlan || null,
+    plans,
+    tenants,
+    costs,
+  };
+};
+
+let planFile = { path: null, contents: EMPTY_PLAN_FILE };
+
+// Parsed once per path; a changed RATE_LIMIT_PLANS_FILE is read again
+const readPlanFile = () => {
+  const filePath = config.rateLimitPlansFile;
+  if (filePath !== planFile.path) {
+    planFile = {
+      path: filePath,
+      contents: filePath ? parsePlanFile(filePath) : EMPTY_PLAN_FILE,
+    };
+  }
+  return planFile.contents;
+};
+
+// The plan file is read again on every reload; a broken one is logged and
+// the plans already in use are kept.
+onConfigReload(() => {
+  const filePath = config.rateLimitPlansFile;
+  try {
+    planFile = {
+      path: filePath,
+      contents: filePath ? parsePlanFile(filePath) : EMPTY_PLAN_FILE,
+    };
+  } catch (error) {
+    logger.error('Failed to reload rate limit plans; keeping previous plans', {
+      file: filePath,
+      error,
+    });
+    planFile = { path: filePath, contents: planFile.contents };
+  }
+});
+
+// Issues with the plan built from TENANT_RATE_LIMIT_* in `values`, checked
+// at startup and before every reload
+const checkDefaultPlan = (values) => {
+  const burst = values.rateLimitBurst || values.rateLimitMax;
+  const costliest = costliestOperation(readPlanFile().costs);
+  if (burst >= costliest.cost) {
+    return [];
+  }
+  return [
+    `TENANT_RATE_LIMIT_BURST (or TENANT_RATE_LIMIT_MAX) allows at most ${burst} tokens, but ${costliest.operationId} costs ${costliest.cost}`,
+  ];
+};
+
+onConfigCheck(checkDefaultPlan);
+
+/**
+ * The rate limit plan of a tenant: TENANT_RATE_LIMIT_PLANS, then the plan
+ * file's `tenants`, then its `defaultPlan`, then the TENANT_RATE_LIMIT_*
+ * settings. A plan refills `limit` tokens every `windowMs` and holds at
+ * most `burst`.
+ */
+const planFor = (tenantId) => {
+  const file = readPlanFile();
+  const name =
+    config.rateLimitTenantPlans[tenantId] ||
+    file.tenants[tenantId] ||
+    file.defaultPlan;
+  const plan = name ? file.plans[name] : null;
+
+  if (!plan) {
+    return {
+      name: DEFAULT_PLAN,
+      limit: config.rateLimitMax,
+      burst: config.rateLimitBurst || config.rateLimitMax,
+      windowMs: config.rateLimitWindowMs,
+    };
+  }
+
+  return {
+    name,
+    limit: plan.limit,
+    burst: plan.burst || plan.limit,
+    windowMs: plan.windowMs || config.rateLimitWindowMs,
+  };
+};
+
+const bucketOf = (plan) => ({
+  capacity: plan.burst,
+  refillPerMs: plan.limit / plan.windowMs,
+});
+
+const secondsUntil = (tokens, plan, target) =>
+  Math.max(0, Math.ceil((target - tokens) / bucketOf(plan).refillPerMs / 1000));
+
+const describeUsage = (tenantId, plan, tokens) => ({
+  tenantId,
+  plan: plan.name,
+  limit: plan.limit,
+  burst: plan.burst,
+  window_ms: plan.windowMs,
+  used: Math.ceil(plan.burst - tokens),
+  remaining: Math.floor(tokens),
+  resets_in_seconds: secondsUntil(tokens, plan, plan.burst),
+});
+
+/**
+ * Middleware that charges each authenticated request to its tenant's token
+ * bucket. A route costs its operation's `x-rate-limit-cost` in the OpenAPI
+ * document (1 when unset), or the plan file's `costs` entry for the
+ * operation ID, so an expensive Stripe scan uses up more of the quota than
+ * a cached listing. When the store cannot be reached the request is let
+ * through rather than failed.
+ */
+const createTenantRateLimiter = (document) => {
+  const operations = compileOperations(document);
+  documentCosts = Object.fromEntries(
+    operations
+      .filter((operation) => operation.rateLimitCost !== undefined)
+      .map((operation) => [operation.operationId, operation.rateLimitCost])
+  );
+  // Fail at startup on a broken plan file rather than on the first request.
+  // It is parsed again now that the route costs are known.
+  planFile = { path: null, contents: EMPTY_PLAN_FILE };
+  readPlanFile();
+  const issues = checkDefaultPlan(config);
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  return async (req, res, next) => {
+    const tenantId = normalizeTenant(req.tenantId);
+    const plan = planFor(tenantId);
+    const operation = findOperation(
+      operations,
+      req.method,
+      `${req.baseUrl}${req.path}`
+    )?.operation;
+    const cost = operation
+      ? operationCost(readPlanFile().costs, operation.operationId)
+      : 1;
+
+    let result;
+    try {
+      result = await store.take(tenantId, cost, bucketOf(plan));
+    } catch (error) {
+      logger.warn('Rate limit store unavailable; allowing request', {
+        error,
+      });
+      return next();
+    }
+
+    res.setHeader(
+      'RateLimit-Policy',
+      `${plan.limit};w=${Math.ceil(plan.windowMs / 1000)}`
+    );
+    res.setHeader('RateLimit-Limit', plan.burst);
+    res.setHeader('RateLimit-Remaining', Math.floor(result.tokens));
+    res.setHeader(
+      'RateLimit-Reset',
+      secondsUntil(result.tokens, plan, plan.burst)
+    );
+
+    if (!result.allowed) {
+      rateLimitRejectionsTotal.inc({
+        tenant_class: getTenantMode(tenantId),
+      });
+      res.setHeader('Retry-After', secondsUntil(result.tokens, plan, cost));
+      return sendError(
+        req,
+        res,
+        429,
+        ERROR_CODES.rateLimited,
+        'Too many requests, please try again later.',
+        { plan: plan.name, cost }
+      );
+    }
+
+    return next();
+  };
+};
+
+// Current usage of each tenant in `tenantIds`, without spending anything
+const getRateLimitUsage = async (tenantIds) =>
+  Promise.all(
+    tenantIds.map(async (tenantId) => {
+      const plan = planFor(tenantId);
+      const { tokens } = await store.take(tenantId, 0, bucketOf(plan));
+      return describeUsage(tenantId, plan, tokens);
+    })
+  );
+
+// Tenants with a plan of their own or a bucket that is in use
+const listRateLimitedTenants = async () => {
+  const file = readPlanFile();
+  return [
+    ...new Set([
+      ...Object.keys(config.rateLimitTenantPlans),
+      ...Object.keys(file.tenants),
+      ...(await store.keys()),
+    ]),
+  ].sort();
+};
+
+module.exports = {
+  createTenantRateLimiter,
+  getRateLimitUsage,
+  listRateLimitedTenants,
+};
@@ -0,0 +1,75 @@
+const PAYOUT_TRANSACTION_TYPE = 'payout';
+
+const emptyTotals = () => ({ count: 0, gross: 0, fee: 0, net: 0 });
+
+const addTransaction = (totals, tx) => {
+  totals.count += 1;
+  totals.gross += tx.amount || 0;
+  totals.fee += tx.fee || 0;
+  totals.net += tx.net || 0;
+};
+
+/**
+ * Groups a payout's balance transactions by `type` and checks that their net
+ * sum equals the payout amount. The payout's own balance transaction (type
+ * `payout`) is the debit that moves the funds out, so it is reported
+ * separately and excluded from the sums. Amounts are in minor units.
+ */
+const buildReconciliation = (
+  payout,
+  transactions,
+  { incomplete = false } = {}
+) => {
+  const groups = new Map();
+  const totals = emptyTotals();
+  const currencies = new Set();
+  let payoutTransaction = null;
+
+  transactions.forEach((tx) => {
+    if (tx.type === PAYOUT_TRANSACTION_TYPE && tx.source === payout.id) {
+      payoutTransaction = tx;
+      return;
+    }
+
+    if (!groups.has(tx.type)) {
+      groups.set(tx.type, { type: tx.type, ...emptyTotals() });
+    }
+    addTransaction(groups.get(tx.type), tx);
+    addTransaction(totals, tx);
+    if (tx.currency) {
+      currencies.add(tx.currency);
+    }
+  });
+
+  const difference = totals.net - payout.amount;
+  const mixedCurrencies =
+    currencies.size > 1 ||
+    (currencies.size === 1 && !currencies.has(payout.currency));
+
+  return {
+    payout: {
+      id: payout.id,
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      type: payout.type,
+      automatic: payout.automatic,
+      created: payout.created,
+      arrival_date: payout.arrival_date,
+    },
+    groups: [...groups.values()].sort((left, right) =>
+      left.type.localeCompare(right.type)
+    ),
+    totals,
+    expected_net: payout.amount,
+    difference,
+    discrepancy: difference !== 0,
+    mixed_currencies: mixedCurrencies,
+    incomplete,
+    payout_balance_transaction: payoutTransaction?.id || null,
+  };
+};
+
+module.exports = {
+  buildReconciliation,
+};
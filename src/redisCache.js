@@ -0,0 +1,116 @@
+const { RedisClient } = require('./redisClient');
+const { TAG_SCRIPT } = require('./redisScripts');
+const { logger } = require('./logger');
+
+const SCAN_BATCH_SIZE = 500;
+
+/**
+ * Shared cache stored in Redis. Values are JSON encoded; each tag is a Redis
+ * set listing the keys that carry it. Redis failures degrade to cache misses
+ * so a Redis outage never fails a request.
+ */
+class RedisCache {
+  constructor({ url, keyPrefix = '', commandTimeoutMs } = {}) {
+    this.client = new RedisClient(url, { commandTimeoutMs });
+    this.keyPrefix = keyPrefix;
+  }
+
+  dataKey(key) {
+    return `${this.keyPrefix}data:${key}`;
+  }
+
+  tagKey(tag) {
+    return `${this.keyPrefix}tag:${tag}`;
+  }
+
+  async run(operation, fallback, ...args) {
+    try {
+      return await this.client.command(...args);
+    } catch (error) {
+      logger.warn('Redis cache command failed', { operation, error });
+      return fallback;
+    }
+  }
+
+  async get(key) {
+    const raw = await this.run('get', null, 'GET', this.dataKey(key));
+    if (raw === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, value, ttlSeconds, { tags = [] } = {}) {
+    const dataKey = this.dataKey(key);
+    const args = ['SET', dataKey, JSON.stringify(value)];
+    if (ttlSeconds) {
+      args.push('EX', ttlSeconds);
+    }
+    await this.run('set', null, ...args);
+
+    await Promise.all(
+      tags.map((tag) =>
+        this.run(
+          'tag',
+          null,
+          'EVAL',
+          TAG_SCRIPT,
+          1,
+          this.tagKey(tag),
+          dataKey,
+          ttlSeconds || 0
+        )
+      )
+    );
+  }
+
+  async delete(key) {
+    await this.run('delete', null, 'DEL', this.dataKey(key));
+  }
+
+  async invalidateTag(tag) {
+    const tagKey = this.tagKey(tag);
+    const keys = await this.run('invalidate', [], 'SMEMBERS', tagKey);
+    await this.run('invalidate', null, 'DEL', tagKey, ...keys);
+    return keys.length;
+  }
+
+  // Unlike the other commands, errors are not swallowed here: readiness
+  // checks need to see them.
+  async ping() {
+    await this.client.command('PING');
+    return true;
+  }
+
+  // Only entries and tags: rate limit buckets and the state store share the
+  // key prefix and must survive a cache flush
+  async clear() {
+    for (const pattern of [this.dataKey('*'), this.tagKey('*')]) {
+      let cursor = '0';
+      do {
+        const reply = await this.run(
+          'clear',
+          ['0', []],
+          'SCAN',
+          cursor,
+          'MATCH',
+          pattern,
+          'COUNT',
+          SCAN_BATCH_SIZE
+        );
+        [cursor] = reply;
+        const keys = reply[1];
+        if (keys.length > 0) {
+          await this.run('clear', null, 'DEL', ...keys);
+        }
+      } while (cursor !== '0');
+    }
+  }
+}
+
+module.exports = RedisCache;
@@ -0,0 +1,245 @@
+const net = require('net');
+const tls = require('tls');
+
+const CRLF = '\r\n';
+
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+const encodeCommand = (args) => {
+  const parts = [`*${args.length}${CRLF}`];
+  args.forEach((arg) => {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(`$${value.length}${CRLF}`, value, CRLF);
+  });
+
+  return Buffer.concat(
+    parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part)))
+  );
+};
+
+// Parses one RESP2 reply starting at `offset`. Returns null when the buffer
+// does not yet hold a complete reply.
+const parseReply = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    return null;
+  }
+
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: Number.parseInt(line, 10), offset: next };
+    case '$': {
+      const length = Number.parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return {
+        value: buffer.toString('utf8', next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case '*': {
+      const count = Number.parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+
+      const items = [];
+      let cursor = next;
+      for (let index = 0; index < count; index += 1) {
+        const item = parseReply(buffer, cursor);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new RedisReplyError(`Unexpected RESP type byte: ${type}`);
+  }
+};
+
+/**
+ * Minimal Redis client speaking RESP2 over a single pipelined connection.
+ * Works against Redis and Redis-compatible servers (Valkey, KeyDB, local
+ * stand-ins). Reconnects lazily on the next command after a disconnect.
+ */
+class RedisClient {
+  constructor(url, { commandTimeoutMs = 1_000 } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number.parseInt(parsed.port, 10) || 6379;
+    this.useTls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username || '');
+    this.password = decodeURIComponent(parsed.password || '');
+    this.database = Number.parseInt(parsed.pathname.slice(1), 10) || 0;
+    this.commandTimeoutMs = commandTimeoutMs;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.useTls
+        ? tls.connect({ ...options, servername: this.host })
+        : net.createConnection(options);
+
+      const onConnectError = (error) => {
+        this.connecting = null;
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(this.commandTimeoutMs, () =>
+        onConnectError(new Error('Redis connection timed out'))
+      );
+      socket.once('error', onConnectError);
+      socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+        socket.setTimeout(0);
+        socket.removeListener('error', onConnectError);
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.onData(chunk));
+        socket.on('error', (error) => this.onDisconnect(error, socket));
+        socket.on('close', () =>
+          this.onDisconnect(new Error('Redis connection closed'), socket)
+        );
+
+        this.socket = socket;
+        this.connecting = null;
+        this.handshake().then(resolve, (error) => {
+          this.onDisconnect(error);
+          reject(error);
+        });
+      });
+    });
+
+    return this.connecting;
+  }
+
+  async handshake() {
+    if (this.password) {
+      const authArgs = this.username
+        ? ['AUTH', this.username, this.password]
+        : ['AUTH', this.password];
+      await this.send(authArgs);
+    }
+    if (this.database) {
+      await this.send(['SELECT', this.database]);
+    }
+  }
+
+  onData(chunk) {
+    this.buffer =
+      this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    while (this.pending.length > 0) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.onDisconnect(error);
+        return;
+      }
+      if (!reply) {
+        break;
+      }
+
+      offset = reply.offset;
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof RedisReplyError) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  // Events of a socket that was already dropped, e.g. after a timeout, are
+  // ignored so they cannot tear down the connection that replaced it
+  onDisconnect(error, socket = this.socket) {
+    if (socket !== this.socket) {
+      return;
+    }
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // Replies are matched by order, so a lost reply poisons the
+        // connection; drop it and let the next command reconnect.
+        this.onDisconnect(new Error(`Redis ${args[0]} timed out`));
+      }, this.commandTimeoutMs);
+
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  quit() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  RedisClient,
+  RedisReplyError,
+  encodeCommand,
+  parseReply,
+};
@@ -0,0 +1,44 @@
+// Lua scripts run with EVAL. They are kept apart from the stores that use
+// them so the Redis stand-in in the tests can recognise them.
+
+// Adds a key to a tag set and makes the set live at least as long as the
+// key: its TTL is only ever extended, and an entry without a TTL makes the
+// set persistent. TTL is -2 for a new set and -1 for a persistent one.
+const TAG_SCRIPT = `
+local ttl = tonumber(ARGV[2])
+local current = redis.call('TTL', KEYS[1])
+redis.call('SADD', KEYS[1], ARGV[1])
+if ttl == 0 then
+  redis.call('PERSIST', KEYS[1])
+elseif current == -2 or (current >= 0 and current < ttl) then
+  redis.call('EXPIRE', KEYS[1], ttl)
+end
+return 1
+`;
+
+// Refill, then take `cost` tokens if there are enough. Runs atomically in
+// Redis so instances sharing a bucket cannot overspend it. Token counts are
+// returned as strings because Redis truncates Lua numbers to integers.
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(state[1]) or capacity
+local updated_at = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated_at) * refill_per_ms)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill_per_ms) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+module.exports = {
+  TAG_SCRIPT,
+  TAKE_SCRIPT,
+};
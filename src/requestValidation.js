@@ -0,0 +1,401 @@
+const { ERROR_CODES, sendError } = require('./errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i;
+const DATE_FORMATS = new Set(['date', 'date-time']);
+
+const FORMATS = {
+  date: (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': (value) =>
+    DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value));
+    } catch {
+      return false;
+    }
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describeType = (type) => (Array.isArray(type) ? type.join(' or ') : type);
+
+const usesDateFormat = (schema) =>
+  DATE_FORMATS.has(schema.format) ||
+  (schema.anyOf || []).some((option) => DATE_FORMATS.has(option.format));
+
+/**
+ * Checks `value` against the subset of JSON Schema used by the OpenAPI
+ * document. Returns null when it passes, or `{ reason, date }` describing
+ * the first failure.
+ */
+const checkSchema = (schema, value) => {
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(
+      (option) => checkSchema(option, value) === null
+    );
+    return passes
+      ? null
+      : {
+          reason: usesDateFormat(schema)
+            ? 'must be an ISO 8601 date or date-time'
+            : 'does not match any allowed form',
+          date: usesDateFormat(schema),
+        };
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return { reason: `must be of type ${describeType(schema.type)}` };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { reason: `must be one of ${schema.enum.join(', ')}` };
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return { reason: `must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { reason: `must be at most ${schema.maxLength} characters` };
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return { reason: `must match ${schema.pattern}` };
+    }
+    if (schema.format && FORMATS[schema.format]) {
+      if (!FORMATS[schema.format](value)) {
+        return {
+          reason: `must be a valid ${schema.format}`,
+          date: DATE_FORMATS.has(schema.format),
+        };
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return { reason: `must be at least ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return { reason: `must be at most ${schema.maximum}` };
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return { reason: `must have at least ${schema.minItems} items` };
+    }
+    if (schema.items) {
+      for (const item of value) {
+        const failure = checkSchema(schema.items, item);
+        if (failure) {
+          return { ...failure, reason: `items ${failure.reason}` };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Query and path values arrive as strings; coerce them to the schema's type
+// before checking. Returns undefined when the string cannot be coerced.
+const coerceParameter = (raw, parameter) => {
+  const { schema } = parameter;
+  if (Array.isArray(raw) && schema.type !== 'array') {
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? Number(raw) : undefined;
+    case 'number':
+      return raw.trim() !== '' && Number.isFinite(Number(raw))
+        ? Number(raw)
+        : undefined;
+    case 'boolean':
+      return { true: true, false: false }[raw];
+    case 'array':
+      // `style: form, explode: false` is one comma-delimited value
+      return (Array.isArray(raw) ? raw : [raw])
+        .flatMap((value) => value.split(','))
+        .map((value) => value.trim())
+        .filter(Boolean);
+    default:
+      return raw;
+  }
+};
+
+const resolver = (document) => {
+  const resolve = (node) => {
+    if (!node?.$ref) {
+      return node;
+    }
+
+    const target = node.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((parent, key) => parent?.[key], document);
+    if (!target) {
+      throw new Error(`Unresolvable $ref in OpenAPI document: ${node.$ref}`);
+    }
+    return resolve(target);
+  };
+
+  return resolve;
+};
+
+// `/api/payouts/{id}` -> /^\/api\/payouts\/([^/]+)\/?$/ and ['id']
+const compilePath = (template) => {
+  const names = [];
+  const source = template
+    .split('/')
+    .map((segment) => {
+      const match = /^\{(.+)\}$/.exec(segment);
+      if (match) {
+        names.push(match[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { pattern: new RegExp(`^${source}/?$`), names };
+};
+
+const compileOperations = (document) => {
+  const resolve = resolver(document);
+  const operations = [];
+
+  Object.entries(document.paths).forEach(([template, pathItem]) => {
+    const { pattern, names } = compilePath(template);
+    Object.entries(pathItem).forEach(([method, operation]) => {
+      const requestBody = resolve(operation.requestBody);
+      operations.push({
+        operationId: operation.operationId,
+        method: method.toUpperCase(),
+        pattern,
+        names,
+        parameters: (operation.parameters || []).map(resolve),
+        bodySchema: requestBody?.content?.['application/json']?.schema,
+        bodyRequired: Boolean(requestBody?.required),
+        dateRange: operation['x-date-range'] || null,
+        rateLimitCost: operation['x-rate-limit-cost'],
+      });
+    });
+  });
+
+  // Literal paths win over templated ones (`/payouts/summary` over `/payouts/{id}`)
+  return operations.sort(
+    (left, right) => left.names.length - right.names.length
+  );
+};
+
+const findOperation = (operations, method, path) => {
+  for (const operation of operations) {
+    if (operation.method !== method) {
+      continue;
+    }
+    const match = operation.pattern.exec(path);
+    if (match) {
+      const pathParams = Object.fromEntries(
+        operation.names.map((name, index) => [name, match[index + 1]])
+      );
+      return { operation, pathParams };
+    }
+  }
+
+  return null;
+};
+
+const parameterErrorCode = (parameter, failure) => {
+  if (parameter['x-error-code']) {
+    return parameter['x-error-code'];
+  }
+  return failure.date ? ERROR_CODES.invalidDate : ERROR_CODES.invalidParameter;
+};
+
+// Returns `{ code, message, parameter }` for the first invalid input, or null
+const checkParameters = (operation, sources) => {
+  for (const parameter of operation.parameters) {
+    const source = sources[parameter.in];
+    if (!source) {
+      // Headers are checked by the middleware that consumes them
+      continue;
+    }
+
+    const raw = source[parameter.name];
+    if (raw === undefined || raw === '') {
+      if (parameter.required) {
+        return {
+          code: ERROR_CODES.missingParameter,
+          message: `${parameter.name} is required`,
+          parameter: parameter.name,
+        };
+      }
+      continue;
+    }
+
+    const value = coerceParameter(raw, parameter);
+    const failure =
+      value === undefined
+        ? {
+            reason: Array.isArray(raw)
+              ? 'must be given once'
+              : `must be of type ${describeType(parameter.schema.type)}`,
+          }
+        : checkSchema(parameter.schema, value);
+    if (failure) {
+      return {
+        code: parameterErrorCode(parameter, failure),
+        message: `${parameter.name} ${failure.reason}`,
+        parameter: parameter.name,
+      };
+    }
+  }
+
+  return null;
+};
+
+const checkDateRange = (operation, query) => {
+  if (!operation.dateRange) {
+    return null;
+  }
+
+  const [fromName, toName] = operation.dateRange;
+  const from = query[fromName];
+  const to = query[toName];
+  if (from && to && Date.parse(from) > Date.parse(to)) {
+    return {
+      code: ERROR_CODES.invalidDateRange,
+      message: `${fromName} must not be after ${toName}`,
+      parameter: fromName,
+    };
+  }
+
+  return null;
+};
+
+const checkBody = (operation, body) => {
+  if (!operation.bodySchema) {
+    return null;
+  }
+
+  const present = body !== undefined && body !== null;
+  if (!present) {
+    return operation.bodyRequired
+      ? { code: ERROR_CODES.invalidBody, message: 'A JSON body is required' }
+      : null;
+  }
+
+  const schema = operation.bodySchema;
+  if (schema.type === 'object' && typeOf(body) !== 'object') {
+    return {
+      code: ERROR_CODES.invalidBody,
+      message: 'Body must be a JSON object',
+    };
+  }
+
+  for (const name of schema.required || []) {
+    if (body[name] === undefined) {
+      return {
+        code: ERROR_CODES.invalidBody,
+        message: `${name} is required`,
+        parameter: name,
+      };
+    }
+  }
+
+  for (const [name, value] of Object.entries(body)) {
+    const propertySchema = schema.properties?.[name];
+    if (!propertySchema) {
+      if (schema.additionalProperties === false) {
+        return {
+          code: ERROR_CODES.invalidBody,
+          message: `Unknown field: ${name}`,
+          parameter: name,
+        };
+      }
+      continue;
+    }
+
+    const failure = checkSchema(propertySchema, value);
+    if (failure) {
+      return {
+        code: ERROR_CODES.invalidBody,
+        message: `${name} ${failure.reason}`,
+        parameter: name,
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Middleware that checks a request's query, path parameters and JSON body
+ * against the matching operation of the OpenAPI document and rejects
+ * invalid input with 400 and a typed `code`. Requests for paths the document
+ * does not describe pass through, so unknown routes still end in a 404.
+ * Unknown query parameters are ignored for compatibility with older clients.
+ */
+const createRequestValidator = (document) => {
+  const operations = compileOperations(document);
+
+  return (req, res, next) => {
+    const found = findOperation(
+      operations,
+      req.method,
+      `${req.baseUrl}${req.path}`
+    );
+    if (!found) {
+      return next();
+    }
+
+    const { operation, pathParams } = found;
+    const failure =
+      checkParameters(operation, { query: req.query, path: pathParams }) ||
+      checkDateRange(operation, req.query) ||
+      checkBody(operation, req.body);
+    if (!failure) {
+      return next();
+    }
+
+    const { code, message, parameter } = failure;
+    return sendError(
+      req,
+      res,
+      400,
+      code,
+      message,
+      parameter ? { parameter } : {}
+    );
+  };
+};
+
+module.exports = {
+  compileOperations,
+  createRequestValidator,
+  findOperation,
+};
@@ -0,0 +1,56 @@
+/**
+ * Counting semaphore with a FIFO wait queue. `acquire` resolves with a
+ * release function, or rejects once `timeoutMs` passes without a free slot.
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  get idle() {
+    return this.active === 0 && this.waiting.length === 0;
+  }
+
+  acquire(timeoutMs) {
+    if (this.active < this.limit) {
+      this.active += 1;
+      return Promise.resolve(this.releaser());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      if (timeoutMs > 0) {
+        waiter.timer = setTimeout(() => {
+          this.waiting = this.waiting.filter((entry) => entry !== waiter);
+          const error = new Error('Timed out waiting for a free slot');
+          error.code = 'SEMAPHORE_TIMEOUT';
+          reject(error);
+        }, timeoutMs);
+      }
+      this.waiting.push(waiter);
+    });
+  }
+
+  releaser() {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const next = this.waiting.shift();
+      if (next) {
+        clearTimeout(next.timer);
+        // The slot passes straight to the next waiter
+        next.resolve(this.releaser());
+      } else {
+        this.active -= 1;
+      }
+    };
+  }
+}
+
+module.exports = Semaphore;
@@ -0,0 +1,161 @@
+const config = require('./config');
+const { RedisClient } = require('./redisClient');
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Small records the service must not lose early: the last status seen of
+ * each payout and idempotency records. Unlike the cache there is no size
+ * limit, and neither tag invalidation nor `cache.clear()` reaches them:
+ * records only go when their TTL runs out or they are deleted. `add`
+ * stores a record only if its key is free and reports whether it did.
+ */
+class MemoryStateStore {
+  constructor() {
+    this.records = new Map();
+    this.lastSweepAt = Date.now();
+  }
+
+  sweep(now) {
+    if (now - this.lastSweepAt < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweepAt = now;
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    });
+  }
+
+  async get(key) {
+    const now = Date.now();
+    this.sweep(now);
+    const record = this.records.get(key);
+    if (!record || record.expiresAt <= now) {
+      return null;
+    }
+    return record.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.records.set(key, {
+      value,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+  }
+
+  // Check and set run in one turn of the event loop, so two requests cannot
+  // both find a key free
+  async add(key, value, ttlSeconds) {
+    const now = Date.now();
+    const record = this.records.get(key);
+    if (record && record.expiresAt > now) {
+      return false;
+    }
+    this.records.set(key, { value, expiresAt: now + ttlSeconds * 1000 });
+    return true;
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+/**
+ * Records shared by every instance through Redis, JSON encoded under their
+ * own key prefix. Like the rate limit store, errors are passed on; callers
+ * decide what a failed read or write means.
+ */
+class RedisStateStore {
+  constructor({ url, keyPrefix = '', commandTimeoutMs } = {}) {
+    this.client = new RedisClient(url, { commandTimeoutMs });
+    this.keyPrefix = keyPrefix;
+  }
+
+  recordKey(key) {
+    return `${this.keyPrefix}state:${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.client.command('GET', this.recordKey(key));
+    if (raw === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.command(
+      'SET',
+      this.recordKey(key),
+      JSON.stringify(value),
+      'EX',
+      ttlSeconds
+    );
+  }
+
+  async add(key, value, ttlSeconds) {
+    const reply = await this.client.command(
+      'SET',
+      this.recordKey(key),
+      JSON.stringify(value),
+      'EX',
+      ttlSeconds,
+      'NX'
+    );
+    return reply === 'OK';
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.recordKey(key));
+  }
+
+  async clear() {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.command(
+        'SCAN',
+        cursor,
+        'MATCH',
+        this.recordKey('*'),
+        'COUNT',
+        500
+      );
+      cursor = next;
+      if (keys.length > 0) {
+        await this.client.command('DEL', ...keys);
+      }
+    } while (cursor !== '0');
+  }
+}
+
+const createStateStore = () => {
+  switch (config.stateStore) {
+    case 'memory':
+      return new MemoryStateStore();
+    case 'redis':
+      return new RedisStateStore({
+        url: config.redisUrl,
+        keyPrefix: config.cacheKeyPrefix,
+        commandTimeoutMs: config.redisCommandTimeoutMs,
+      });
+    default:
+      throw new Error(`Unsupported STATE_STORE: ${config.stateStore}`);
+  }
+};
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  store: createStateStore(),
+};
@@ -1,5 +1,8 @@
 const Stripe = require('stripe');
 const config = require('./config');
+const { logger } = require('./logger');
+const { stripeRequestDuration } = require('./metrics');
+const { stripeOperationName } = require('./stripeHelpers');
 
 const stripe = new Stripe(config.stripeSecretKey, {
   apiVersion: '2023-10-16',
@@ -7,5 +10,29 @@ const stripe = new Stripe(config.stripeSecretKey, {
   maxNetworkRetries: config.stripeMaxNetworkRetries,
 });
 
+// Emitted inside the calling request's async context, so these lines carry
+// its requestId and tenantId.
+stripe.on('response', (event) => {
+  stripeRequestDuration.observe(
+    {
+      operation: stripeOperationName(event.method, event.path),
+      status: event.status,
+    },
+    event.elapsed / 1000
+  );
+
+  const level = event.status >= 400 ? 'warn' : 'info';
+  logger[level]('Stripe API call', {
+    stripe: {
+      method: event.method,
+      path: event.path,
+      status: event.status,
+      account: event.account,
+      requestId: event.request_id,
+      elapsedMs: event.elapsed,
+    },
+  });
+});
+
 module.exports = stripe;
 
@@ -0,0 +1,267 @@
+const { v4: uuid } = require('uuid');
+const stripe = require('./stripeClient');
+const config = require('./config');
+const Semaphore = require('./semaphore');
+const { CIRCUIT_STATES, CircuitBreaker } = require('./circuitBreaker');
+const { getContext, logger } = require('./logger');
+const {
+  stripeCircuitRejectionsTotal,
+  stripeCircuitState,
+  stripeRetriesTotal,
+  stripeTimeoutsTotal,
+} = require('./metrics');
+const { isStripeTimeoutError } = require('./stripeHelpers');
+
+const CIRCUIT_STATE_VALUES = {
+  [CIRCUIT_STATES.closed]: 0,
+  [CIRCUIT_STATES.halfOpen]: 1,
+  [CIRCUIT_STATES.open]: 2,
+};
+
+// Position of the request-options argument for each wrapped SDK method
+const OPERATIONS = {
+  accounts: { retrieveCurrent: 1 },
+  balance: { retrieve: 1 },
+  payouts: { list: 1, retrieve: 2, create: 1, cancel: 2 },
+  balanceTransactions: { list: 1, retrieve: 2 },
+  disputes: { list: 1 },
+};
+
+const READ_METHODS = new Set(['list', 'retrieve', 'retrieveCurrent']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const headerValue = (error, name) => {
+  const headers = error?.headers || error?.raw?.headers || {};
+  return headers[name] ?? headers[name.toLowerCase()];
+};
+
+const isRateLimited = (error) =>
+  error?.statusCode === 429 || error?.type === 'StripeRateLimitError';
+
+// Failures that say Stripe (or the path to it) is degraded
+const isUpstreamFailure = (error) =>
+  isRateLimited(error) ||
+  error?.type === 'StripeConnectionError' ||
+  error?.type === 'StripeAPIError' ||
+  error?.statusCode >= 500 ||
+  isStripeTimeoutError(error);
+
+const isRetryable = (error) => {
+  // Stripe says explicitly whether a retry can succeed
+  const shouldRetry = headerValue(error, 'stripe-should-retry');
+  if (shouldRetry === 'true') {
+    return true;
+  }
+  if (shouldRetry === 'false') {
+    return false;
+  }
+
+  return isUpstreamFailure(error);
+};
+
+// Full jitter on an exponential backoff. Rate-limited responses wait at least
+// Retry-After, and a concurrency limit (`Stripe-Rate-Limited-Reason`) starts
+// from a longer base so in-flight calls can drain first.
+const retryDelayMs = (error, attempt) => {
+  const retryAfterSeconds = Number(headerValue(error, 'retry-after'));
+  const minimum =
+    Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0
+      ? retryAfterSeconds * 1000
+      : 0;
+
+  const limitedReason = String(
+    headerValue(error, 'stripe-rate-limited-reason') || ''
+  );
+  const base = limitedReason.includes('concurrency')
+    ? config.stripeRetryBaseDelayMs * 4
+    : config.stripeRetryBaseDelayMs;
+  const ceiling = Math.min(config.stripeRetryMaxDelayMs, base * 2 ** attempt);
+
+  return Math.max(minimum, Math.round(Math.random() * ceiling));
+};
+
+const codedError = (message, code, properties = {}) =>
+  Object.assign(new Error(message), { code, ...properties });
+
+/**
+ * Every Stripe API call goes through here. Each call gets:
+ * - a per-operation timeout passed to the SDK as a real request timeout
+ *   (STRIPE_OPERATION_TIMEOUTS_MS, falling back to STRIPE_TIMEOUT_MS),
+ * - a slot under the global and per-tenant concurrency caps,
+ * - retries with jittered backoff for 429, 5xx and connection errors,
+ * - a shared circuit breaker that rejects calls immediately with
+ *   `STRIPE_CIRCUIT_OPEN` after CIRCUIT_BREAKER_FAILURE_THRESHOLD
+ *   consecutive upstream failures.
+ *
+ * The tenant for the per-tenant cap is taken from the request's log context;
+ * background work without a tenant only counts against the global cap.
+ */
+class StripeGateway {
+  constructor(client) {
+    this.client = client;
+    this.globalSlots = new Semaphore(config.stripeMaxConcurrency);
+    this.tenantSlots = new Map();
+    this.breaker = new CircuitBreaker({
+      failureThreshold: config.circuitBreakerFailureThreshold,
+      resetTimeoutMs: config.circuitBreakerResetMs,
+      onStateChange: (state, previous) => {
+        stripeCircuitState.set({}, CIRCUIT_STATE_VALUES[state]);
+        const level = state === CIRCUIT_STATES.open ? 'error' : 'warn';
+        logger[level]('Stripe circuit breaker state changed', {
+          from: previous,
+          to: state,
+        });
+      },
+    });
+    stripeCircuitState.set({}, CIRCUIT_STATE_VALUES[this.breaker.state]);
+
+    Object.entries(OPERATIONS).forEach(([resource, methods]) => {
+      this[resource] = {};
+      Object.entries(methods).forEach(([method, optionsIndex]) => {
+        this[resource][method] = (...args) =>
+          this.execute(resource, method, args, optionsIndex);
+      });
+    });
+  }
+
+  // Sends every later call through `client`, e.g. an SDK client pointed at
+  // a local fake for tests.
+  useClient(client) {
+    this.client = client;
+  }
+
+  timeoutFor(operation) {
+    return (
+      config.stripeOperationTimeoutsMs[operation.toLowerCase()] ||
+      config.stripeTimeoutMs
+    );
+  }
+
+  async acquireSlots(tenantId, timeoutMs) {
+    const releaseGlobal = await this.globalSlots.acquire(timeoutMs);
+    if (!tenantId) {
+      return releaseGlobal;
+    }
+
+    if (!this.tenantSlots.has(tenantId)) {
+      this.tenantSlots.set(
+        tenantId,
+        new Semaphore(config.stripeMaxConcurrencyPerTenant)
+      );
+    }
+    const tenantSemaphore = this.tenantSlots.get(tenantId);
+
+    let releaseTenant;
+    try {
+      releaseTenant = await tenantSemaphore.acquire(timeoutMs);
+    } catch (error) {
+      releaseGlobal();
+      throw error;
+    }
+
+    return () => {
+      releaseTenant();
+      releaseGlobal();
+      if (tenantSemaphore.idle) {
+        this.tenantSlots.delete(tenantId);
+      }
+    };
+  }
+
+  async execute(resource, method, args, optionsIndex) {
+    const operation = `${resource}.${method}`;
+    const timeoutMs = this.timeoutFor(operation);
+    const requestOptions = {
+      ...args[optionsIndex],
+      timeout: timeoutMs,
+      // Retries happen here, not inside the SDK
+      maxNetworkRetries: 0,
+    };
+    if (!READ_METHODS.has(method) && !requestOptions.idempotencyKey) {
+      // Retried writes must reuse one key so Stripe applies them once
+      requestOptions.idempotencyKey = uuid();
+    }
+
+    const callArgs = [...args];
+    callArgs[optionsIndex] = requestOptions;
+    const { tenantId } = getContext();
+
+    let lastError = null;
+    for (let attempt = 0; ; attempt += 1) {
+      if (!this.breaker.allowRequest()) {
+        // A retry cut short by the circuit opening reports the real failure
+        if (lastError) {
+          throw lastError;
+        }
+        stripeCircuitRejectionsTotal.inc({ operation });
+        throw codedError(
+          'Stripe circuit breaker is open',
+          'STRIPE_CIRCUIT_OPEN',
+          { status: 503, retryAt: this.breaker.getStatus().retryAt }
+        );
+      }
+
+      let release;
+      try {
+        release = await this.acquireSlots(tenantId, timeoutMs);
+      } catch (error) {
+        // Waiting for a slot never reached Stripe, so it does not trip the breaker
+        this.breaker.recordNeutral();
+        stripeTimeoutsTotal.inc();
+        throw codedError(
+          'Timed out waiting for a Stripe concurrency slot',
+          'STRIPE_TIMEOUT'
+        );
+      }
+
+      try {
+        const result = await this.client[resource][method](...callArgs);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+      } finally {
+        release();
+      }
+
+      if (isStripeTimeoutError(lastError)) {
+        stripeTimeoutsTotal.inc();
+      }
+      if (isUpstreamFailure(lastError)) {
+        this.breaker.recordFailure();
+      } else {
+        this.breaker.recordNeutral();
+      }
+
+      if (
+        attempt >= config.stripeMaxNetworkRetries ||
+        !isRetryable(lastError)
+      ) {
+        throw lastError;
+      }
+
+      const delayMs = retryDelayMs(lastError, attempt);
+      stripeRetriesTotal.inc({ operation });
+      logger.warn('Retrying Stripe call', {
+        operation,
+        attempt: attempt + 1,
+        delayMs,
+        statusCode: lastError.statusCode,
+        rateLimitedReason: headerValue(lastError, 'stripe-rate-limited-reason'),
+      });
+      await sleep(delayMs);
+    }
+  }
+
+  getStatus() {
+    return {
+      circuit: this.breaker.getStatus(),
+      inFlight: this.globalSlots.active,
+      queued: this.globalSlots.waiting.length,
+      maxConcurrency: config.stripeMaxConcurrency,
+    };
+  }
+}
+
+module.exports = new StripeGateway(stripe);
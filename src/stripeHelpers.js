@@ -0,0 +1,56 @@
+const isStripeTimeoutError = (error) => {
+  const causeName = error?.cause?.name || '';
+  const causeCode = error?.cause?.code || '';
+  const code = error?.code || '';
+  const normalizedMessage = String(error?.message || '').toLowerCase();
+
+  return (
+    code === 'ETIMEDOUT' ||
+    code === 'ECONNRESET' ||
+    code === 'FETCH_FAILED' ||
+    code === 'STRIPE_TIMEOUT' ||
+    causeCode === 'UND_ERR_HEADERS_TIMEOUT' ||
+    causeName === 'HeadersTimeoutError' ||
+    normalizedMessage.includes('headers timeout') ||
+    normalizedMessage.includes('timeout being reached') ||
+    normalizedMessage.includes('fetch failed')
+  );
+};
+
+// Resources with a single object per account (`stripe.balance.retrieve()`)
+const SINGLETON_RESOURCES = new Set(['balance', 'account']);
+
+const camelCase = (value) =>
+  value.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// `GET /v1/payouts/po_123` -> `payouts.retrieve`, `POST /v1/payouts/po_123/cancel`
+// -> `payouts.cancel`; matches the SDK method names used to make the call.
+const stripeOperationName = (method, path) => {
+  const segments = String(path || '')
+    .split('?')[0]
+    .split('/')
+    .filter(Boolean)
+    .slice(1);
+  const [resource, id, action] = segments;
+  if (!resource) {
+    return 'unknown';
+  }
+
+  let operation;
+  if (action) {
+    operation = camelCase(action);
+  } else if (method === 'GET') {
+    operation = id || SINGLETON_RESOURCES.has(resource) ? 'retrieve' : 'list';
+  } else if (method === 'DELETE') {
+    operation = 'del';
+  } else {
+    operation = id ? 'update' : 'create';
+  }
+
+  return `${camelCase(resource)}.${operation}`;
+};
+
+module.exports = {
+  isStripeTimeoutError,
+  stripeOperationName,
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { logger } = require('./logger');
+
+const newSubscriptionId = () =>
+  `sub_${crypto.randomBytes(12).toString('base64url')}`;
+
+// Shaped like Stripe's endpoint secrets so the logger masks them
+const newSigningSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Outbound webhook subscriptions: callback URLs registered by tenants for
+ * payout events. Each subscription keeps its own signing secret.
+ */
+class MemorySubscriptionStore {
+  constructor() {
+    this.subscriptions = new Map();
+  }
+
+  create({ tenantId, url, events, description = null }) {
+    const subscription = {
+      id: newSubscriptionId(),
+      tenantId,
+      url,
+      events,
+      description,
+      secret: newSigningSecret(),
+      createdAt: new Date().toISOString(),
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    this.changed();
+    return subscription;
+  }
+
+  get(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  listForTenant(tenantId) {
+    return [...this.subscriptions.values()].filter(
+      (subscription) => subscription.tenantId === tenantId
+    );
+  }
+
+  hasSubscriptions(tenantId) {
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.tenantId === tenantId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  delete(id) {
+    const deleted = this.subscriptions.delete(id);
+    if (deleted) {
+      this.changed();
+    }
+    return deleted;
+  }
+
+  changed() {}
+}
+
+/**
+ * Memory store written through to a JSON file so subscriptions survive
+ * restarts. The file holds signing secrets, so keep it out of backups that
+ * are shared more widely than the service's environment.
+ */
+class FileSubscriptionStore extends MemorySubscriptionStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+
+    if (fs.existsSync(filePath)) {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        (snapshot.subscriptions || []).forEach((subscription) =>
+          this.subscriptions.set(subscription.id, subscription)
+        );
+      } catch (error) {
+        logger.error('Failed to load webhook subscriptions; starting empty', {
+          file: filePath,
+          error,
+        });
+      }
+    }
+  }
+
+  changed() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        tempPath,
+        JSON.stringify({ subscriptions: [...this.subscriptions.values()] }),
+        { mode: 0o600 }
+      );
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to persist webhook subscriptions', {
+        file: this.filePath,
+        error,
+      });
+    }
+  }
+}
+
+const createSubscriptionStore = () => {
+  switch (config.subscriptionStore) {
+    case 'memory':
+      return new MemorySubscriptionStore();
+    case 'file':
+      return new FileSubscriptionStore(config.subscriptionFile);
+    default:
+      throw new Error(
+        `Unsupported SUBSCRIPTION_STORE: ${config.subscriptionStore}`
+      );
+  }
+};
+
+module.exports = {
+  FileSubscriptionStore,
+  MemorySubscriptionStore,
+  store: createSubscriptionStore(),
+};
@@ -0,0 +1,85 @@
+const config = require('./config');
+
+const TENANT_MODES = {
+  connect: 'connect',
+  metadata: 'metadata',
+};
+
+const normalizeTenant = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  return trimmed ? trimmed.toLowerCase() : null;
+};
+
+const resolvePayoutTenant = (payout) =>
+  normalizeTenant(payout?.metadata?.tenantId) ||
+  normalizeTenant(payout?.metadata?.tenant) ||
+  null;
+
+// Disputes rarely carry metadata of their own; the disputed charge does
+const resolveDisputeTenant = (dispute) =>
+  resolvePayoutTenant(dispute) ||
+  (typeof dispute?.charge === 'object'
+    ? resolvePayoutTenant(dispute.charge)
+    : null);
+
+const getTenantStripeAccount = (tenantId) =>
+  (tenantId && config.stripeConnectAccounts[tenantId]) || null;
+
+const getTenantMode = (tenantId) =>
+  getTenantStripeAccount(tenantId)
+    ? TENANT_MODES.connect
+    : TENANT_MODES.metadata;
+
+const resolveAccountTenant = (stripeAccount) =>
+  Object.keys(config.stripeConnectAccounts).find(
+    (tenantId) => config.stripeConnectAccounts[tenantId] === stripeAccount
+  ) || null;
+
+// Request options for Stripe calls made on behalf of a tenant. Connected
+// accounts are addressed with `stripeAccount`; metadata tenants share the
+// platform account.
+const stripeRequestOptions = (tenantId) => {
+  const stripeAccount = getTenantStripeAccount(tenantId);
+  return stripeAccount ? { stripeAccount } : undefined;
+};
+
+const isPayoutVisibleToTenant = (payout, tenantId) => {
+  if (!tenantId || getTenantMode(tenantId) === TENANT_MODES.connect) {
+    // Connected account payouts are already scoped by Stripe
+    return true;
+  }
+
+  const payoutTenant = resolvePayoutTenant(payout);
+  if (payoutTenant) {
+    return payoutTenant === tenantId;
+  }
+
+  return config.allowUnattributedPayouts;
+};
+
+// Unlike payouts, disputes without a tenant are never shown to metadata
+// tenants: they name customers and charges of whoever shares the account.
+const isDisputeVisibleToTenant = (dispute, tenantId) => {
+  if (!tenantId || getTenantMode(tenantId) === TENANT_MODES.connect) {
+    return true;
+  }
+
+  return resolveDisputeTenant(dispute) === tenantId;
+};
+
+module.exports = {
+  TENANT_MODES,
+  getTenantMode,
+  getTenantStripeAccount,
+  isDisputeVisibleToTenant,
+  isPayoutVisibleToTenant,
+  normalizeTenant,
+  resolveAccountTenant,
+  resolveDisputeTenant,
+  resolvePayoutTenant,
+  stripeRequestOptions,
+};
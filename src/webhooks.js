@@ -0,0 +1,191 @@
+const stripe = require('./stripeClient');
+const cache = require('./cache');
+const config = require('./config');
+const eventStore = require('./eventStore');
+const {
+  DISPUTE_CACHE_TAG,
+  disputeCacheTag,
+  tenantCacheTag,
+} = require('./cacheKeys');
+const { logger } = require('./logger');
+const { ERROR_CODES, sendError } = require('./errors');
+const { mirrorPayout } = require('./mirrorSync');
+const { watchPayouts } = require('./payoutWatcher');
+const { resolveAccountTenant, resolvePayoutTenant } = require('./tenancy');
+
+const PAYOUT_EVENT_TYPES = new Set([
+  'payout.created',
+  'payout.updated',
+  'payout.paid',
+  'payout.failed',
+  'payout.canceled',
+]);
+
+// charge.dispute.created, .updated, .closed, .funds_withdrawn, ...
+const DISPUTE_EVENT_PREFIX = 'charge.dispute.';
+
+const invalidateTenantPayouts = async (tenantId) => {
+  if (tenantId) {
+    return cache.invalidateTag(tenantCacheTag(tenantId));
+  }
+
+  // Unattributed payouts are visible to every tenant when allowed,
+  // so any cached listing may contain them.
+  if (config.allowUnattributedPayouts) {
+    await cache.clear();
+  }
+
+  return 0;
+};
+
+// A connected account's disputes are only listed for its tenant, and those
+// of unmapped accounts for nobody. A platform dispute names its charge only
+// by ID, so its tenant is not known here and every cached dispute listing
+// goes instead.
+const invalidateDisputes = async (account, tenantId) => {
+  if (!account) {
+    return cache.invalidateTag(DISPUTE_CACHE_TAG);
+  }
+  return tenantId ? cache.invalidateTag(disputeCacheTag(tenantId)) : 0;
+};
+
+// Events from connected accounts carry `account`; platform events are
+// attributed through payout metadata.
+const resolveEventTenant = (event) =>
+  event.account
+    ? resolveAccountTenant(event.account)
+    : resolvePayoutTenant(event.data?.object);
+
+const constructEvent = (rawBody, signature) => {
+  const secrets = [
+    config.stripeWebhookSecret,
+    config.stripeConnectWebhookSecret,
+  ].filter(Boolean);
+
+  let lastError;
+  for (const secret of secrets) {
+    try {
+      return stripe.webhooks.constructEvent(rawBody, signature, secret);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+const toEventRecord = (event, tenantId) => {
+  const payout = PAYOUT_EVENT_TYPES.has(event.type)
+    ? event.data?.object || {}
+    : {};
+
+  return {
+    id: event.id,
+    type: event.type,
+    created: event.created,
+    livemode: Boolean(event.livemode),
+    account: event.account || null,
+    tenantId,
+    payoutId: payout.id || null,
+    payoutStatus: payout.status || null,
+    amount: payout.amount ?? null,
+    currency: payout.currency || null,
+    failureCode: payout.failure_code || null,
+    receivedAt: new Date().toISOString(),
+  };
+};
+
+const handleStripeWebhook = async (req, res) => {
+  if (!config.stripeWebhookSecret && !config.stripeConnectWebhookSecret) {
+    logger.error(
+      'Rejecting Stripe webhook: STRIPE_WEBHOOK_SECRET is not configured'
+    );
+    return sendError(
+      req,
+      res,
+      503,
+      ERROR_CODES.webhooksNotConfigured,
+      'Stripe webhooks are not configured'
+    );
+  }
+
+  const signature = req.headers['stripe-signature'];
+  if (!signature) {
+    return sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.missingSignature,
+      'Missing Stripe-Signature header'
+    );
+  }
+
+  let event;
+  try {
+    event = constructEvent(req.body, signature);
+  } catch (error) {
+    logger.warn('Stripe webhook signature verification failed', {
+      error: error.message,
+    });
+    return sendError(
+      req,
+      res,
+      400,
+      ERROR_CODES.invalidSignature,
+      'Invalid Stripe signature'
+    );
+  }
+
+  const isDispute = event.type.startsWith(DISPUTE_EVENT_PREFIX);
+  if (!isDispute && !PAYOUT_EVENT_TYPES.has(event.type)) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  if (eventStore.has(event.id)) {
+    logger.info('Ignoring duplicate Stripe event', {
+      eventId: event.id,
+      eventType: event.type,
+    });
+    return res.json({ received: true, duplicate: true });
+  }
+
+  if (isDispute) {
+    const tenantId = event.account ? resolveAccountTenant(event.account) : null;
+    const evicted = await invalidateDisputes(event.account, tenantId);
+    eventStore.record(toEventRecord(event, tenantId));
+    logger.info('Processed Stripe dispute event', {
+      eventId: event.id,
+      eventType: event.type,
+      eventTenant: tenantId || 'unattributed',
+      evicted,
+    });
+    return res.json({ received: true });
+  }
+
+  const tenantId = resolveEventTenant(event);
+  // Unmapped connected accounts cannot be visible to any tenant
+  const relevant = Boolean(tenantId || !event.account);
+  if (relevant) {
+    mirrorPayout(event.data.object, event.account || null);
+    watchPayouts([event.data.object], { tenantId, fromEvent: true });
+  }
+  const evicted = relevant ? await invalidateTenantPayouts(tenantId) : 0;
+  // Only recorded once handled: if a step above throws, Stripe gets a 500
+  // and its retry is processed again instead of ignored as a duplicate
+  eventStore.record(toEventRecord(event, tenantId));
+
+  logger.info('Processed Stripe event', {
+    eventId: event.id,
+    eventType: event.type,
+    eventTenant: tenantId || 'unattributed',
+    evicted,
+  });
+
+  return res.json({ received: true });
+};
+
+module.exports = {
+  PAYOUT_EVENT_TYPES,
+  handleStripeWebhook,
+  invalidateTenantPayouts,
+};
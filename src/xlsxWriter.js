@@ -0,0 +1,113 @@
+const { ZipStreamWriter } = require('./zipStream');
+
+const SPREADSHEET_NS =
+  'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_DECLARATION =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// cellXfs index per number of decimals: built-in formats "0" and "0.00",
+// plus custom format 164 for three-decimal currencies.
+const DECIMAL_STYLES = { 0: 1, 2: 2, 3: 3 };
+
+const CONTENT_TYPES = `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`;
+
+const ROOT_RELS = `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+const WORKBOOK_RELS = `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/></Relationships>`;
+
+const STYLES = `${XML_DECLARATION}<styleSheet xmlns="${SPREADSHEET_NS}"><numFmts count="1"><numFmt numFmtId="164" formatCode="0.000"/></numFmts><fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>`;
+
+const escapeXml = (value) =>
+  String(value)
+    // Control characters are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const renderCell = (cell, reference) => {
+  if (cell.type === 'number' && Number.isFinite(cell.value)) {
+    const style = DECIMAL_STYLES[cell.decimals];
+    return `<c r="${reference}"${style ? ` s="${style}"` : ''}><v>${
+      cell.value
+    }</v></c>`;
+  }
+  if (cell.type === 'boolean') {
+    return `<c r="${reference}" t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+  }
+  if (cell.value === null || cell.value === undefined || cell.value === '') {
+    return '';
+  }
+
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    cell.value
+  )}</t></is></c>`;
+};
+
+/**
+ * Streams a single-sheet XLSX workbook. Rows are written as inline strings
+ * and numbers directly into the deflated worksheet entry, so memory use does
+ * not grow with the number of rows.
+ *
+ * Cells are `{ type: 'string' | 'number' | 'boolean', value, decimals }`.
+ */
+class XlsxStreamWriter {
+  constructor(output, { sheetName = 'Sheet1' } = {}) {
+    this.zip = new ZipStreamWriter(output);
+    // Excel limits sheet names to 31 characters without []:*?/\
+    this.sheetName = sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    this.sheet = null;
+    this.rowCount = 0;
+  }
+
+  async start() {
+    await this.zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+    await this.zip.addFile('_rels/.rels', ROOT_RELS);
+    await this.zip.addFile(
+      'xl/workbook.xml',
+      `${XML_DECLARATION}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets><sheet name="${escapeXml(
+        this.sheetName
+      )}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    );
+    await this.zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+    await this.zip.addFile('xl/styles.xml', STYLES);
+
+    this.sheet = await this.zip.openEntry('xl/worksheets/sheet1.xml');
+    await this.sheet.write(
+      `${XML_DECLARATION}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>`
+    );
+  }
+
+  async writeRow(cells) {
+    this.rowCount += 1;
+    const row = this.rowCount;
+    await this.sheet.write(
+      `<row r="${row}">${cells
+        .map((cell, index) => renderCell(cell, `${columnName(index)}${row}`))
+        .join('')}</row>`
+    );
+  }
+
+  async end() {
+    await this.sheet.write('</sheetData></worksheet>');
+    await this.sheet.close();
+    await this.zip.finish();
+  }
+}
+
+module.exports = {
+  XlsxStreamWriter,
+};
@@ -0,0 +1,149 @@
+// Kept free of ./config so the config loader can use it.
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlError';
+  }
+}
+
+const UNSUPPORTED = /^[&*!|>%@`]/;
+
+// Drops a trailing comment that is not inside quotes
+const stripComment = (text) => {
+  let quote = null;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index);
+    }
+  }
+  return text;
+};
+
+const parseScalar = (raw, line) => {
+  const text = raw.trim();
+  if (text === '' || text === '~' || text === 'null') {
+    return null;
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) {
+      throw new YamlError('Unterminated string', line);
+    }
+    return JSON.parse(text);
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) {
+      throw new YamlError('Unterminated string', line);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      throw new YamlError('Unterminated sequence', line);
+    }
+    const inner = text.slice(1, -1).trim();
+    return inner ? inner.split(',').map((item) => parseScalar(item, line)) : [];
+  }
+  if (text.startsWith('{') || UNSUPPORTED.test(text)) {
+    throw new YamlError(`Unsupported YAML: ${text}`, line);
+  }
+  return text;
+};
+
+const splitKey = (content, line) => {
+  const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(\s+(.*))?$/.exec(content);
+  if (!match) {
+    throw new YamlError('Expected "key: value"', line);
+  }
+  const key = parseScalar(match[1], line);
+  return { key: String(key), rest: match[3] ?? '' };
+};
+
+/**
+ * Parses the subset of YAML that configuration files need: nested
+ * mappings, block (`- item`) and flow (`[a, b]`) sequences of scalars,
+ * quoted and plain scalars, and `#` comments. Anchors, multi-line strings
+ * and multiple documents are rejected rather than misread.
+ */
+const parseYaml = (text) => {
+  const lines = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((raw, index) => {
+      if (/^(---|\.\.\.)\s*$/.test(raw) && lines.length > 0) {
+        throw new YamlError('Multiple documents are not supported', index + 1);
+      }
+      const content = stripComment(raw).trimEnd();
+      if (!content.trim() || /^---\s*$/.test(content)) {
+        return;
+      }
+      if (/^\s*\t/.test(content)) {
+        throw new YamlError('Tabs are not allowed for indentation', index + 1);
+      }
+      const indent = content.length - content.trimStart().length;
+      lines.push({ number: index + 1, indent, content: content.trim() });
+    });
+
+  let position = 0;
+
+  const parseBlock = (indent) => {
+    const first = lines[position];
+    if (first.content.startsWith('- ') || first.content === '-') {
+      const items = [];
+      while (position < lines.length && lines[position].indent === indent) {
+        const { content, number } = lines[position];
+        if (!(content.startsWith('- ') || content === '-')) {
+          throw new YamlError('Expected "- item"', number);
+        }
+        items.push(parseScalar(content.slice(1), number));
+        position += 1;
+      }
+      return items;
+    }
+
+    const mapping = {};
+    while (position < lines.length && lines[position].indent === indent) {
+      const { content, number } = lines[position];
+      const { key, rest } = splitKey(content, number);
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new YamlError(`Duplicate key "${key}"`, number);
+      }
+      position += 1;
+
+      const next = lines[position];
+      if (rest === '' && next && next.indent > indent) {
+        mapping[key] = parseBlock(next.indent);
+      } else {
+        mapping[key] = parseScalar(rest, number);
+      }
+    }
+    return mapping;
+  };
+
+  if (lines.length === 0) {
+    return {};
+  }
+  const value = parseBlock(lines[0].indent);
+  if (position < lines.length) {
+    throw new YamlError('Unexpected indentation', lines[position].number);
+  }
+  return value;
+};
+
+module.exports = {
+  YamlError,
+  parseYaml,
+};
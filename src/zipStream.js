@@ -0,0 +1,192 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 file names
+const ENTRY_FLAGS = 0x0808;
+const DEFLATE_METHOD = 8;
+const ZIP_VERSION = 20;
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let value = n;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[n] = value;
+  }
+  return table;
+})();
+
+// zlib.crc32 only exists from Node 20.15
+const crc32 =
+  zlib.crc32 ||
+  ((buffer, previous = 0) => {
+    let crc = previous ^ -1;
+    for (let index = 0; index < buffer.length; index += 1) {
+      crc = (crc >>> 8) ^ CRC_TABLE[(crc ^ buffer[index]) & 0xff];
+    }
+    return (crc ^ -1) >>> 0;
+  });
+
+/**
+ * Writes `chunk` and waits for `drain` when the stream's buffer is full.
+ * Rejects when the stream closes first (e.g. the client disconnected).
+ */
+const writeChunk = (stream, chunk) => {
+  if (stream.destroyed) {
+    return Promise.reject(new Error('Output stream closed'));
+  }
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed'));
+    };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+};
+
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Minimal streaming ZIP writer. Entries are deflated as they are written and
+ * followed by a data descriptor, so nothing is buffered beyond zlib's window.
+ * No ZIP64 support: archives must stay below 4 GiB.
+ */
+class ZipStreamWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.modified = dosDateTime(new Date());
+  }
+
+  async write(chunk) {
+    this.offset += chunk.length;
+    await writeChunk(this.output, chunk);
+  }
+
+  async addFile(name, content) {
+    const entry = await this.openEntry(name);
+    await entry.write(content);
+    await entry.close();
+  }
+
+  async openEntry(name) {
+    const fileName = Buffer.from(name, 'utf8');
+    const entry = {
+      fileName,
+      offset: this.offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(ENTRY_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE_METHOD, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt16LE(fileName.length, 26);
+    await this.write(Buffer.concat([header, fileName]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pump = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await this.write(chunk);
+      }
+    })();
+    // Surfaced through write()/close(); avoid an unhandled rejection meanwhile
+    pump.catch(() => {});
+
+    return {
+      write: async (content) => {
+        const chunk = Buffer.isBuffer(content)
+          ? content
+          : Buffer.from(content, 'utf8');
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        if (!deflate.write(chunk)) {
+          await Promise.race([once(deflate, 'drain'), pump]);
+        }
+      },
+      close: async () => {
+        deflate.end();
+        await pump;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.write(descriptor);
+        this.entries.push(entry);
+      },
+    };
+  }
+
+  async finish() {
+    const directoryOffset = this.offset;
+    const headers = this.entries.map((entry) => {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+      header.writeUInt16LE(ZIP_VERSION, 4);
+      header.writeUInt16LE(ZIP_VERSION, 6);
+      header.writeUInt16LE(ENTRY_FLAGS, 8);
+      header.writeUInt16LE(DEFLATE_METHOD, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([header, entry.fileName]);
+    });
+    const directory = Buffer.concat(headers);
+    await this.write(directory);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = {
+  ZipStreamWriter,
+  crc32,
+  writeChunk,
+};
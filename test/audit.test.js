@@ -0,0 +1,237 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildPayout } = require('./support/fakeStripe');
+const { FileAuditLog, hashRecord } = require('../src/auditLog');
+
+const listAudit = (service, query = '') =>
+  service.request(`/api/audit${query}`, {
+    key: API_KEYS.auditor,
+    tenant: 'acme',
+  });
+
+// Records are written once the response has closed
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe('payout access audit', () => {
+  let service;
+  const payouts = Array.from({ length: 3 }, (_, index) =>
+    buildPayout({
+      created: 1_700_000_000 - index * 3600,
+      metadata: { tenantId: 'acme' },
+    })
+  );
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts });
+  });
+
+  it('records who listed which payouts', async () => {
+    const listing = await service.request('/api/payouts?limit=2', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(listing.status, 200);
+    await settle();
+
+    const requestId = listing.headers.get('x-request-id');
+    const audit = await listAudit(service, `?request_id=${requestId}`);
+    assert.equal(audit.status, 200);
+    assert.equal(audit.body.data.length, 1);
+
+    const [record] = audit.body.data;
+    assert.equal(record.credentialId, 'acmeReader');
+    assert.equal(record.tenantId, 'acme');
+    assert.equal(record.route, '/api/payouts');
+    assert.equal(record.status, 200);
+    assert.deepEqual(record.query, { limit: '2' });
+    assert.deepEqual(
+      record.payoutIds,
+      payouts.slice(0, 2).map((payout) => payout.id)
+    );
+    assert.equal(record.resultCount, 2);
+    assert.equal(record.hash, hashRecord(record));
+  });
+
+  it('records rejected attempts and finds records by payout', async () => {
+    const [payout] = payouts;
+    await service.request(`/api/payouts/${payout.id}`, { tenant: 'acme' });
+    await service.request(`/api/payouts/${payout.id}`, {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    await settle();
+
+    const byPayout = await listAudit(service, `?payout_id=${payout.id}`);
+    assert.equal(byPayout.body.data[0].route, '/api/payouts/:id');
+    assert.equal(byPayout.body.data[0].resultCount, 1);
+
+    const all = await listAudit(service, '?limit=1000');
+    const unauthenticated = all.body.data.find(
+      (record) => record.status === 401
+    );
+    assert.equal(unauthenticated.credentialId, null);
+    assert.equal(unauthenticated.tenantId, 'acme');
+    assert.deepEqual(unauthenticated.payoutIds, []);
+  });
+
+  it('records the payouts an export streamed', async () => {
+    const exported = await service.request('/api/payouts/export', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(exported.status, 200);
+    await settle();
+
+    const audit = await listAudit(service, '?route=/api/payouts/export');
+    const [record] = audit.body.data;
+    assert.equal(record.resultCount, payouts.length);
+    assert.deepEqual(
+      [...record.payoutIds].sort(),
+      payouts.map((payout) => payout.id).sort()
+    );
+  });
+
+  it('pages records newest first', async () => {
+    for (let index = 0; index < 3; index += 1) {
+      await service.request('/api/payouts/summary', {
+        key: API_KEYS.acmeReader,
+        tenant: 'acme',
+      });
+    }
+    await settle();
+
+    const first = await listAudit(
+      service,
+      '?route=/api/payouts/summary&limit=2'
+    );
+    assert.equal(first.body.data.length, 2);
+    assert.equal(first.body.has_more, true);
+    assert.ok(first.body.data[0].sequence > first.body.data[1].sequence);
+    assert.equal(first.body.data[0].resultCount, null);
+
+    const second = await listAudit(
+      service,
+      `?route=/api/payouts/summary&limit=2&starting_after=${first.body.data[1].sequence}`
+    );
+    assert.ok(second.body.data.length >= 1);
+    assert.ok(second.body.data[0].sequence < first.body.data[1].sequence);
+  });
+
+  it('keeps tenants and scopes apart', async () => {
+    const otherTenant = await service.request('/api/audit?tenantId=gamma', {
+      key: API_KEYS.auditor,
+      tenant: 'acme',
+    });
+    assert.equal(otherTenant.status, 403);
+    assert.equal(otherTenant.body.code, 'tenant_forbidden');
+
+    const reader = await service.request('/api/audit', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(reader.status, 403);
+    assert.equal(reader.body.code, 'missing_scope');
+  });
+
+  it('verifies the chain', async () => {
+    const response = await service.request('/api/audit/verify', {
+      key: API_KEYS.auditor,
+      tenant: 'acme',
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.valid, true);
+    assert.ok(response.body.checked > 0);
+  });
+});
+
+describe('file audit log', () => {
+  let dir;
+  let filePath;
+
+  const entry = (payoutId) => ({
+    requestId: `req_${payoutId}`,
+    tenantId: 'acme',
+    payoutIds: [payoutId],
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    filePath = path.join(dir, 'audit.jsonl');
+  });
+
+  it('continues the chain after a restart', async () => {
+    const first = new FileAuditLog(filePath);
+    await first.append(entry('po_1'));
+    await first.append(entry('po_2'));
+
+    const reopened = new FileAuditLog(filePath);
+    const record = await reopened.append(entry('po_3'));
+    assert.equal(record.sequence, 3);
+
+    const result = await reopened.verify();
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 3);
+  });
+
+  it('detects an edited record', async () => {
+    const log = new FileAuditLog(filePath);
+    for (const id of ['po_1', 'po_2', 'po_3']) {
+      await log.append(entry(id));
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    const edited = JSON.parse(lines[1]);
+    edited.payoutIds = ['po_other'];
+    lines[1] = JSON.stringify(edited);
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.broken_at, {
+      sequence: 2,
+      reason: 'content hash mismatch',
+    });
+  });
+
+  it('detects a removed record', async () => {
+    const log = new FileAuditLog(filePath);
+    for (const id of ['po_1', 'po_2', 'po_3']) {
+      await log.append(entry(id));
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    fs.writeFileSync(filePath, `${[lines[0], lines[2]].join('\n')}\n`);
+
+    const result = await log.verify();
+    assert.equal(result.valid, false);
+    assert.equal(result.broken_at.reason, 'sequence gap');
+  });
+
+  it('prunes old records and still verifies', async () => {
+    const log = new FileAuditLog(filePath);
+    for (const id of ['po_1', 'po_2', 'po_3']) {
+      await log.append(entry(id));
+    }
+
+    const removed = await log.prune(new Date(Date.now() + 1000).toISOString());
+    assert.equal(removed, 3);
+    await log.append(entry('po_4'));
+
+    const reopened = new FileAuditLog(filePath);
+    const result = await reopened.verify();
+    assert.equal(result.valid, true);
+    assert.equal(result.checked, 1);
+    assert.equal(result.head.sequence, 4);
+  });
+});
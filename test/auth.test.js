@@ -0,0 +1,112 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildPayout } = require('./support/fakeStripe');
+
+describe('authentication and authorization', () => {
+  let service;
+
+  before(async () => {
+    service = await startTestApp({
+      config: {
+        allowLegacySharedSecret: true,
+        sharedSecret: 'legacy-shared-secret',
+      },
+    });
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({
+      payouts: [buildPayout({ metadata: { tenantId: 'acme' } })],
+    });
+  });
+
+  it('serves health and the OpenAPI document without a key', async () => {
+    const live = await service.request('/api/health/live');
+    assert.equal(live.status, 200);
+
+    const spec = await service.request('/api/openapi.json');
+    assert.equal(spec.status, 200);
+    assert.equal(spec.body.openapi, '3.1.0');
+  });
+
+  it('rejects requests without an API key', async () => {
+    const response = await service.request('/api/payouts', { tenant: 'acme' });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'missing_api_key');
+    assert.ok(response.body.requestId);
+    assert.equal(service.fake.requests.length, 0);
+  });
+
+  it('rejects unknown, expired and disabled keys', async () => {
+    const keys = ['psk_unknown', API_KEYS.expired, API_KEYS.disabled];
+    for (const key of keys) {
+      const response = await service.request('/api/payouts', {
+        key,
+        tenant: 'acme',
+      });
+      assert.equal(response.status, 403);
+      assert.equal(response.body.code, 'invalid_api_key');
+    }
+    assert.equal(service.fake.requests.length, 0);
+  });
+
+  it('requires X-Tenant when the key is bound to several tenants', async () => {
+    const response = await service.request('/api/payouts', {
+      key: API_KEYS.portal,
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'missing_tenant');
+  });
+
+  it('defaults the tenant of a key bound to exactly one tenant', async () => {
+    const response = await service.request('/api/payouts', {
+      key: API_KEYS.acmeReader,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 1);
+  });
+
+  it('rejects tenants the key is not bound to', async () => {
+    const response = await service.request('/api/payouts', {
+      key: API_KEYS.acmeReader,
+      tenant: 'beta',
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'tenant_forbidden');
+  });
+
+  it('rejects routes outside the key scopes', async () => {
+    const response = await service.request('/api/payouts', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+      method: 'POST',
+      headers: { 'Idempotency-Key': 'auth-scope-check' },
+      body: { amount: 100, currency: 'usd' },
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'missing_scope');
+    assert.equal(service.fake.requestsTo('/v1/payouts', 'POST').length, 0);
+  });
+
+  it('lets the legacy shared secret read but not write', async () => {
+    const read = await service.request('/api/payouts', {
+      key: 'legacy-shared-secret',
+      tenant: 'acme',
+    });
+    assert.equal(read.status, 200);
+
+    const write = await service.request('/api/payouts', {
+      key: 'legacy-shared-secret',
+      tenant: 'acme',
+      method: 'POST',
+      headers: { 'Idempotency-Key': 'legacy-write' },
+      body: { amount: 100, currency: 'usd' },
+    });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.code, 'missing_scope');
+  });
+});
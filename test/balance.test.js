@@ -0,0 +1,105 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildBalanceTransaction } = require('./support/fakeStripe');
+
+const DAY = 86_400;
+
+// The UTC date `days` from today, as the forecast reports it
+const dateIn = (days) =>
+  new Date(Date.now() + days * DAY * 1000).toISOString().slice(0, 10);
+
+const requestAsGamma = (service, urlPath) =>
+  service.request(urlPath, { key: API_KEYS.gammaReader, tenant: 'gamma' });
+
+describe('connected account balance', () => {
+  let service;
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+  });
+
+  it("reports the connected account's balance per currency", async () => {
+    service.fake.seed({
+      account: 'acct_gamma',
+      balance: {
+        available: [
+          { amount: 1200, currency: 'usd' },
+          { amount: 300, currency: 'eur' },
+        ],
+        pending: [{ amount: 500, currency: 'usd' }],
+      },
+    });
+
+    const response = await requestAsGamma(service, '/api/balance');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, [
+      { currency: 'eur', available: 300, pending: 0 },
+      { currency: 'usd', available: 1200, pending: 500 },
+    ]);
+    assert.equal(response.body.cached, false);
+    assert.equal(
+      service.fake.requestsTo('/v1/balance')[0].account,
+      'acct_gamma'
+    );
+  });
+
+  it('refuses tenants that share the platform account', async () => {
+    const response = await service.request('/api/balance', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'shared_account_tenant');
+    assert.equal(service.fake.requestsTo('/v1/balance').length, 0);
+  });
+
+  it('carries a negative day into the next payout', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const pending = (days, net) =>
+      buildBalanceTransaction({
+        status: 'pending',
+        created: now - 60,
+        available_on: now + days * DAY,
+        amount: net,
+        fee: 0,
+        net,
+      });
+    service.fake.seed({
+      account: 'acct_gamma',
+      balanceTransactions: [
+        pending(1, 5000),
+        pending(2, -8000),
+        pending(3, 4000),
+        pending(4, 6000),
+        buildBalanceTransaction({ created: now - 60, available_on: now }),
+      ],
+    });
+
+    const response = await requestAsGamma(service, '/api/payouts/forecast');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.automatic, true);
+    assert.equal(response.body.schedule.interval, 'daily');
+    // The second and third days net to -8000 and -4000, so nothing is paid
+    // out until the fourth covers what is still owed
+    assert.deepEqual(
+      response.body.data.map((payout) => ({
+        date: payout.expected_payout_date,
+        amount: payout.amount,
+        carried_over: payout.carried_over,
+      })),
+      [
+        { date: dateIn(1), amount: 5000, carried_over: 0 },
+        { date: dateIn(4), amount: 2000, carried_over: -4000 },
+      ]
+    );
+    assert.equal(response.body.availability.length, 4);
+    assert.equal(response.body.scan_budget_exhausted, false);
+  });
+});
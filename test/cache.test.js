@@ -0,0 +1,301 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildPayout } = require('./support/fakeStripe');
+const { FakeRedis, encodeReply } = require('./support/fakeRedis');
+const MemoryCache = require('../src/memoryCache');
+const RedisCache = require('../src/redisCache');
+const { RedisReplyError, parseReply } = require('../src/redisClient');
+const { RedisRateLimitStore } = require('../src/rateLimitStore');
+const { RedisStateStore } = require('../src/stateStore');
+
+const KEY_PREFIX = 'test:';
+
+let redis;
+
+before(async () => {
+  redis = await new FakeRedis().start();
+});
+
+after(() => redis.stop());
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const BACKENDS = {
+  memory: {
+    create: () => new MemoryCache(),
+    close: () => {},
+  },
+  redis: {
+    create: () => new RedisCache({ url: redis.url, keyPrefix: KEY_PREFIX }),
+    close: (cache) => cache.client.quit(),
+  },
+};
+
+Object.entries(BACKENDS).forEach(([name, backend]) => {
+  describe(`${name} cache`, () => {
+    let cache;
+
+    before(() => {
+      cache = backend.create();
+    });
+
+    after(() => backend.close(cache));
+
+    beforeEach(() => cache.clear());
+
+    it('returns what was stored until it is deleted', async () => {
+      await cache.set('payouts', { data: ['po_1'] }, 60);
+      assert.deepEqual(await cache.get('payouts'), { data: ['po_1'] });
+      assert.equal(await cache.get('missing'), null);
+
+      await cache.delete('payouts');
+      assert.equal(await cache.get('payouts'), null);
+    });
+
+    it('drops every entry carrying an invalidated tag', async () => {
+      await cache.set('a', 1, 60, { tags: ['tenant:acme'] });
+      await cache.set('b', 2, 60, { tags: ['tenant:acme', 'disputes'] });
+      await cache.set('c', 3, 60, { tags: ['disputes'] });
+
+      assert.equal(await cache.invalidateTag('tenant:acme'), 2);
+      assert.equal(await cache.get('a'), null);
+      assert.equal(await cache.get('b'), null);
+      assert.equal(await cache.get('c'), 3);
+      assert.equal(await cache.invalidateTag('tenant:acme'), 0);
+    });
+
+    it('forgets entries and tags on clear', async () => {
+      await cache.set('a', 1, 60, { tags: ['tenant:acme'] });
+      await cache.set('b', 2);
+
+      await cache.clear();
+      assert.equal(await cache.get('a'), null);
+      assert.equal(await cache.get('b'), null);
+      assert.equal(await cache.invalidateTag('tenant:acme'), 0);
+    });
+
+    it('answers pings', async () => {
+      assert.equal(await cache.ping(), true);
+    });
+  });
+});
+
+describe('redis reply parsing', () => {
+  it('waits for the rest of a reply split at any byte', () => {
+    const reply = Buffer.from(
+      encodeReply(['1', ['Zoë', null, 42], { status: 'OK' }])
+    );
+    for (let end = 1; end < reply.length; end += 1) {
+      assert.equal(parseReply(reply.subarray(0, end), 0), null);
+    }
+    assert.deepEqual(parseReply(reply, 0), {
+      value: ['1', ['Zoë', null, 42], 'OK'],
+      offset: reply.length,
+    });
+  });
+
+  it('returns error replies as values', () => {
+    const { value } = parseReply(Buffer.from('-ERR wrong\r\n'), 0);
+    assert.ok(value instanceof RedisReplyError);
+    assert.equal(value.message, 'ERR wrong');
+  });
+});
+
+describe('redis cache', () => {
+  const createCache = (options = {}) =>
+    new RedisCache({ url: redis.url, keyPrefix: KEY_PREFIX, ...options });
+
+  beforeEach(() => redis.reset());
+
+  it('only ever extends the TTL of a tag set', async (t) => {
+    const cache = createCache();
+    t.after(() => cache.client.quit());
+    const tagTtl = () => redis.ttl(`${KEY_PREFIX}tag:tenant:acme`);
+    const tags = ['tenant:acme'];
+
+    await cache.set('a', 1, 10, { tags });
+    assert.equal(tagTtl(), 10);
+    await cache.set('b', 1, 5, { tags });
+    assert.equal(tagTtl(), 10);
+    await cache.set('c', 1, 30, { tags });
+    assert.equal(tagTtl(), 30);
+    await cache.set('d', 1, 0, { tags });
+    assert.equal(tagTtl(), -1);
+    await cache.set('e', 1, 5, { tags });
+    assert.equal(tagTtl(), -1);
+    assert.equal(await cache.invalidateTag('tenant:acme'), 5);
+  });
+
+  it('leaves rate limit buckets and state records alone on clear', async (t) => {
+    const cache = createCache();
+    const stateStore = new RedisStateStore({
+      url: redis.url,
+      keyPrefix: KEY_PREFIX,
+    });
+    const rateLimitStore = new RedisRateLimitStore({
+      url: redis.url,
+      keyPrefix: KEY_PREFIX,
+    });
+    t.after(() => {
+      [cache, stateStore, rateLimitStore].forEach((store) =>
+        store.client.quit()
+      );
+    });
+
+    await cache.set('a', 1, 60, { tags: ['tenant:acme'] });
+    await stateStore.set('payout-state:po_1', { status: 'paid' }, 60);
+    await rateLimitStore.take('acme', 1, { capacity: 10, refillPerMs: 0.001 });
+
+    await cache.clear();
+    assert.equal(await cache.get('a'), null);
+    assert.deepEqual(await stateStore.get('payout-state:po_1'), {
+      status: 'paid',
+    });
+    assert.deepEqual(await rateLimitStore.keys(), ['acme']);
+  });
+
+  it('reconnects and authenticates again after the connection drops', async (t) => {
+    const url = new URL(redis.url);
+    url.password = 'secret';
+    url.pathname = '/2';
+    const cache = createCache({ url: url.toString() });
+    t.after(() => cache.client.quit());
+    const connections = redis.connections;
+
+    await cache.set('a', 1, 60);
+    redis.dropConnections();
+    await wait(20);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(redis.connections, connections + 2);
+    assert.deepEqual(redis.commandsNamed('AUTH'), [
+      ['AUTH', 'secret'],
+      ['AUTH', 'secret'],
+    ]);
+    assert.equal(redis.commandsNamed('SELECT').length, 2);
+  });
+
+  it('treats a command that takes too long as a miss', async (t) => {
+    const cache = createCache({ commandTimeoutMs: 50 });
+    t.after(() => cache.client.quit());
+    await cache.set('a', 1, 60);
+
+    redis.injectFault({ command: 'GET', delayMs: 200 });
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('a'), 1);
+
+    redis.injectFault({ command: 'PING', delayMs: 200 });
+    await assert.rejects(cache.ping(), /Redis PING timed out/);
+  });
+
+  it('reads replies that arrive a byte at a time', async (t) => {
+    const cache = createCache();
+    t.after(() => cache.client.quit());
+    await cache.set('a', { name: 'Zoë' }, 60, { tags: ['tenant:acme'] });
+
+    redis.injectFault({ command: 'GET', fragmented: true });
+    redis.injectFault({ command: 'SMEMBERS', fragmented: true });
+    assert.deepEqual(await cache.get('a'), { name: 'Zoë' });
+    assert.equal(await cache.invalidateTag('tenant:acme'), 1);
+  });
+
+  it('degrades to misses when Redis answers with errors', async (t) => {
+    const cache = createCache();
+    t.after(() => cache.client.quit());
+    await cache.set('a', 1, 60);
+
+    redis.injectFault({ command: 'GET', error: 'LOADING Redis is loading' });
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('a'), 1);
+  });
+});
+
+describe('redis stores', () => {
+  let stateStore;
+  let rateLimitStore;
+
+  before(() => {
+    stateStore = new RedisStateStore({ url: redis.url, keyPrefix: KEY_PREFIX });
+    rateLimitStore = new RedisRateLimitStore({
+      url: redis.url,
+      keyPrefix: KEY_PREFIX,
+    });
+  });
+
+  after(() => {
+    stateStore.client.quit();
+    rateLimitStore.client.quit();
+  });
+
+  beforeEach(() => redis.reset());
+
+  it('adds a state record only while its key is free', async () => {
+    assert.equal(
+      await stateStore.add('idempotency:k', { pending: true }, 60),
+      true
+    );
+    assert.equal(
+      await stateStore.add('idempotency:k', { pending: true }, 60),
+      false
+    );
+    assert.deepEqual(await stateStore.get('idempotency:k'), { pending: true });
+
+    await stateStore.delete('idempotency:k');
+    assert.equal(
+      await stateStore.add('idempotency:k', { done: true }, 60),
+      true
+    );
+  });
+
+  it('spends rate limit tokens until the bucket is empty', async () => {
+    const bucket = { capacity: 10, refillPerMs: 10 / 3_600_000 };
+
+    const first = await rateLimitStore.take('acme', 6, bucket);
+    assert.equal(first.allowed, true);
+    assert.ok(first.tokens >= 4 && first.tokens < 4.1);
+
+    const second = await rateLimitStore.take('acme', 6, bucket);
+    assert.equal(second.allowed, false);
+    assert.ok(second.tokens < 4.1);
+
+    await rateLimitStore.clear();
+    assert.deepEqual(await rateLimitStore.keys(), []);
+  });
+});
+
+describe('payout listing cached in redis', () => {
+  let service;
+  let cache;
+  const payout = buildPayout({ metadata: { tenantId: 'acme' } });
+
+  before(async () => {
+    cache = new RedisCache({ url: redis.url, keyPrefix: KEY_PREFIX });
+    service = await startTestApp({ cache });
+    service.fake.seed({ payouts: [payout] });
+  });
+
+  after(async () => {
+    cache.client.quit();
+    await service.close();
+  });
+
+  it('serves the second request from Redis', async () => {
+    const list = () =>
+      service.request('/api/payouts', {
+        key: API_KEYS.acmeReader,
+        tenant: 'acme',
+      });
+
+    assert.deepEqual(
+      (await list()).body.data.map((entry) => entry.id),
+      [payout.id]
+    );
+    assert.deepEqual(
+      (await list()).body.data.map((entry) => entry.id),
+      [payout.id]
+    );
+    assert.equal(service.fake.requestsTo('/v1/payouts').length, 1);
+    assert.ok(redis.commandsNamed('EVAL').length > 0);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CIRCUIT_STATES, CircuitBreaker } = require('../src/circuitBreaker');
+
+describe('circuit breaker', () => {
+  const halfOpenBreaker = () => {
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      resetTimeoutMs: 0,
+    });
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, CIRCUIT_STATES.halfOpen);
+    return breaker;
+  };
+
+  it('keeps a half-open circuit half open after a neutral trial', () => {
+    const breaker = halfOpenBreaker();
+    const { openedAt } = breaker;
+
+    breaker.recordNeutral();
+    assert.equal(breaker.state, CIRCUIT_STATES.halfOpen);
+    assert.equal(breaker.openedAt, openedAt);
+    // The trial slot is free again for the next call
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it('closes only when a trial succeeds', () => {
+    const breaker = halfOpenBreaker();
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.closed);
+    assert.equal(breaker.openedAt, null);
+  });
+});
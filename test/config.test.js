@@ -0,0 +1,180 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const config = require('../src/config');
+const { ConfigError, loadConfig } = require('../src/configLoader');
+const { parseYaml } = require('../src/yaml');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+
+const BASE_ENV = {
+  STRIPE_SECRET_KEY: 'sk_test_offline',
+  API_KEYS_FILE: './api-keys.json',
+};
+
+const writeFile = (name, contents) => {
+  const filePath = path.join(dataDir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+const issuesOf = (env) => {
+  try {
+    loadConfig({ ...BASE_ENV, ...env });
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.issues;
+  }
+  return assert.fail('configuration was accepted');
+};
+
+describe('configuration loading', () => {
+  it('rejects malformed values instead of falling back to defaults', () => {
+    assert.deepEqual(
+      issuesOf({
+        PORT: '30OO',
+        CACHE_BACKEND: 'redsi',
+        MIRROR_ENABLED: 'maybe',
+        FX_RATES: 'eur:1.08,sek:-1',
+      }),
+      [
+        'PORT must be an integer',
+        'CACHE_BACKEND must be one of memory, redis',
+        'MIRROR_ENABLED must be true or false',
+        'FX_RATES entry "sek" must be a number greater than 0',
+      ]
+    );
+    assert.deepEqual(issuesOf({ STRIPE_SECRET_KEY: '', API_KEYS_FILE: '' }), [
+      'STRIPE_SECRET_KEY is required',
+      'API_KEYS_FILE (or ALLOW_LEGACY_SHARED_SECRET=true) is required',
+    ]);
+  });
+
+  it('layers CONFIG_FILE over the environment and defaults', () => {
+    const configFile = writeFile(
+      'config.yaml',
+      [
+        '# overrides',
+        'rateLimitMax: 250',
+        'allowedOrigins:',
+        '  - https://portal.example.com',
+        'rateLimitTenantPlans:',
+        '  Acme: enterprise',
+        'logRedactFields: [IBAN, "customer_reference"]',
+      ].join('\n')
+    );
+
+    const { values, sources } = loadConfig({
+      ...BASE_ENV,
+      CONFIG_FILE: configFile,
+      TENANT_RATE_LIMIT_MAX: '50',
+      TENANT_RATE_LIMIT_WINDOW_MS: '1000',
+    });
+    assert.equal(values.rateLimitMax, 250);
+    assert.equal(sources.rateLimitMax, 'file');
+    assert.equal(values.rateLimitWindowMs, 1000);
+    assert.equal(sources.rateLimitWindowMs, 'env');
+    assert.equal(values.cacheTtlSeconds, 60);
+    assert.equal(sources.cacheTtlSeconds, 'default');
+    assert.deepEqual(values.allowedOrigins, ['https://portal.example.com']);
+    assert.deepEqual(values.rateLimitTenantPlans, { acme: 'enterprise' });
+    assert.deepEqual(values.logRedactFields, ['iban', 'customer_reference']);
+  });
+
+  it('rejects unknown and mistyped CONFIG_FILE settings', () => {
+    const configFile = writeFile(
+      'config.json',
+      JSON.stringify({ cacheTtl: 5, port: 'eighty', mirrorEnabled: 'yes' })
+    );
+    assert.deepEqual(issuesOf({ CONFIG_FILE: configFile }), [
+      'CONFIG_FILE has unknown setting "cacheTtl"',
+      'CONFIG_FILE setting "port" must be an integer',
+    ]);
+  });
+
+  it('refuses YAML it cannot read faithfully', () => {
+    assert.throws(() => parseYaml('base: &base\n  a: 1'), /Unsupported YAML/);
+    assert.throws(() => parseYaml('notes: |\n  text'), /Unsupported YAML/);
+    assert.throws(() => parseYaml('a: 1\n  b: 2'), /line 2/);
+  });
+});
+
+describe('configuration reload', () => {
+  let service;
+  const configFile = path.join(dataDir, 'reload.json');
+
+  before(async () => {
+    service = await startTestApp();
+    process.env.CONFIG_FILE = configFile;
+  });
+
+  after(() => {
+    delete process.env.CONFIG_FILE;
+    return service.close();
+  });
+
+  const reload = (key = API_KEYS.admin) =>
+    service.request('/api/admin/config/reload', {
+      key,
+      tenant: 'acme',
+      method: 'POST',
+    });
+
+  it('applies reloadable settings and reports the rest', async () => {
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ cacheTtlSeconds: 5, port: 4000, fxRates: { eur: 1.1 } })
+    );
+
+    const response = await reload();
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, {
+      changed: ['cacheTtlSeconds', 'fxRates'],
+      restart_required: ['port'],
+    });
+    assert.equal(config.cacheTtlSeconds, 5);
+    assert.deepEqual(config.fxRates, { eur: 1.1 });
+    assert.notEqual(config.port, 4000);
+
+    const forbidden = await reload(API_KEYS.acmeReader);
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('keeps the running configuration when the new one is invalid', async () => {
+    fs.writeFileSync(configFile, JSON.stringify({ cacheTtlSeconds: -1 }));
+
+    const response = await reload();
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'invalid_config');
+    assert.deepEqual(response.body.issues, [
+      'CONFIG_FILE setting "cacheTtlSeconds" must be an integer of at least 0',
+    ]);
+    assert.equal(config.cacheTtlSeconds, 5);
+  });
+
+  it('lists settings with their source and redacts secrets', async () => {
+    const response = await service.request('/api/admin/config', {
+      key: API_KEYS.admin,
+      tenant: 'acme',
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.file, configFile);
+
+    const settings = Object.fromEntries(
+      response.body.settings.map((setting) => [setting.key, setting])
+    );
+    assert.equal(settings.stripeSecretKey.value, '[REDACTED]');
+    assert.equal(settings.stripeSecretKey.source, 'env');
+    assert.equal(settings.cacheTtlSeconds.value, 5);
+    assert.equal(settings.cacheTtlSeconds.source, 'file');
+    assert.equal(settings.cacheTtlSeconds.reloadable, true);
+    assert.deepEqual(settings.sharedSecret.env, [
+      'PAYMENTS_SHARED_SECRET',
+      'X_PAYMENTS_SECRET',
+    ]);
+    assert.equal(JSON.stringify(response.body).includes('sk_test'), false);
+  });
+});
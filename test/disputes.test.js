@@ -0,0 +1,281 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const {
+  buildBalanceTransaction,
+  buildCharge,
+  buildDispute,
+  buildPayout,
+  buildRefund,
+} = require('./support/fakeStripe');
+
+const request = (
+  service,
+  urlPath,
+  { key = 'acmeReader', tenant = 'acme' } = {}
+) => service.request(urlPath, { key: API_KEYS[key], tenant });
+
+describe('payout adjustments', () => {
+  let service;
+  const charge = buildCharge({ metadata: { tenantId: 'acme' } });
+  const refund = buildRefund({ charge: charge.id, reason: 'duplicate' });
+  const dispute = buildDispute({ charge: charge.id, reason: 'fraudulent' });
+
+  const transactionsOf = (payout) => [
+    buildBalanceTransaction({ payout: payout.id }),
+    buildBalanceTransaction({
+      payout: payout.id,
+      type: 'refund',
+      amount: -1000,
+      fee: 0,
+      net: -1000,
+      source: refund.id,
+    }),
+    buildBalanceTransaction({
+      payout: payout.id,
+      type: 'dispute',
+      amount: -5000,
+      fee: 1500,
+      net: -6500,
+      source: dispute.id,
+    }),
+  ];
+
+  const automatic = buildPayout({ metadata: { tenantId: 'acme' } });
+  const anchor = buildBalanceTransaction({ type: 'payout', source: 'po_adj' });
+  const manual = buildPayout({
+    id: 'po_adj',
+    automatic: false,
+    balance_transaction: anchor.id,
+    created: anchor.created + 5,
+    metadata: { tenantId: 'acme' },
+  });
+  const betaPayout = buildPayout({ metadata: { tenantId: 'beta' } });
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({
+      payouts: [automatic, manual, betaPayout],
+      balanceTransactions: [
+        ...transactionsOf(automatic),
+        ...transactionsOf(manual).map((tx) => ({
+          ...tx,
+          created: anchor.created - 600,
+        })),
+        anchor,
+      ],
+      disputes: [dispute],
+      objects: [charge, refund],
+    });
+  });
+
+  it('expands refunds and disputes of an automatic payout', async () => {
+    const response = await request(
+      service,
+      `/api/payouts/${automatic.id}/adjustments`
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total_count, 2);
+    assert.equal(response.body.total_net, -7500);
+
+    const [disputeAdjustment, refundAdjustment] = response.body.data.sort(
+      (left, right) => left.type.localeCompare(right.type)
+    );
+    assert.equal(disputeAdjustment.type, 'dispute');
+    assert.deepEqual(disputeAdjustment.source, {
+      id: dispute.id,
+      object: 'dispute',
+      amount: 5000,
+      currency: 'usd',
+      status: 'needs_response',
+      reason: 'fraudulent',
+      charge: charge.id,
+      payment_intent: null,
+      evidence_due_by: dispute.evidence_details.due_by,
+      has_evidence: false,
+      created: dispute.created,
+    });
+    assert.equal(refundAdjustment.source.reason, 'duplicate');
+    assert.equal(refundAdjustment.source.charge, charge.id);
+
+    const calls = service.fake.requestsTo('/v1/balance_transactions');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(Object.values(calls[0].query.expand), ['data.source']);
+  });
+
+  it('retrieves sources one by one for manual payouts', async () => {
+    const response = await request(
+      service,
+      `/api/payouts/${manual.id}/adjustments`
+    );
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((adjustment) => adjustment.source.object).sort(),
+      ['dispute', 'refund']
+    );
+
+    const retrieves = service.fake
+      .requestsTo('/v1/balance_transactions/')
+      .filter((call) => call.path !== `/v1/balance_transactions/${anchor.id}`);
+    assert.equal(retrieves.length, 2);
+    assert.ok(retrieves.every((call) => call.query.expand[0] === 'source'));
+  });
+
+  it("hides other tenants' payouts", async () => {
+    const response = await request(
+      service,
+      `/api/payouts/${betaPayout.id}/adjustments`
+    );
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'payout_not_found');
+  });
+});
+
+describe('open disputes', () => {
+  let service;
+  const acmeCharge = buildCharge({ metadata: { tenantId: 'acme' } });
+  const betaCharge = buildCharge({ metadata: { tenantId: 'beta' } });
+  const open = Array.from({ length: 3 }, (_, index) =>
+    buildDispute({
+      charge: acmeCharge.id,
+      status: index === 0 ? 'warning_needs_response' : 'under_review',
+      created: 1_700_000_000 - index * 3600,
+    })
+  );
+  const closed = buildDispute({
+    charge: acmeCharge.id,
+    status: 'lost',
+    created: 1_700_000_000 - 1800,
+  });
+  const taggedDispute = buildDispute({
+    metadata: { tenantId: 'acme' },
+    created: 1_600_000_000,
+  });
+  const betaDispute = buildDispute({ charge: betaCharge.id });
+  const unattributed = buildDispute({ charge: buildCharge().id });
+  const gammaDispute = buildDispute();
+
+  before(async () => {
+    service = await startTestApp({
+      config: { stripeWebhookSecret: 'whsec_test' },
+    });
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake
+      .seed({
+        disputes: [...open, closed, taggedDispute, betaDispute, unattributed],
+        objects: [acmeCharge, betaCharge],
+      })
+      .seed({ account: 'acct_gamma', disputes: [gammaDispute] });
+  });
+
+  it("lists the tenant's open disputes and pages them", async () => {
+    const first = await request(service, '/api/disputes?limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.data.map((dispute) => dispute.id),
+      [open[0].id, open[1].id]
+    );
+    assert.equal(first.body.has_more, true);
+    assert.equal(first.body.data[0].charge, acmeCharge.id);
+
+    const second = await request(
+      service,
+      `/api/disputes?limit=2&starting_after=${first.body.next_starting_after}`
+    );
+    assert.deepEqual(
+      second.body.data.map((dispute) => dispute.id),
+      [open[2].id, taggedDispute.id]
+    );
+    assert.equal(second.body.has_more, false);
+
+    const calls = service.fake.requestsTo('/v1/disputes');
+    assert.ok(calls.every((call) => call.query.expand[0] === 'data.charge'));
+  });
+
+  it('scopes connect tenants to their account', async () => {
+    const response = await request(service, '/api/disputes', {
+      key: 'gammaReader',
+      tenant: 'gamma',
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((dispute) => dispute.id),
+      [gammaDispute.id]
+    );
+  });
+
+  const sendDisputeEvent = async (id, dispute, account) => {
+    const payload = JSON.stringify({
+      id,
+      object: 'event',
+      type: 'charge.dispute.created',
+      ...(account ? { account } : {}),
+      data: { object: dispute },
+    });
+    const response = await fetch(`${service.baseUrl}/api/webhooks/stripe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({
+          payload,
+          secret: 'whsec_test',
+        }),
+      },
+      body: payload,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('drops cached listings when a dispute changes', async () => {
+    const first = await request(service, '/api/disputes');
+    assert.equal(first.body.data.length, 4);
+
+    const opened = buildDispute({ charge: acmeCharge.id });
+    service.fake.seed({ disputes: [opened] });
+    const cached = await request(service, '/api/disputes');
+    assert.equal(cached.body.cached, true);
+
+    const webhook = await sendDisputeEvent('evt_dispute', opened);
+    assert.deepEqual(webhook.body, { received: true });
+
+    const refreshed = await request(service, '/api/disputes');
+    assert.equal(refreshed.body.cached, false);
+    assert.equal(refreshed.body.data[0].id, opened.id);
+
+    const replayed = await sendDisputeEvent('evt_dispute', opened);
+    assert.equal(replayed.body.duplicate, true);
+    assert.equal((await request(service, '/api/disputes')).body.cached, true);
+  });
+
+  it("drops only the connect tenant's listings for its account's disputes", async () => {
+    const listGamma = () =>
+      request(service, '/api/disputes', {
+        key: 'gammaReader',
+        tenant: 'gamma',
+      });
+    await request(service, '/api/disputes');
+    await listGamma();
+
+    const webhook = await sendDisputeEvent(
+      'evt_gamma_dispute',
+      buildDispute(),
+      'acct_gamma'
+    );
+    assert.equal(webhook.status, 200);
+
+    assert.equal((await listGamma()).body.cached, false);
+    assert.equal((await request(service, '/api/disputes')).body.cached, true);
+  });
+});
@@ -0,0 +1,74 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+
+describe('metrics endpoint', () => {
+  let service;
+
+  before(async () => {
+    service = await startTestApp({
+      config: { metricsAuthToken: 'scrape-token' },
+    });
+  });
+
+  after(() => service.close());
+
+  it('only answers scrapers with the bearer token', async () => {
+    const missing = await service.request('/metrics');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'invalid_metrics_token');
+
+    const wrong = await service.request('/metrics', {
+      headers: { Authorization: 'Bearer scrape-tokeN' },
+    });
+    assert.equal(wrong.status, 401);
+
+    const scraped = await service.request('/metrics', {
+      headers: { Authorization: 'Bearer scrape-token' },
+    });
+    assert.equal(scraped.status, 200);
+    assert.match(scraped.headers.get('content-type'), /^text\/plain/);
+    assert.match(scraped.body, /^# TYPE http_requests_total counter$/m);
+  });
+});
+
+describe('readiness', () => {
+  let service;
+
+  before(async () => {
+    service = await startTestApp({ config: { healthProbeTtlSeconds: 0 } });
+  });
+
+  after(() => service.close());
+
+  it('is ready while Stripe answers the balance probe', async () => {
+    const anonymous = await service.request('/api/health/ready');
+    assert.equal(anonymous.status, 200);
+    assert.equal(anonymous.body.status, 'ready');
+    assert.equal(anonymous.body.checks, undefined);
+
+    const detailed = await service.request('/api/health/ready', {
+      key: API_KEYS.acmeReader,
+    });
+    assert.equal(detailed.body.checks.stripe.ok, true);
+    assert.equal(detailed.body.checks.cache.ok, true);
+    assert.equal(detailed.body.checks.config.ok, true);
+  });
+
+  it('answers 503 when the Stripe probe fails', async () => {
+    service.fake.injectFault({ path: '/v1/balance', status: 401, times: 5 });
+
+    const response = await service.request('/api/health/ready', {
+      key: API_KEYS.acmeReader,
+    });
+    assert.equal(response.status, 503);
+    assert.equal(response.body.status, 'not_ready');
+    assert.equal(response.body.checks.stripe.ok, false);
+    assert.equal(response.body.checks.stripe.error.statusCode, 401);
+    assert.equal(response.body.checks.cache.ok, true);
+
+    service.fake.reset();
+    const recovered = await service.request('/api/health/ready');
+    assert.equal(recovered.status, 200);
+  });
+});
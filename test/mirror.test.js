@@ -0,0 +1,136 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildPayout } = require('./support/fakeStripe');
+const { FileMirrorStore, parseSort } = require('../src/mirrorStore');
+const { runMirrorSync } = require('../src/mirrorSync');
+
+const tempFile = () =>
+  path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'payments-mirror-')),
+    'mirror.json'
+  );
+
+const platformScope = {
+  account: null,
+  tenantId: 'acme',
+  includeUnattributed: true,
+};
+
+describe('file mirror store', () => {
+  it('replays its log after a restart', async () => {
+    const filePath = tempFile();
+    const store = new FileMirrorStore(filePath);
+    const older = buildPayout({ created: 1_700_000_000, status: 'pending' });
+    const newer = buildPayout({ created: 1_700_000_100 });
+    store.upsertPayout(older, { tenantId: 'acme' });
+    store.upsertPayout(newer);
+    store.upsertPayout({ ...older, status: 'paid' }, { tenantId: 'acme' });
+    store.setPayoutTransactions(older.id, [{ id: 'txn_1' }]);
+    store.setSyncState('platform', { lastSuccessAt: 123 });
+    await store.flush();
+    assert.equal(
+      fs.readFileSync(filePath, 'utf8').trim().split('\n').length,
+      5
+    );
+
+    const restarted = new FileMirrorStore(filePath);
+    assert.equal(restarted.getPayout(older.id).payout.status, 'paid');
+    assert.deepEqual(restarted.getPayoutTransactions(older.id), [
+      { id: 'txn_1' },
+    ]);
+    assert.deepEqual(restarted.getSyncState('platform'), {
+      lastSuccessAt: 123,
+    });
+    assert.deepEqual(
+      restarted
+        .queryPayouts(platformScope, { sort: parseSort('-created') })
+        .map((payout) => payout.id),
+      [newer.id, older.id]
+    );
+  });
+
+  it('compacts a log of mostly superseded lines', async () => {
+    const filePath = tempFile();
+    const store = new FileMirrorStore(filePath);
+    const payout = buildPayout();
+    for (let amount = 1; amount <= 1_100; amount += 1) {
+      store.upsertPayout({ ...payout, amount });
+    }
+    await store.flush();
+    await store.flush();
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.equal(JSON.parse(lines[0]).record.payout.amount, 1_100);
+  });
+
+  it('reads snapshots written by earlier versions', async () => {
+    const filePath = tempFile();
+    const payout = buildPayout();
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        payouts: [{ payout, account: null, tenantId: 'acme' }],
+        syncState: { platform: { lastSuccessAt: 1 } },
+      })
+    );
+
+    const store = new FileMirrorStore(filePath);
+    assert.equal(store.getPayout(payout.id).tenantId, 'acme');
+    await store.flush();
+    const [line] = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    assert.equal(JSON.parse(line).op, 'payout');
+  });
+});
+
+describe('payout listing from the mirror', () => {
+  let service;
+  const payouts = Array.from({ length: 3 }, (_, index) =>
+    buildPayout({
+      created: 1_700_000_000 - index * 60,
+      metadata: index === 1 ? {} : { tenantId: 'acme' },
+    })
+  );
+
+  before(async () => {
+    service = await startTestApp({
+      config: { mirrorEnabled: true, allowUnattributedPayouts: true },
+    });
+    service.fake.seed({ payouts });
+    await runMirrorSync();
+  });
+
+  after(() => service.close());
+
+  const list = (query) =>
+    service.request(`/api/payouts${query}`, {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+
+  it('pages the tenant and unattributed payouts in order', async () => {
+    const first = await list('?limit=2');
+    assert.equal(first.body.source, 'mirror');
+    assert.deepEqual(
+      first.body.data.map((payout) => payout.id),
+      [payouts[0].id, payouts[1].id]
+    );
+
+    const second = await list(`?limit=2&starting_after=${payouts[1].id}`);
+    assert.deepEqual(
+      second.body.data.map((payout) => payout.id),
+      [payouts[2].id]
+    );
+  });
+
+  it('rejects a cursor that is not in the listing', async () => {
+    const response = await list('?starting_after=po_unknown');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_cursor');
+    assert.equal(response.body.parameter, 'starting_after');
+  });
+});
@@ -0,0 +1,477 @@
+const { after, before, beforeEach, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildPayout } = require('./support/fakeStripe');
+
+const listPayouts = (service, query = '', key = API_KEYS.acmeReader) =>
+  service.request(`/api/payouts${query}`, { key, tenant: 'acme' });
+
+describe('tenant isolation', () => {
+  let service;
+  const acmePayout = buildPayout({ metadata: { tenantId: 'acme' } });
+  const betaPayout = buildPayout({ metadata: { tenantId: 'Beta' } });
+  const unattributed = buildPayout();
+  const gammaPayout = buildPayout();
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts: [acmePayout, betaPayout, unattributed] });
+    service.fake.seed({ account: 'acct_gamma', payouts: [gammaPayout] });
+  });
+
+  it('lists only the payouts tagged with the tenant', async () => {
+    const acme = await listPayouts(service);
+    assert.equal(acme.status, 200);
+    assert.deepEqual(
+      acme.body.data.map((payout) => payout.id),
+      [acmePayout.id]
+    );
+
+    const beta = await service.request('/api/payouts', {
+      key: API_KEYS.betaReader,
+      tenant: 'beta',
+    });
+    assert.deepEqual(
+      beta.body.data.map((payout) => payout.id),
+      [betaPayout.id]
+    );
+  });
+
+  it('keeps cached listings apart per tenant', async () => {
+    await listPayouts(service, '', API_KEYS.portal);
+    const beta = await service.request('/api/payouts', {
+      key: API_KEYS.portal,
+      tenant: 'beta',
+    });
+    assert.equal(beta.body.cached, false);
+    assert.deepEqual(
+      beta.body.data.map((payout) => payout.id),
+      [betaPayout.id]
+    );
+  });
+
+  it('hides other tenants payouts and their transactions', async () => {
+    const payout = await service.request(`/api/payouts/${betaPayout.id}`, {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(payout.status, 404);
+    assert.equal(payout.body.code, 'payout_not_found');
+
+    const transactions = await service.request(
+      `/api/payouts/${betaPayout.id}/transactions`,
+      { key: API_KEYS.acmeReader, tenant: 'acme' }
+    );
+    assert.equal(transactions.status, 404);
+    assert.equal(service.fake.requestsTo('/v1/balance_transactions').length, 0);
+  });
+
+  it('rejects a tenantId filter for a tenant the key is not bound to', async () => {
+    const response = await listPayouts(service, '?tenantId=beta');
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'tenant_forbidden');
+  });
+
+  it('reads connect tenants from their own Stripe account', async () => {
+    const response = await service.request('/api/payouts', {
+      key: API_KEYS.gammaReader,
+      tenant: 'gamma',
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((payout) => payout.id),
+      [gammaPayout.id]
+    );
+
+    const calls = service.fake.requestsTo('/v1/payouts');
+    assert.ok(calls.length > 0);
+    assert.ok(calls.every((call) => call.account === 'acct_gamma'));
+  });
+
+  it('pages through a tenant listing with cursors', async () => {
+    const older = Array.from({ length: 5 }, (_, index) =>
+      buildPayout({
+        created: acmePayout.created - (index + 1) * 3600,
+        metadata: { tenantId: 'acme' },
+      })
+    );
+    service.fake.seed({ payouts: older });
+
+    const first = await listPayouts(service, '?limit=4');
+    assert.equal(first.body.data.length, 4);
+    assert.equal(first.body.has_more, true);
+
+    const second = await listPayouts(
+      service,
+      `?limit=4&cursor=${encodeURIComponent(first.body.next_cursor)}`
+    );
+    assert.deepEqual(
+      second.body.data.map((payout) => payout.id),
+      older.slice(3).map((payout) => payout.id)
+    );
+    assert.equal(second.body.has_more, false);
+  });
+});
+
+describe('payout listing cache and fallbacks', () => {
+  let service;
+  const payout = buildPayout({ metadata: { tenantId: 'acme' } });
+
+  before(async () => {
+    // Short enough that an injected delay is a timeout
+    service = await startTestApp({ config: { stripeTimeoutMs: 250 } });
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts: [payout] });
+  });
+
+  it('serves a repeated listing from the cache', async () => {
+    const first = await listPayouts(service);
+    assert.equal(first.body.cached, false);
+
+    const second = await listPayouts(service);
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.stale, false);
+    assert.deepEqual(second.body.data, first.body.data);
+    assert.equal(service.fake.requestsTo('/v1/payouts').length, 1);
+  });
+
+  it('bypasses the cache with refresh=true', async () => {
+    await listPayouts(service);
+    const refreshed = await listPayouts(service, '?refresh=true');
+    assert.equal(refreshed.body.cached, false);
+    assert.equal(service.fake.requestsTo('/v1/payouts').length, 2);
+  });
+
+  it('retries a rate-limited Stripe call', async () => {
+    service.fake.injectFault({ path: '/v1/payouts', status: 429 });
+    const response = await listPayouts(service);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.stale, false);
+    assert.equal(response.body.data.length, 1);
+    assert.equal(service.fake.requestsTo('/v1/payouts').length, 2);
+  });
+
+  it('falls back to the cached listing when Stripe fails', async () => {
+    await listPayouts(service, '?refresh=true');
+    service.fake.injectFault({ path: '/v1/payouts', status: 500, times: 3 });
+
+    const response = await listPayouts(service, '?refresh=true');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.cached, true);
+    assert.equal(response.body.stale, true);
+    assert.equal(response.body.error, 'stripe_error');
+    assert.equal(response.body.data[0].id, payout.id);
+  });
+
+  it('falls back to the cached listing when Stripe times out', async () => {
+    await listPayouts(service, '?refresh=true');
+    service.fake.injectFault({ path: '/v1/payouts', delayMs: 1000, times: 3 });
+
+    const response = await listPayouts(service, '?refresh=true');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.stale, true);
+    assert.equal(response.body.error, 'stripe_timeout');
+    assert.equal(response.body.data[0].id, payout.id);
+  });
+
+  it('answers with an empty stale listing when nothing is cached', async () => {
+    service.fake.injectFault({ path: '/v1/payouts', status: 500, times: 3 });
+
+    const response = await listPayouts(service);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, []);
+    assert.equal(response.body.stale, true);
+    assert.equal(response.body.age_seconds, null);
+    assert.equal(response.body.error, 'stripe_error');
+  });
+
+  it('serves an expired entry stale and refreshes it once', async () => {
+    await listPayouts(service);
+    const realNow = Date.now();
+    mock.method(Date, 'now', () => realNow + 90_000);
+
+    try {
+      const response = await listPayouts(service);
+      assert.equal(response.body.cached, true);
+      assert.equal(response.body.stale, true);
+      assert.ok(response.body.age_seconds >= 90);
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(service.fake.requestsTo('/v1/payouts').length, 2);
+    } finally {
+      mock.restoreAll();
+    }
+
+    const refreshed = await listPayouts(service);
+    assert.equal(refreshed.body.cached, true);
+    assert.equal(refreshed.body.stale, false);
+  });
+});
+
+describe('idempotent payout creation', () => {
+  let service;
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({
+      balance: { available: [{ amount: 10_000, currency: 'usd' }] },
+    });
+  });
+
+  const createPayout = (key) =>
+    service.request('/api/payouts', {
+      key: API_KEYS.acmeWriter,
+      tenant: 'acme',
+      method: 'POST',
+      headers: { 'Idempotency-Key': key },
+      body: { amount: 500, currency: 'usd' },
+    });
+
+  it('lets only one of two concurrent requests through', async () => {
+    const statuses = (
+      await Promise.all([createPayout('same-key'), createPayout('same-key')])
+    ).map((response) => response.status);
+    assert.deepEqual(statuses.sort(), [201, 409]);
+    assert.equal(service.fake.requestsTo('/v1/payouts', 'POST').length, 1);
+  });
+
+  it('replays the stored response after the cache is flushed', async () => {
+    const first = await createPayout('flushed-key');
+    assert.equal(first.status, 201);
+    await service.cache.clear();
+
+    const repeat = await createPayout('flushed-key');
+    assert.equal(repeat.status, 201);
+    assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(repeat.body, first.body);
+    assert.equal(service.fake.requestsTo('/v1/payouts', 'POST').length, 1);
+  });
+});
+
+describe('stripe webhooks', () => {
+  let service;
+  const payout = buildPayout({
+    status: 'paid',
+    metadata: { tenantId: 'acme' },
+  });
+  const payload = JSON.stringify({
+    id: 'evt_retried',
+    object: 'event',
+    type: 'payout.paid',
+    created: payout.created,
+    data: { object: payout },
+  });
+
+  before(async () => {
+    service = await startTestApp({
+      config: { stripeWebhookSecret: 'whsec_test' },
+    });
+  });
+
+  after(() => service.close());
+
+  const deliver = () =>
+    fetch(`${service.baseUrl}/api/webhooks/stripe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({
+          payload,
+          secret: 'whsec_test',
+        }),
+      },
+      body: payload,
+    });
+
+  it('processes an event again when the first attempt failed', async () => {
+    mock.method(service.cache, 'invalidateTag', async () => {
+      throw new Error('cache unavailable');
+    });
+    try {
+      const failed = await deliver();
+      assert.equal(failed.status, 500);
+    } finally {
+      mock.restoreAll();
+    }
+
+    const retried = await deliver();
+    assert.equal(retried.status, 200);
+    assert.deepEqual(await retried.json(), { received: true });
+  });
+});
+
+describe('payout summary', () => {
+  let service;
+  const january = Date.UTC(2024, 0, 10) / 1000;
+  const february = Date.UTC(2024, 1, 10) / 1000;
+  const acme = (overrides) =>
+    buildPayout({ metadata: { tenantId: 'acme' }, ...overrides });
+  const payouts = [
+    acme({ amount: 1000, currency: 'usd', created: january }),
+    acme({ amount: 3000, currency: 'usd', created: january + 3600 }),
+    acme({ amount: 2000, currency: 'eur', created: february }),
+    acme({ amount: 500, currency: 'gbp', created: february }),
+    buildPayout({ amount: 9999, metadata: { tenantId: 'beta' } }),
+  ];
+
+  before(async () => {
+    service = await startTestApp({
+      config: { fxBaseCurrency: 'usd', fxRates: { eur: 1.1 } },
+    });
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts });
+  });
+
+  const summarize = (query = '') =>
+    service.request(`/api/payouts/summary${query}`, {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+
+  it('never mixes currencies without a reporting currency', async () => {
+    const response = await summarize();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.group_by, 'month');
+    assert.deepEqual(
+      response.body.buckets.map(({ key, currency, count, total }) => ({
+        key,
+        currency,
+        count,
+        total,
+      })),
+      [
+        { key: '2024-01', currency: 'usd', count: 2, total: 4000 },
+        { key: '2024-02', currency: 'eur', count: 1, total: 2000 },
+        { key: '2024-02', currency: 'gbp', count: 1, total: 500 },
+      ]
+    );
+    assert.deepEqual(
+      response.body.totals.find((total) => total.currency === 'usd'),
+      {
+        currency: 'usd',
+        count: 2,
+        total: 4000,
+        average: 2000,
+        min: 1000,
+        max: 3000,
+      }
+    );
+    assert.deepEqual(response.body.unconverted, []);
+  });
+
+  it('converts into the reporting currency with the FX rates', async () => {
+    const response = await summarize('?currency=USD');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.reporting_currency, 'usd');
+    assert.deepEqual(response.body.fx, {
+      base_currency: 'usd',
+      rates: { eur: 1.1 },
+    });
+    assert.deepEqual(
+      response.body.totals.map(({ currency, count, total }) => ({
+        currency,
+        count,
+        total,
+      })),
+      [{ currency: 'usd', count: 3, total: 6200 }]
+    );
+    assert.deepEqual(
+      response.body.unconverted.map(({ currency, total }) => ({
+        currency,
+        total,
+      })),
+      [{ currency: 'gbp', total: 500 }]
+    );
+  });
+
+  it('rejects a reporting currency without a rate', async () => {
+    const response = await summarize('?currency=sek');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'missing_fx_rate');
+  });
+});
+
+describe('payout failures', () => {
+  let service;
+  const failed = buildPayout({
+    status: 'failed',
+    failure_code: 'insufficient_funds',
+    failure_message: 'Insufficient funds in Stripe balance',
+    metadata: { tenantId: 'acme' },
+  });
+  const paid = buildPayout({ metadata: { tenantId: 'acme' } });
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts: [failed, paid] });
+  });
+
+  const listFailures = (headers = {}) =>
+    service.request('/api/payouts/failures', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+      headers,
+    });
+
+  it('explains failed payouts in English by default', async () => {
+    const response = await listFailures();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-language'), 'en');
+    assert.deepEqual(
+      response.body.data.map((payout) => payout.id),
+      [failed.id]
+    );
+    const [{ failure }] = response.body.data;
+    assert.equal(failure.code, 'insufficient_funds');
+    assert.equal(failure.action, 'add_funds');
+    assert.equal(failure.retryable, true);
+    assert.equal(
+      failure.stripe_message,
+      'Insufficient funds in Stripe balance'
+    );
+  });
+
+  it('explains them in Swedish when the caller prefers it', async () => {
+    const response = await listFailures({
+      'Accept-Language': 'de-DE, sv-SE;q=0.9, en;q=0.5',
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-language'), 'sv');
+    const [{ failure }] = response.body.data;
+    assert.equal(failure.language, 'sv');
+    assert.equal(
+      failure.explanation,
+      'Stripe-saldot räckte inte till utbetalningen när den gjordes.'
+    );
+    assert.equal(failure.action, 'add_funds');
+  });
+});
@@ -0,0 +1,214 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const { buildPayout } = require('./support/fakeStripe');
+const config = require('../src/config');
+const { ConfigError } = require('../src/configLoader');
+const { openApiDocument } = require('../src/openapi');
+const { createTenantRateLimiter } = require('../src/rateLimiter');
+const { store } = require('../src/rateLimitStore');
+
+const plansFile = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-test-')),
+  'plans.json'
+);
+fs.writeFileSync(
+  plansFile,
+  JSON.stringify({
+    plans: {
+      small: { limit: 2, burst: 20, windowMs: 60_000 },
+      large: { limit: 100, burst: 200 },
+    },
+    tenants: { Beta: 'small', gamma: 'large' },
+    costs: { getPayout: 3 },
+  })
+);
+
+describe('tenant rate limiting', () => {
+  let service;
+  const acmePayout = buildPayout({ metadata: { tenantId: 'acme' } });
+  const betaPayout = buildPayout({ metadata: { tenantId: 'beta' } });
+
+  before(async () => {
+    service = await startTestApp({
+      config: {
+        rateLimitMax: 10,
+        rateLimitBurst: 20,
+        rateLimitWindowMs: 60_000,
+        rateLimitPlansFile: plansFile,
+      },
+    });
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    await store.clear();
+    service.fake.seed({ payouts: [acmePayout, betaPayout] });
+  });
+
+  it('charges each route its cost from the default plan', async () => {
+    const listing = await service.request('/api/payouts', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(listing.status, 200);
+    assert.equal(listing.headers.get('ratelimit-limit'), '20');
+    assert.equal(listing.headers.get('ratelimit-remaining'), '19');
+    assert.equal(listing.headers.get('ratelimit-policy'), '10;w=60');
+
+    const transactions = await service.request(
+      `/api/payouts/${acmePayout.id}/transactions`,
+      { key: API_KEYS.acmeReader, tenant: 'acme' }
+    );
+    assert.equal(transactions.status, 200);
+    assert.equal(transactions.headers.get('ratelimit-remaining'), '14');
+
+    const payout = await service.request(`/api/payouts/${acmePayout.id}`, {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(payout.headers.get('ratelimit-remaining'), '11');
+  });
+
+  it('rejects requests over the tenant plan without touching others', async () => {
+    const listBeta = () =>
+      service.request('/api/payouts', {
+        key: API_KEYS.betaReader,
+        tenant: 'beta',
+      });
+
+    for (let request = 0; request < 20; request += 1) {
+      assert.equal((await listBeta()).status, 200);
+    }
+    const rejected = await listBeta();
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.body.code, 'rate_limited');
+    assert.equal(rejected.body.plan, 'small');
+    assert.ok(Number(rejected.headers.get('retry-after')) > 0);
+    assert.equal(service.fake.requestsTo('/v1/payouts').length, 1);
+
+    const acme = await service.request('/api/payouts', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(acme.status, 200);
+  });
+
+  it('reports usage and remaining quota per tenant', async () => {
+    await service.request('/api/payouts', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+
+    const response = await service.request('/api/admin/rate-limits', {
+      key: API_KEYS.admin,
+      tenant: 'acme',
+    });
+    assert.equal(response.status, 200);
+
+    const usage = Object.fromEntries(
+      response.body.data.map((entry) => [entry.tenantId, entry])
+    );
+    assert.deepEqual(Object.keys(usage), ['acme', 'beta', 'gamma']);
+    // The admin's own request was charged to acme as well
+    assert.equal(usage.acme.plan, 'default');
+    assert.equal(usage.acme.used, 2);
+    assert.equal(usage.acme.remaining, 18);
+    assert.equal(usage.beta.plan, 'small');
+    assert.equal(usage.beta.remaining, 20);
+    assert.equal(usage.gamma.burst, 200);
+  });
+
+  it('reports a single tenant without spending its tokens', async () => {
+    const usage = () =>
+      service.request('/api/admin/rate-limits?tenantId=Beta', {
+        key: API_KEYS.admin,
+        tenant: 'acme',
+      });
+
+    const first = await usage();
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.data, [
+      {
+        tenantId: 'beta',
+        plan: 'small',
+        limit: 2,
+        burst: 20,
+        window_ms: 60_000,
+        used: 0,
+        remaining: 20,
+        resets_in_seconds: 0,
+      },
+    ]);
+    assert.deepEqual((await usage()).body.data, first.body.data);
+  });
+
+  it('limits usage to tenants the key can reach', async () => {
+    const reader = await service.request('/api/admin/rate-limits', {
+      key: API_KEYS.acmeReader,
+      tenant: 'acme',
+    });
+    assert.equal(reader.status, 403);
+    assert.equal(reader.body.code, 'missing_scope');
+  });
+
+  it('rejects plans that cannot pay for the costliest route', () => {
+    const smallFile = path.join(path.dirname(plansFile), 'small.json');
+    fs.writeFileSync(
+      smallFile,
+      JSON.stringify({ plans: { tiny: { limit: 5, burst: 10 } } })
+    );
+    config.rateLimitPlansFile = smallFile;
+    try {
+      assert.throws(
+        () => createTenantRateLimiter(openApiDocument),
+        /"tiny" holds at most 10 tokens, but exportPayoutTransactions costs 20/
+      );
+    } finally {
+      config.rateLimitPlansFile = plansFile;
+      createTenantRateLimiter(openApiDocument);
+    }
+  });
+
+  it('rejects a default plan that cannot pay for the costliest route', async (t) => {
+    config.rateLimitBurst = null;
+    try {
+      assert.throws(
+        () => createTenantRateLimiter(openApiDocument),
+        (error) =>
+          error instanceof ConfigError &&
+          /at most 10 tokens, but exportPayoutTransactions costs 20/.test(
+            error.message
+          )
+      );
+    } finally {
+      config.rateLimitBurst = 20;
+    }
+
+    const configFile = path.join(path.dirname(plansFile), 'config.json');
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ rateLimitMax: 5, rateLimitBurst: 8 })
+    );
+    process.env.CONFIG_FILE = configFile;
+    t.after(() => {
+      delete process.env.CONFIG_FILE;
+    });
+
+    const response = await service.request('/api/admin/config/reload', {
+      key: API_KEYS.admin,
+      tenant: 'acme',
+      method: 'POST',
+    });
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'invalid_config');
+    assert.match(response.body.issues[0], /at most 8 tokens/);
+    assert.equal(config.rateLimitMax, 10);
+    assert.equal(config.rateLimitBurst, 20);
+  });
+});
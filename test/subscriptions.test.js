@@ -0,0 +1,147 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const config = require('../src/config');
+const { OutboundWebhookDispatcher } = require('../src/outboundWebhooks');
+const { observePayout } = require('../src/payoutWatcher');
+const { isPublicAddress } = require('../src/publicAddress');
+const { store: subscriptionStore } = require('../src/subscriptionStore');
+const { buildPayout } = require('./support/fakeStripe');
+
+describe('callback URL addresses', () => {
+  let service;
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  const subscribe = (url) =>
+    service.request('/api/subscriptions', {
+      key: API_KEYS.acmeWriter,
+      tenant: 'acme',
+      method: 'POST',
+      body: { url },
+    });
+
+  it('classifies reserved addresses', () => {
+    [
+      '127.0.0.1',
+      '10.1.2.3',
+      '169.254.169.254',
+      '::1',
+      '::ffff:7f00:1',
+    ].forEach((address) =>
+      assert.equal(isPublicAddress(address), false, address)
+    );
+    ['93.184.216.34', '2606:4700::1111'].forEach((address) =>
+      assert.equal(isPublicAddress(address), true, address)
+    );
+  });
+
+  it('remembers payout statuses when the cache is flushed', async () => {
+    subscriptionStore.create({
+      tenantId: 'acme',
+      url: 'https://hooks.example.com/payouts',
+      events: ['payout.failed'],
+    });
+    const payout = buildPayout({ status: 'pending' });
+
+    assert.equal(await observePayout(payout, { tenantId: 'acme' }), null);
+    await service.cache.clear();
+    const event = await observePayout(
+      { ...payout, status: 'in_transit' },
+      { tenantId: 'acme' }
+    );
+    assert.equal(event?.type, 'payout.in_transit');
+    assert.equal(event.data.previous_status, 'pending');
+  });
+
+  it('rejects subscriptions to private and link-local hosts', async () => {
+    for (const url of [
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]:8443/hook',
+      'https://localhost/hook',
+    ]) {
+      const response = await subscribe(url);
+      assert.equal(response.status, 400, url);
+      assert.equal(response.body.parameter, 'url');
+    }
+  });
+});
+
+describe('callback deliveries', () => {
+  let receiver;
+  let received = 0;
+  const settings = {};
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      received += 1;
+      res.end('internal secret page');
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    ['outboundWebhookAllowPrivateHosts', 'outboundWebhookMaxAttempts'].forEach(
+      (key) => {
+        settings[key] = config[key];
+      }
+    );
+    config.outboundWebhookMaxAttempts = 1;
+  });
+
+  after(() => {
+    Object.assign(config, settings);
+    receiver.close();
+  });
+
+  const deliver = async () => {
+    const subscription = {
+      id: 'sub_test',
+      tenantId: 'acme',
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      events: ['payout.paid'],
+      secret: 'whsec_test',
+    };
+    const dispatcher = new OutboundWebhookDispatcher({
+      subscriptions: {
+        get: () => subscription,
+        listForTenant: () => [subscription],
+      },
+      maxDeliveries: 10,
+    });
+    const [delivery] = dispatcher.dispatch('acme', {
+      id: `evt_${Date.now()}`,
+      type: 'payout.paid',
+    });
+    for (let wait = 0; wait < 50; wait += 1) {
+      const current = dispatcher.get(delivery.id);
+      if (current.status !== 'pending') {
+        return current;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return assert.fail('delivery did not finish');
+  };
+
+  it('refuses to deliver to a host that turned private', async () => {
+    config.outboundWebhookAllowPrivateHosts = false;
+    const delivery = await deliver();
+    assert.equal(delivery.status, 'dead_letter');
+    assert.match(delivery.attempts[0].error, /not a public address/);
+    assert.equal(received, 0);
+  });
+
+  it('never keeps what the receiver answered', async () => {
+    config.outboundWebhookAllowPrivateHosts = true;
+    const delivery = await deliver();
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts[0].status_code, 200);
+    assert.equal(
+      JSON.stringify(delivery).includes('internal secret page'),
+      false
+    );
+    assert.equal(received, 1);
+  });
+});
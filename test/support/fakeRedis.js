@@ -0,0 +1,397 @@
+const net = require('net');
+const { TAG_SCRIPT, TAKE_SCRIPT } = require('../../src/redisScripts');
+
+const CRLF = '\r\n';
+
+class ReplyError extends Error {}
+
+const WRONG_TYPE = new ReplyError(
+  'WRONGTYPE Operation against a key holding the wrong kind of value'
+);
+
+const encodeReply = (value) => {
+  if (value instanceof ReplyError) {
+    return `-${value.message}${CRLF}`;
+  }
+  if (value === null || value === undefined) {
+    return `$-1${CRLF}`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}${CRLF}`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}${CRLF}${value.map(encodeReply).join('')}`;
+  }
+  if (value.status) {
+    return `+${value.status}${CRLF}`;
+  }
+  return `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+};
+
+const OK = { status: 'OK' };
+
+// Parses one command (an array of bulk strings) at `offset`, or returns null
+// when the buffer does not hold all of it yet
+const parseCommand = (buffer, offset) => {
+  const readLine = (from) => {
+    const end = buffer.indexOf(CRLF, from);
+    return end === -1
+      ? null
+      : { line: buffer.toString('utf8', from, end), next: end + 2 };
+  };
+
+  const header = readLine(offset);
+  if (!header) {
+    return null;
+  }
+  const count = Number.parseInt(header.line.slice(1), 10);
+  const args = [];
+  let cursor = header.next;
+  for (let index = 0; index < count; index += 1) {
+    const length = readLine(cursor);
+    if (!length) {
+      return null;
+    }
+    const size = Number.parseInt(length.line.slice(1), 10);
+    if (buffer.length < length.next + size + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', length.next, length.next + size));
+    cursor = length.next + size + 2;
+  }
+  return { args, offset: cursor };
+};
+
+const globToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`
+  );
+
+/**
+ * In-process stand-in for Redis, enough for the cache, the rate limit store
+ * and the state store: strings, sets and hashes with expiry, SCAN, and EVAL
+ * of the scripts in src/redisScripts, which are emulated in JavaScript. An
+ * edited script is answered with an error until its emulation is updated.
+ */
+class FakeRedis {
+  constructor() {
+    this.keys = new Map();
+    this.faults = [];
+    this.commands = [];
+    this.sockets = new Set();
+    this.connections = 0;
+    this.timers = new Set();
+    this.scripts = new Map([
+      [TAG_SCRIPT, (keys, args) => this.runTagScript(keys, args)],
+      [TAKE_SCRIPT, (keys, args) => this.runTakeScript(keys, args)],
+    ]);
+    this.server = net.createServer((socket) => this.accept(socket));
+  }
+
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    this.url = `redis://127.0.0.1:${this.port}`;
+    return this;
+  }
+
+  async stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.dropConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  // Closes every client connection, as a Redis restart would
+  dropConnections() {
+    this.sockets.forEach((socket) => socket.destroy());
+    this.sockets.clear();
+  }
+
+  /**
+   * Applies to the next `times` commands named `command`. With `delayMs`
+   * the reply is held back that long; with `error` it is replaced by an
+   * error reply; with `fragmented` it is written one byte at a time.
+   */
+  injectFault({ command, times = 1, delayMs = 0, error, fragmented = false }) {
+    this.faults.push({
+      command: command.toUpperCase(),
+      remaining: times,
+      delayMs,
+      error,
+      fragmented,
+    });
+    return this;
+  }
+
+  reset() {
+    this.keys.clear();
+    this.faults = [];
+    this.commands = [];
+  }
+
+  commandsNamed(name) {
+    return this.commands.filter((args) => args[0].toUpperCase() === name);
+  }
+
+  accept(socket) {
+    this.connections += 1;
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      let parsed = parseCommand(buffer, offset);
+      while (parsed) {
+        offset = parsed.offset;
+        this.reply(socket, parsed.args);
+        parsed = parseCommand(buffer, offset);
+      }
+      buffer = buffer.subarray(offset);
+    });
+  }
+
+  reply(socket, args) {
+    this.commands.push(args);
+    const name = args[0].toUpperCase();
+    const fault = this.faults.find(
+      (candidate) => candidate.remaining > 0 && candidate.command === name
+    );
+    if (fault) {
+      fault.remaining -= 1;
+      this.faults = this.faults.filter((candidate) => candidate.remaining > 0);
+    }
+
+    const value = fault?.error
+      ? new ReplyError(fault.error)
+      : this.execute(name, args.slice(1));
+    const write = (bytes = Buffer.from(encodeReply(value))) => {
+      if (socket.destroyed || bytes.length === 0) {
+        return;
+      }
+      if (!fault?.fragmented) {
+        socket.write(bytes);
+        return;
+      }
+      socket.write(bytes.subarray(0, 1));
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        write(bytes.subarray(1));
+      }, 1);
+      this.timers.add(timer);
+    };
+
+    if (!fault?.delayMs) {
+      write();
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      write();
+    }, fault.delayMs);
+    this.timers.add(timer);
+  }
+
+  entry(key, type) {
+    const entry = this.keys.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.keys.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw WRONG_TYPE;
+    }
+    return entry;
+  }
+
+  // The entry of `key`, created empty when missing
+  ensure(key, type, empty) {
+    const entry = this.entry(key, type);
+    if (entry) {
+      return entry;
+    }
+    const created = { type, value: empty, expiresAt: null };
+    this.keys.set(key, created);
+    return created;
+  }
+
+  ttl(key) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return -2;
+    }
+    if (entry.expiresAt === null) {
+      return -1;
+    }
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  expire(key, milliseconds) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = Date.now() + milliseconds;
+    return 1;
+  }
+
+  execute(name, args) {
+    try {
+      return this.dispatch(name, args);
+    } catch (error) {
+      if (error instanceof ReplyError) {
+        return error;
+      }
+      throw error;
+    }
+  }
+
+  dispatch(name, args) {
+    switch (name) {
+      case 'PING':
+        return { status: 'PONG' };
+      case 'AUTH':
+      case 'SELECT':
+        return OK;
+      case 'GET':
+        return this.entry(args[0], 'string')?.value ?? null;
+      case 'SET': {
+        const [key, value, ...options] = args;
+        const upper = options.map((option) => option.toUpperCase());
+        if (upper.includes('NX') && this.entry(key)) {
+          return null;
+        }
+        const ex = upper.indexOf('EX');
+        this.keys.set(key, {
+          type: 'string',
+          value,
+          expiresAt:
+            ex === -1 ? null : Date.now() + Number(options[ex + 1]) * 1000,
+        });
+        return OK;
+      }
+      case 'DEL':
+        return args.filter((key) => this.entry(key) && this.keys.delete(key))
+          .length;
+      case 'SADD': {
+        const members = this.ensure(args[0], 'set', new Set()).value;
+        const before = members.size;
+        args.slice(1).forEach((member) => members.add(member));
+        return members.size - before;
+      }
+      case 'SMEMBERS':
+        return [...(this.entry(args[0], 'set')?.value || [])];
+      case 'HMGET': {
+        const fields = this.entry(args[0], 'hash')?.value;
+        return args.slice(1).map((field) => fields?.get(field) ?? null);
+      }
+      case 'HSET': {
+        const fields = this.ensure(args[0], 'hash', new Map()).value;
+        const before = fields.size;
+        for (let index = 1; index < args.length; index += 2) {
+          fields.set(args[index], String(args[index + 1]));
+        }
+        return fields.size - before;
+      }
+      case 'TTL':
+        return this.ttl(args[0]);
+      case 'EXPIRE':
+        return this.expire(args[0], Number(args[1]) * 1000);
+      case 'PEXPIRE':
+        return this.expire(args[0], Number(args[1]));
+      case 'PERSIST': {
+        const entry = this.entry(args[0]);
+        if (!entry || entry.expiresAt === null) {
+          return 0;
+        }
+        entry.expiresAt = null;
+        return 1;
+      }
+      case 'SCAN':
+        return this.scan(args);
+      case 'EVAL': {
+        const [script, count, ...rest] = args;
+        const run = this.scripts.get(script);
+        if (!run) {
+          return new ReplyError('NOSCRIPT No emulation for this script');
+        }
+        const keyCount = Number(count);
+        return run(rest.slice(0, keyCount), rest.slice(keyCount));
+      }
+      default:
+        return new ReplyError(`ERR unknown command '${name}'`);
+    }
+  }
+
+  // Pages through the live keys in insertion order; the cursor is an index
+  scan([cursor, ...options]) {
+    const upper = options.map((option) => String(option).toUpperCase());
+    const match = upper.indexOf('MATCH');
+    const count = upper.indexOf('COUNT');
+    const pattern = globToRegExp(match === -1 ? '*' : options[match + 1]);
+    const batch = count === -1 ? 10 : Number(options[count + 1]);
+
+    const keys = [...this.keys.keys()].filter((key) => this.entry(key));
+    const start = Number(cursor);
+    const next = start + batch < keys.length ? String(start + batch) : '0';
+    return [
+      next,
+      keys.slice(start, start + batch).filter((key) => pattern.test(key)),
+    ];
+  }
+
+  runTagScript([tagKey], [dataKey, ttlArg]) {
+    const ttl = Number(ttlArg);
+    const current = this.ttl(tagKey);
+    this.dispatch('SADD', [tagKey, dataKey]);
+    if (ttl === 0) {
+      this.dispatch('PERSIST', [tagKey]);
+    } else if (current === -2 || (current >= 0 && current < ttl)) {
+      this.expire(tagKey, ttl * 1000);
+    }
+    return 1;
+  }
+
+  runTakeScript([bucketKey], args) {
+    const [capacity, refillPerMs, cost, now] = args.map(Number);
+    const [storedTokens, storedAt] = this.dispatch('HMGET', [
+      bucketKey,
+      'tokens',
+      'updated_at',
+    ]);
+    const updatedAt = storedAt === null ? now : Number(storedAt);
+    let tokens = Math.min(
+      capacity,
+      (storedTokens === null ? capacity : Number(storedTokens)) +
+        Math.max(0, now - updatedAt) * refillPerMs
+    );
+    let allowed = 0;
+    if (tokens >= cost) {
+      tokens -= cost;
+      allowed = 1;
+    }
+    this.dispatch('HSET', [
+      bucketKey,
+      'tokens',
+      String(tokens),
+      'updated_at',
+      now,
+    ]);
+    this.expire(bucketKey, Math.ceil((capacity - tokens) / refillPerMs) + 1000);
+    return [allowed, String(tokens)];
+  }
+}
+
+module.exports = {
+  FakeRedis,
+  encodeReply,
+};
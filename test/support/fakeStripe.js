@@ -0,0 +1,555 @@
+const http = require('http');
+
+// Requests without a Stripe-Account header act on the platform account
+const PLATFORM_ACCOUNT = 'platform';
+
+// Stripe's answer to `payout=` filters on payouts that were not automatic
+const MANUAL_FILTERING_MESSAGE =
+  'Balance transaction history can only be filtered on automatic transfers, not manual.';
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  402: 'card_error',
+  404: 'invalid_request_error',
+  429: 'rate_limit_error',
+};
+
+let sequence = 0;
+const nextId = (prefix) =>
+  `${prefix}_${String((sequence += 1)).padStart(6, '0')}`;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const buildPayout = (overrides = {}) => ({
+  id: nextId('po_test'),
+  object: 'payout',
+  amount: 1000,
+  currency: 'usd',
+  status: 'paid',
+  type: 'bank_account',
+  method: 'standard',
+  automatic: true,
+  balance_transaction: null,
+  created: nowSeconds() - 86_400,
+  arrival_date: nowSeconds(),
+  description: null,
+  destination: 'ba_test',
+  failure_code: null,
+  failure_message: null,
+  statement_descriptor: null,
+  livemode: false,
+  metadata: {},
+  ...overrides,
+});
+
+// `payout` is not part of Stripe's object, but the service matches manual
+// payout transactions on it, so fixtures carry it.
+const buildBalanceTransaction = (overrides = {}) => ({
+  id: nextId('txn_test'),
+  object: 'balance_transaction',
+  amount: 1000,
+  fee: 30,
+  net: 970,
+  currency: 'usd',
+  type: 'charge',
+  reporting_category: 'charge',
+  status: 'available',
+  created: nowSeconds() - 2 * 86_400,
+  available_on: nowSeconds(),
+  description: null,
+  source: null,
+  payout: null,
+  ...overrides,
+});
+
+const buildCharge = (overrides = {}) => ({
+  id: nextId('ch_test'),
+  object: 'charge',
+  amount: 5000,
+  amount_refunded: 0,
+  currency: 'usd',
+  disputed: false,
+  payment_intent: null,
+  created: nowSeconds() - 5 * 86_400,
+  metadata: {},
+  ...overrides,
+});
+
+const buildRefund = (overrides = {}) => ({
+  id: nextId('re_test'),
+  object: 'refund',
+  amount: 1000,
+  currency: 'usd',
+  status: 'succeeded',
+  reason: 'requested_by_customer',
+  charge: null,
+  payment_intent: null,
+  created: nowSeconds() - 3 * 86_400,
+  metadata: {},
+  ...overrides,
+});
+
+const buildDispute = (overrides = {}) => ({
+  id: nextId('dp_test'),
+  object: 'dispute',
+  amount: 5000,
+  currency: 'usd',
+  status: 'needs_response',
+  reason: 'fraudulent',
+  charge: null,
+  payment_intent: null,
+  evidence_details: {
+    due_by: nowSeconds() + 7 * 86_400,
+    has_evidence: false,
+    past_due: false,
+    submission_count: 0,
+  },
+  created: nowSeconds() - 3 * 86_400,
+  metadata: {},
+  ...overrides,
+});
+
+const emptyAccount = (id) => ({
+  id,
+  payouts: new Map(),
+  balanceTransactions: new Map(),
+  disputes: new Map(),
+  // Charges, refunds and disputes by ID, for `expand`
+  objects: new Map(),
+  balance: {
+    object: 'balance',
+    available: [{ amount: 0, currency: 'usd' }],
+    pending: [{ amount: 0, currency: 'usd' }],
+    livemode: false,
+  },
+  settings: {
+    payouts: { schedule: { interval: 'daily', delay_days: 2 } },
+  },
+});
+
+// `created[gte]=1&metadata[tenantId]=acme` -> { created: { gte: '1' }, ... }
+const parseParams = (searchParams) => {
+  const params = {};
+  searchParams.forEach((value, name) => {
+    const match = /^([^[]+)\[([^\]]*)\]$/.exec(name);
+    if (!match) {
+      params[name] = value;
+      return;
+    }
+    const [, parent, child] = match;
+    if (child === '') {
+      params[parent] = [...(params[parent] || []), value];
+    } else {
+      params[parent] = { ...params[parent], [child]: value };
+    }
+  });
+  return params;
+};
+
+const inRange = (value, range) => {
+  if (!range) {
+    return true;
+  }
+  if (typeof range !== 'object') {
+    return value === Number(range);
+  }
+  return (
+    (range.gte === undefined || value >= Number(range.gte)) &&
+    (range.gt === undefined || value > Number(range.gt)) &&
+    (range.lte === undefined || value <= Number(range.lte)) &&
+    (range.lt === undefined || value < Number(range.lt))
+  );
+};
+
+// `expand[0]=data.source` on a list -> ['source'] for prefix 'data.'
+const expandedFields = (query, prefix = '') =>
+  Object.values(query.expand || {})
+    .filter((path) => path.startsWith(prefix))
+    .map((path) => path.slice(prefix.length));
+
+// Replaces ID references in `fields` with the seeded objects they name
+const expand = (state, object, fields) =>
+  fields.reduce((expanded, field) => {
+    const found =
+      typeof expanded[field] === 'string' && state.objects.get(expanded[field]);
+    return found ? { ...expanded, [field]: found } : expanded;
+  }, object);
+
+// Newest first, like every Stripe list
+const byNewest = (left, right) =>
+  right.created - left.created || (left.id < right.id ? 1 : -1);
+
+const paginate = (items, params, url) => {
+  const limit = Math.min(Math.max(Number(params.limit) || 10, 1), 100);
+  const sorted = [...items].sort(byNewest);
+
+  let page;
+  let hasMore;
+  if (params.ending_before) {
+    const end = sorted.findIndex((item) => item.id === params.ending_before);
+    const before = end === -1 ? [] : sorted.slice(0, end);
+    page = before.slice(Math.max(before.length - limit, 0));
+    hasMore = before.length > limit;
+  } else {
+    const start = params.starting_after
+      ? sorted.findIndex((item) => item.id === params.starting_after) + 1
+      : 0;
+    const after =
+      params.starting_after && start === 0 ? [] : sorted.slice(start);
+    page = after.slice(0, limit);
+    hasMore = after.length > limit;
+  }
+
+  return { object: 'list', url, has_more: hasMore, data: page };
+};
+
+const stripeError = (status, message, extra = {}) => ({
+  status,
+  body: {
+    error: { type: ERROR_TYPES[status] || 'api_error', message, ...extra },
+  },
+});
+
+const notFound = (resource, id) =>
+  stripeError(404, `No such ${resource}: '${id}'`, {
+    code: 'resource_missing',
+    param: 'id',
+  });
+
+/**
+ * Local stand-in for the parts of the Stripe API the service calls. Data is
+ * kept per Stripe account (the `Stripe-Account` header, or the platform
+ * account without it) and seeded with `seed()`; `injectFault()` makes the
+ * next matching requests fail or answer late, e.g. to exercise 429 retries
+ * or timeouts. Every request is recorded in `requests`. Point an SDK client
+ * at it with `host`, `port` and `protocol: 'http'`.
+ */
+class FakeStripe {
+  constructor() {
+    this.accounts = new Map();
+    this.faults = [];
+    this.requests = [];
+    this.createdByIdempotencyKey = new Map();
+    this.timers = new Set();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  async stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  account(id = PLATFORM_ACCOUNT) {
+    if (!this.accounts.has(id)) {
+      this.accounts.set(id, emptyAccount(id));
+    }
+    return this.accounts.get(id);
+  }
+
+  seed({
+    account = PLATFORM_ACCOUNT,
+    payouts = [],
+    balanceTransactions = [],
+    disputes = [],
+    objects = [],
+    balance,
+    settings,
+  } = {}) {
+    const state = this.account(account);
+    payouts.forEach((payout) => state.payouts.set(payout.id, payout));
+    balanceTransactions.forEach((tx) =>
+      state.balanceTransactions.set(tx.id, tx)
+    );
+    disputes.forEach((dispute) => state.disputes.set(dispute.id, dispute));
+    [...disputes, ...objects].forEach((object) =>
+      state.objects.set(object.id, object)
+    );
+    if (balance) {
+      state.balance = { ...state.balance, ...balance };
+    }
+    if (settings) {
+      state.settings = settings;
+    }
+    return this;
+  }
+
+  /**
+   * Applies to the next `times` requests whose path starts with `path` (and
+   * whose method is `method`, when given). With `status` they get a Stripe
+   * error body and optional `headers`; with `delayMs` the answer, error or
+   * not, is held back that long.
+   */
+  injectFault({ path, method, times = 1, status, delayMs = 0, headers = {} }) {
+    this.faults.push({
+      path,
+      method,
+      remaining: times,
+      status,
+      delayMs,
+      headers,
+    });
+    return this;
+  }
+
+  reset() {
+    this.accounts.clear();
+    this.faults = [];
+    this.requests = [];
+    this.createdByIdempotencyKey.clear();
+  }
+
+  requestsTo(path, method = 'GET') {
+    return this.requests.filter(
+      (request) => request.method === method && request.path.startsWith(path)
+    );
+  }
+
+  takeFault(method, path) {
+    const fault = this.faults.find(
+      (candidate) =>
+        candidate.remaining > 0 &&
+        path.startsWith(candidate.path) &&
+        (!candidate.method || candidate.method === method)
+    );
+    if (!fault) {
+      return null;
+    }
+    fault.remaining -= 1;
+    this.faults = this.faults.filter((candidate) => candidate.remaining > 0);
+    return fault;
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: parseParams(url.searchParams),
+        body: parseParams(
+          new URLSearchParams(Buffer.concat(chunks).toString())
+        ),
+        account: req.headers['stripe-account'] || PLATFORM_ACCOUNT,
+        idempotencyKey: req.headers['idempotency-key'] || null,
+      };
+      this.requests.push(request);
+
+      const fault = this.takeFault(request.method, request.path);
+      const result = fault?.status
+        ? {
+            ...stripeError(
+              fault.status,
+              `Injected ${fault.status} from fake Stripe`
+            ),
+            headers: fault.headers,
+          }
+        : this.route(request);
+
+      const send = () => {
+        if (res.destroyed) {
+          return;
+        }
+        res.writeHead(result.status || 200, {
+          'Content-Type': 'application/json',
+          'Request-Id': `req_fake_${this.requests.length}`,
+          ...result.headers,
+        });
+        res.end(JSON.stringify(result.body));
+      };
+
+      if (!fault?.delayMs) {
+        send();
+        return;
+      }
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        send();
+      }, fault.delayMs);
+      this.timers.add(timer);
+    });
+  }
+
+  route(request) {
+    const { method, path } = request;
+    const state = this.account(request.account);
+    const [, version, resource, id, action] = path.split('/');
+    if (version !== 'v1') {
+      return stripeError(404, `Unrecognized request URL (${method}: ${path})`);
+    }
+
+    if (method === 'GET' && resource === 'account' && !id) {
+      return {
+        body: {
+          id:
+            request.account === PLATFORM_ACCOUNT
+              ? 'acct_platform'
+              : request.account,
+          object: 'account',
+          settings: state.settings,
+        },
+      };
+    }
+
+    if (method === 'GET' && resource === 'balance' && !id) {
+      return { body: state.balance };
+    }
+
+    if (resource === 'payouts') {
+      return this.routePayouts(request, state, id, action);
+    }
+
+    if (method === 'GET' && resource === 'balance_transactions') {
+      return this.routeBalanceTransactions(request, state, id);
+    }
+
+    if (method === 'GET' && resource === 'disputes' && !id) {
+      const disputes = [...state.disputes.values()].filter((dispute) =>
+        inRange(dispute.created, request.query.created)
+      );
+      const page = paginate(disputes, request.query, '/v1/disputes');
+      const fields = expandedFields(request.query, 'data.');
+      return {
+        body: {
+          ...page,
+          data: page.data.map((dispute) => expand(state, dispute, fields)),
+        },
+      };
+    }
+
+    return stripeError(404, `Unrecognized request URL (${method}: ${path})`);
+  }
+
+  routePayouts(request, state, id, action) {
+    const { method, query, body } = request;
+
+    if (method === 'GET' && !id) {
+      const payouts = [...state.payouts.values()].filter(
+        (payout) =>
+          (!query.status || payout.status === query.status) &&
+          inRange(payout.created, query.created) &&
+          inRange(payout.arrival_date, query.arrival_date)
+      );
+      return { body: paginate(payouts, query, '/v1/payouts') };
+    }
+
+    if (method === 'POST' && !id) {
+      const replayKey = `${request.account}:${request.idempotencyKey}`;
+      if (
+        request.idempotencyKey &&
+        this.createdByIdempotencyKey.has(replayKey)
+      ) {
+        return { body: this.createdByIdempotencyKey.get(replayKey) };
+      }
+
+      const amount = Number(body.amount);
+      const available = state.balance.available.find(
+        (entry) => entry.currency === body.currency
+      );
+      if (!available || available.amount < amount) {
+        return stripeError(
+          400,
+          'You have insufficient funds in your Stripe account.',
+          { code: 'balance_insufficient' }
+        );
+      }
+
+      available.amount -= amount;
+      const payout = buildPayout({
+        amount,
+        currency: body.currency,
+        method: body.method || 'standard',
+        description: body.description || null,
+        destination: body.destination || 'ba_test',
+        status: 'pending',
+        automatic: false,
+        created: nowSeconds(),
+        arrival_date: nowSeconds() + 86_400,
+        metadata: body.metadata || {},
+      });
+      state.payouts.set(payout.id, payout);
+      if (request.idempotencyKey) {
+        this.createdByIdempotencyKey.set(replayKey, payout);
+      }
+      return { body: payout };
+    }
+
+    const payout = state.payouts.get(id);
+    if (!payout) {
+      return notFound('payout', id);
+    }
+
+    if (method === 'GET' && !action) {
+      return { body: payout };
+    }
+
+    if (method === 'POST' && action === 'cancel') {
+      if (payout.status !== 'pending') {
+        return stripeError(
+          400,
+          'Payouts can only be canceled while they are pending.'
+        );
+      }
+      payout.status = 'canceled';
+      return { body: payout };
+    }
+
+    return stripeError(
+      404,
+      `Unrecognized request URL (${method}: ${request.path})`
+    );
+  }
+
+  routeBalanceTransactions(request, state, id) {
+    const { query } = request;
+
+    if (id) {
+      const tx = state.balanceTransactions.get(id);
+      return tx
+        ? { body: expand(state, tx, expandedFields(query)) }
+        : notFound('balance transaction', id);
+    }
+
+    if (query.payout) {
+      const payout = state.payouts.get(query.payout);
+      if (!payout) {
+        return notFound('payout', query.payout);
+      }
+      if (!payout.automatic) {
+        return stripeError(400, MANUAL_FILTERING_MESSAGE);
+      }
+    }
+
+    const transactions = [...state.balanceTransactions.values()].filter(
+      (tx) =>
+        (!query.payout || tx.payout === query.payout) &&
+        (!query.type || tx.type === query.type) &&
+        inRange(tx.created, query.created)
+    );
+    const page = paginate(transactions, query, '/v1/balance_transactions');
+    const fields = expandedFields(query, 'data.');
+    return {
+      body: { ...page, data: page.data.map((tx) => expand(state, tx, fields)) },
+    };
+  }
+}
+
+module.exports = {
+  FakeStripe,
+  MANUAL_FILTERING_MESSAGE,
+  PLATFORM_ACCOUNT,
+  buildBalanceTransaction,
+  buildCharge,
+  buildDispute,
+  buildPayout,
+  buildRefund,
+};
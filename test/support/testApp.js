@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+const {
+  generateApiKey,
+  hashApiKey,
+  writeCredentialFile,
+} = require('../../src/credentialFile');
+const { FakeStripe } = require('./fakeStripe');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-test-'));
+
+// One key per credential; `expired` and `disabled` never authenticate
+const CREDENTIALS = {
+  acmeReader: {
+    tenants: ['acme'],
+    scopes: ['payouts:read', 'transactions:read'],
+  },
+  acmeWriter: {
+    tenants: ['acme'],
+    scopes: [
+      'payouts:read',
+      'transactions:read',
+      'payouts:write',
+      'subscriptions:manage',
+    ],
+  },
+  betaReader: {
+    tenants: ['beta'],
+    scopes: ['payouts:read', 'transactions:read'],
+  },
+  gammaReader: {
+    tenants: ['gamma'],
+    scopes: ['payouts:read', 'transactions:read'],
+  },
+  portal: {
+    tenants: ['acme', 'beta'],
+    scopes: ['payouts:read', 'transactions:read'],
+  },
+  auditor: { tenants: ['acme', 'beta'], scopes: ['audit:read'] },
+  admin: { tenants: ['*'], scopes: ['admin:read', 'admin:write'] },
+  operator: { tenants: ['*'], scopes: ['payouts:read'] },
+  expired: {
+    tenants: ['acme'],
+    scopes: ['payouts:read'],
+    expiresAt: '2000-01-01T00:00:00.000Z',
+  },
+  disabled: { tenants: ['acme'], scopes: ['payouts:read'], disabled: true },
+};
+
+const API_KEYS = Object.fromEntries(
+  Object.keys(CREDENTIALS).map((id) => [id, generateApiKey()])
+);
+
+const credentialsFile = path.join(dataDir, 'api-keys.json');
+writeCredentialFile(credentialsFile, {
+  credentials: Object.entries(CREDENTIALS).map(
+    ([id, { expiresAt = null, ...credential }]) => ({
+      id,
+      ...credential,
+      keys: [{ hash: hashApiKey(API_KEYS[id]), expiresAt }],
+    })
+  ),
+});
+
+// Read while the service's modules load, so they are set before src/app.js
+// is required. Nothing here may reach the network.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'silent',
+  STRIPE_SECRET_KEY: 'sk_test_offline',
+  API_KEYS_FILE: credentialsFile,
+  CACHE_BACKEND: 'memory',
+  MIRROR_STORE: 'memory',
+  SUBSCRIPTION_STORE: 'memory',
+  AUDIT_STORE: 'memory',
+  STATE_STORE: 'memory',
+  STRIPE_MAX_CONCURRENCY: '20',
+  STRIPE_MAX_CONCURRENCY_PER_TENANT: '20',
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD: '1000',
+});
+
+const { createApp } = require('../../src/app');
+const sharedConfig = require('../../src/config');
+const MemoryCache = require('../../src/memoryCache');
+
+// Runtime settings every suite starts from; suites override what they test
+const TEST_CONFIG = {
+  stripeConnectAccounts: { gamma: 'acct_gamma' },
+  allowUnattributedPayouts: false,
+  allowLegacySharedSecret: false,
+  sharedSecret: null,
+  mirrorEnabled: false,
+  cacheTtlSeconds: 60,
+  cacheMaxStaleSeconds: 300,
+  stripeTimeoutMs: 2000,
+  stripeOperationTimeoutsMs: {},
+  stripeMaxNetworkRetries: 2,
+  stripeRetryBaseDelayMs: 5,
+  stripeRetryMaxDelayMs: 20,
+  rateLimitMax: 10_000,
+  manualPayoutLookbackDays: 30,
+  manualPayoutScanBudget: 5000,
+};
+
+const createStripeClient = (fake) =>
+  new Stripe('sk_test_offline', {
+    apiVersion: '2023-10-16',
+    host: '127.0.0.1',
+    port: fake.port,
+    protocol: 'http',
+    maxNetworkRetries: 0,
+  });
+
+/**
+ * Starts a fake Stripe and the service wired to it, both on loopback ports.
+ * `request()` calls the service with an API key from `API_KEYS` and an
+ * optional tenant; JSON responses are parsed into `body`. The cache is a
+ * MemoryCache unless `cache` is given.
+ */
+const startTestApp = async ({
+  config = {},
+  cache = new MemoryCache({ maxEntries: 1000 }),
+} = {}) => {
+  const fake = await new FakeStripe().start();
+  const app = createApp({
+    stripe: createStripeClient(fake),
+    cache,
+    config: { ...TEST_CONFIG, ...config },
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (
+    urlPath,
+    { key, tenant, method = 'GET', body, headers = {} } = {}
+  ) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(key ? { 'X-Internal-Auth': key } : {}),
+        ...(tenant ? { 'X-Tenant': tenant } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes(
+      'application/json'
+    );
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text,
+    };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await fake.stop();
+  };
+
+  // Forget cached Stripe reads and fixtures between tests
+  const reset = async () => {
+    fake.reset();
+    await cache.clear();
+  };
+
+  // `config` is the service's live configuration; tests that change it
+  // must restore it.
+  return { baseUrl, cache, close, config: sharedConfig, fake, request, reset };
+};
+
+module.exports = {
+  API_KEYS,
+  startTestApp,
+};
@@ -0,0 +1,250 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startTestApp } = require('./support/testApp');
+const {
+  buildBalanceTransaction,
+  buildPayout,
+} = require('./support/fakeStripe');
+
+const DAY = 86_400;
+
+const listTransactions = (service, payoutId, query = '') =>
+  service.request(`/api/payouts/${payoutId}/transactions${query}`, {
+    key: API_KEYS.acmeReader,
+    tenant: 'acme',
+  });
+
+describe('automatic payout transactions', () => {
+  let service;
+  const payout = buildPayout({ metadata: { tenantId: 'acme' } });
+  const transactions = Array.from({ length: 7 }, (_, index) =>
+    buildBalanceTransaction({
+      payout: payout.id,
+      created: payout.created - (index + 1) * 60,
+    })
+  );
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts: [payout], balanceTransactions: transactions });
+  });
+
+  it('filters balance transactions by payout and pages them', async () => {
+    const first = await listTransactions(service, payout.id, '?limit=5');
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      first.body.data.map((tx) => tx.id),
+      transactions.slice(0, 5).map((tx) => tx.id)
+    );
+    assert.equal(first.body.has_more, true);
+
+    const second = await listTransactions(
+      service,
+      payout.id,
+      `?limit=5&starting_after=${first.body.data[4].id}`
+    );
+    assert.deepEqual(
+      second.body.data.map((tx) => tx.id),
+      transactions.slice(5).map((tx) => tx.id)
+    );
+    assert.equal(second.body.has_more, false);
+
+    const calls = service.fake.requestsTo('/v1/balance_transactions');
+    assert.ok(calls.every((call) => call.query.payout === payout.id));
+  });
+
+  it('answers 404 for a payout Stripe does not know', async () => {
+    const response = await listTransactions(service, 'po_missing');
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'payout_not_found');
+  });
+});
+
+describe('manual payout transactions', () => {
+  let service;
+  // 50 of the transactions below, at 970 net each
+  const amount = 50 * 970;
+  const anchor = buildBalanceTransaction({
+    id: 'txn_manual_payout',
+    type: 'payout',
+    reporting_category: 'payout',
+    amount: -amount,
+    fee: 0,
+    net: -amount,
+    source: 'po_manual',
+  });
+  const payout = buildPayout({
+    id: 'po_manual',
+    automatic: false,
+    amount,
+    balance_transaction: anchor.id,
+    created: anchor.created + 5,
+    metadata: { tenantId: 'acme' },
+  });
+  const otherPayout = buildPayout({ metadata: { tenantId: 'acme' } });
+
+  // 150 transactions in the window spread over two Stripe pages; every third
+  // one was swept up by the manual payout.
+  const windowTransactions = Array.from({ length: 150 }, (_, index) =>
+    buildBalanceTransaction({
+      created: anchor.created - (index + 1) * 600,
+      payout: index % 3 === 0 ? payout.id : otherPayout.id,
+    })
+  );
+  const outsideWindow = buildBalanceTransaction({
+    created: anchor.created - 45 * DAY,
+    payout: payout.id,
+  });
+  const payoutTransactions = windowTransactions.filter(
+    (tx) => tx.payout === payout.id
+  );
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({
+      payouts: [payout, otherPayout],
+      balanceTransactions: [anchor, ...windowTransactions, outsideWindow],
+    });
+  });
+
+  it('scans the lookback window instead of filtering by payout', async () => {
+    const response = await listTransactions(service, payout.id, '?limit=100');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.incomplete, false);
+    assert.equal(response.body.has_more, false);
+    assert.deepEqual(
+      response.body.data.map((tx) => tx.id),
+      [anchor.id, ...payoutTransactions.map((tx) => tx.id)]
+    );
+
+    const lists = service.fake
+      .requestsTo('/v1/balance_transactions')
+      .filter((call) => call.path === '/v1/balance_transactions');
+    assert.equal(lists.length, 2);
+    assert.ok(lists.every((call) => call.query.payout === undefined));
+    assert.equal(Number(lists[0].query.created.lte), anchor.created);
+  });
+
+  it('pages the resolved set without scanning Stripe again', async () => {
+    const first = await listTransactions(service, payout.id, '?limit=20');
+    assert.equal(first.body.data.length, 20);
+    assert.equal(first.body.has_more, true);
+
+    const second = await listTransactions(
+      service,
+      payout.id,
+      `?limit=40&starting_after=${first.body.data[19].id}`
+    );
+    assert.equal(second.body.data.length, payoutTransactions.length + 1 - 20);
+    assert.equal(second.body.has_more, false);
+
+    const lists = service.fake
+      .requestsTo('/v1/balance_transactions')
+      .filter((call) => call.path === '/v1/balance_transactions');
+    assert.equal(lists.length, 2);
+  });
+
+  it('rejects a cursor that is not in the resolved set', async () => {
+    const response = await listTransactions(
+      service,
+      payout.id,
+      '?starting_after=txn_unknown'
+    );
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_cursor');
+    assert.equal(response.body.parameter, 'starting_after');
+
+    const backwards = await listTransactions(
+      service,
+      payout.id,
+      '?ending_before=txn_unknown'
+    );
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.parameter, 'ending_before');
+  });
+
+  it('flags the result incomplete when the scan budget runs out', async (t) => {
+    const budget = service.config.manualPayoutScanBudget;
+    service.config.manualPayoutScanBudget = 100;
+    t.after(() => {
+      service.config.manualPayoutScanBudget = budget;
+    });
+
+    const response = await listTransactions(service, payout.id, '?limit=100');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.incomplete, true);
+    assert.ok(response.body.data.length < payoutTransactions.length + 1);
+  });
+
+  it('reconciles a manual payout against the resolved transactions', async () => {
+    const response = await service.request(
+      `/api/payouts/${payout.id}/reconciliation`,
+      { key: API_KEYS.acmeReader, tenant: 'acme' }
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.body.payout_balance_transaction, anchor.id);
+    assert.equal(response.body.totals.count, payoutTransactions.length);
+    assert.equal(response.body.totals.net, amount);
+    assert.equal(response.body.discrepancy, false);
+    assert.equal(response.body.incomplete, false);
+  });
+});
+
+describe('transaction exports', () => {
+  let service;
+  const payout = buildPayout({ metadata: { tenantId: 'acme' } });
+  const refund = buildBalanceTransaction({
+    payout: payout.id,
+    type: 'refund',
+    amount: -1234,
+    description: '=HYPERLINK("https://example.com")',
+  });
+
+  before(async () => {
+    service = await startTestApp();
+  });
+
+  after(() => service.close());
+
+  beforeEach(async () => {
+    await service.reset();
+    service.fake.seed({ payouts: [payout], balanceTransactions: [refund] });
+  });
+
+  it('guards free text against formulas but keeps negative amounts', async () => {
+    const response = await service.request(
+      `/api/payouts/${payout.id}/transactions/export?columns=id,amount,description&locale=de-DE`,
+      { key: API_KEYS.acmeReader, tenant: 'acme' }
+    );
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.replace('\ufeff', '').split('\r\n'), [
+      'id;amount;description',
+      `${refund.id};-12,34;"'=HYPERLINK(""https://example.com"")"`,
+      '',
+    ]);
+  });
+
+  it('keeps only safe characters of the tenant in the filename', async () => {
+    const response = await service.request(
+      `/api/payouts/export?tenantId=${encodeURIComponent('Acme"; x=ü')}`,
+      { key: API_KEYS.operator, tenant: 'acme' }
+    );
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get('content-disposition'),
+      'attachment; filename="payouts-acme___x__.csv"'
+    );
+  });
+});